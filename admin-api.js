@@ -0,0 +1,223 @@
+import express from 'express';
+import * as fs from "fs";
+import * as path from "path";
+import { createHash, timingSafeEqual } from "crypto";
+import { readManifest } from "./vectorstore-manifest.js";
+import { ReindexJobs } from "./reindex-jobs.js";
+import { SUPPORTED_EXTENSIONS, listDocuments } from "./document-loaders.js";
+import { buildKnowledgeGapReport } from "./knowledge-gaps.js";
+import { nestedDocsPaths } from "./config.js";
+
+const MAX_UPLOAD_SIZE = "25mb";
+
+// Other knowledge bases' documents are managed through their own admin API
+const NESTED_DOCS_ERROR = "Document path is inside another knowledge base's documents folder.";
+
+// .docx files are ZIP archives
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Rejects requests that do not carry the ADMIN_API_KEY as a bearer token or x-api-key header.
+ * The admin API is disabled while ADMIN_API_KEY is not set.
+ */
+function requireAdminKey(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+    }
+
+    const provided = req.get('x-api-key') ?? req.get('authorization')?.replace(/^Bearer\s+/i, '') ?? '';
+    // Compare digests so the comparison takes the same time whatever the key length
+    const digest = (value) => createHash("sha256").update(value).digest();
+    if (!timingSafeEqual(digest(provided), digest(adminKey))) {
+        return res.status(401).json({ error: 'Invalid or missing admin API key.' });
+    }
+    next();
+}
+
+/**
+ * Validates a document path from the URL.
+ * @param {string[]} segments - The path segments below /documents/.
+ * @returns {string | null} The error message, or null when the path is valid.
+ */
+function validateDocumentPath(segments) {
+    if (segments.some(segment => !segment || segment !== path.basename(segment) || segment.startsWith("."))) {
+        return 'Document path must be made of plain file and folder names.';
+    }
+    const extension = path.extname(segments[segments.length - 1]).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        return `Unsupported document type. Expected one of: ${SUPPORTED_EXTENSIONS.join(", ")}.`;
+    }
+    return null;
+}
+
+/**
+ * Tells whether a document path lies inside another knowledge base's documents folder.
+ * @param {string} filePath - The document path.
+ * @param {string[]} nestedPaths - The nested documents folders (see nestedDocsPaths).
+ * @returns {boolean} Whether the document belongs to another knowledge base.
+ */
+function isInNestedDocs(filePath, nestedPaths) {
+    const resolved = path.resolve(filePath);
+    return nestedPaths.some(nestedPath => resolved.startsWith(nestedPath + path.sep));
+}
+
+/**
+ * Creates the admin router for managing the source documents of a knowledge base
+ * and reindexing it while the server runs.
+ * @param {object} options
+ * @param {string} options.knowledgeBase - The knowledge base name, passed to create-db.js.
+ * @param {string} options.docsPath - The documents folder.
+ * @param {string} options.dbPath - The vector store folder.
+ * @param {() => Promise<void>} options.reload - Swaps the rebuilt vector store into the running chatbot.
+ * @param {import("./feedback-store.js").FeedbackStore} [options.feedbackStore] - The recorded answers and feedback, for the knowledge-gap report.
+ * @param {import("./usage-store.js").UsageStore} [options.usageStore] - The recorded token usage, for the cost report.
+ * @returns {import("express").Router} The admin router.
+ */
+function createAdminRouter({ knowledgeBase, docsPath, dbPath, reload, feedbackStore = null, usageStore = null }) {
+    const router = express.Router();
+    const jobs = new ReindexJobs({ knowledgeBase, docsPath, dbPath, onIndexed: reload });
+
+    router.use(requireAdminKey);
+
+    router.get('/documents', (req, res) => {
+        let indexedHashes = new Map();
+        try {
+            indexedHashes = new Map(
+                readManifest(dbPath).sources
+                    .filter(source => typeof source === "object")
+                    .map(source => [source.file, source.hash])
+            );
+        } catch {
+            // No manifest yet: nothing is indexed
+        }
+
+        const documents = listDocuments(docsPath, nestedDocsPaths(knowledgeBase)).files
+            .map(name => {
+                const filePath = path.join(docsPath, name);
+                const stats = fs.statSync(filePath);
+                const hash = createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+                return {
+                    name,
+                    size: stats.size,
+                    updatedAt: stats.mtime.toISOString(),
+                    indexed: indexedHashes.get(name) === hash,
+                };
+            });
+        res.json({ documents });
+    });
+
+    // Documents may sit in subfolders, e.g. PUT /documents/billing/credit-notes.md
+    router.put('/documents/*name', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), (req, res) => {
+        const pathError = validateDocumentPath(req.params.name);
+        if (pathError) {
+            return res.status(400).json({ error: pathError });
+        }
+        const name = req.params.name.join("/");
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Request body must contain the document file.' });
+        }
+        if (path.extname(name).toLowerCase() === ".docx" && !req.body.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+            return res.status(400).json({ error: 'File is not a valid .docx document.' });
+        }
+
+        const filePath = path.join(docsPath, name);
+        if (isInNestedDocs(filePath, nestedDocsPaths(knowledgeBase))) {
+            return res.status(400).json({ error: NESTED_DOCS_ERROR });
+        }
+        const existed = fs.existsSync(filePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.upload`;
+        fs.writeFileSync(tempPath, req.body);
+        fs.renameSync(tempPath, filePath);
+
+        console.log(`${existed ? "Replaced" : "Uploaded"} document: ${name}`);
+        res.status(existed ? 200 : 201).json({ name, size: req.body.length, replaced: existed });
+    });
+
+    router.delete('/documents/*name', (req, res) => {
+        const pathError = validateDocumentPath(req.params.name);
+        if (pathError) {
+            return res.status(400).json({ error: pathError });
+        }
+        const name = req.params.name.join("/");
+
+        const filePath = path.join(docsPath, name);
+        if (isInNestedDocs(filePath, nestedDocsPaths(knowledgeBase))) {
+            return res.status(400).json({ error: NESTED_DOCS_ERROR });
+        }
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+        fs.rmSync(filePath);
+        console.log(`Deleted document: ${name}`);
+        res.status(204).end();
+    });
+
+    router.post('/reindex', express.json(), (req, res) => {
+        const active = jobs.active();
+        if (active) {
+            return res.status(409).json({ error: 'A reindexing job is already running.', job: active });
+        }
+
+        const job = jobs.start({ full: req.body?.full === true });
+        res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json({ job });
+    });
+
+    router.get('/jobs', (req, res) => {
+        res.json({ jobs: jobs.list() });
+    });
+
+    router.get('/jobs/:jobId', (req, res) => {
+        const job = jobs.get(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.json({ job });
+    });
+
+    router.get('/feedback/report', (req, res) => {
+        if (!feedbackStore) {
+            return res.status(503).json({ error: 'Feedback is not recorded by this server.' });
+        }
+        const { since } = req.query;
+        if (since !== undefined && Number.isNaN(Date.parse(since))) {
+            return res.status(400).json({ error: `Invalid date "${since}".` });
+        }
+
+        const answers = feedbackStore.listAnswers({ knowledgeBase, since: since && new Date(since).toISOString() });
+        res.json({ knowledgeBase, ...buildKnowledgeGapReport(answers) });
+    });
+
+    // Token usage and estimated cost, per day (default), thread or model
+    router.get('/usage', (req, res) => {
+        if (!usageStore) {
+            return res.status(503).json({ error: 'Usage is not recorded by this server.' });
+        }
+        const { groupBy = "day", since } = req.query;
+        if (!["day", "thread", "model"].includes(groupBy)) {
+            return res.status(400).json({ error: 'groupBy must be day, thread or model.' });
+        }
+        if (since !== undefined && Number.isNaN(Date.parse(since))) {
+            return res.status(400).json({ error: `Invalid date "${since}".` });
+        }
+
+        const groups = usageStore.summarize({ groupBy, knowledgeBase, since: since && new Date(since).toISOString() });
+        const total = (field) => groups.reduce((sum, group) => sum + group[field], 0);
+        res.json({
+            knowledgeBase,
+            groupBy,
+            totals: {
+                requests: total("requests"),
+                promptTokens: total("promptTokens"),
+                completionTokens: total("completionTokens"),
+                costUsd: Math.round(total("costUsd") * 1e6) / 1e6,
+            },
+            groups,
+        });
+    });
+
+    return router;
+}
+
+export { createAdminRouter, requireAdminKey };
@@ -0,0 +1,123 @@
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+
+// Default location of the answer cache database
+const DEFAULT_ANSWER_CACHE_PATH = "./data/answer-cache.sqlite";
+
+/**
+ * Returns the cosine similarity of two vectors.
+ * @param {ArrayLike<number>} a - The first vector.
+ * @param {ArrayLike<number>} b - The second vector.
+ * @returns {number} The similarity, from -1 to 1; 0 when the lengths differ.
+ */
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Caches answers by the embedding of their question, so near-identical questions
+ * ("how to cancel a booking", "cancel booking steps") are answered without a run.
+ * Entries belong to one build of a knowledge base's vector store and to one scope
+ * (the answer format and audiences); they expire after their TTL.
+ */
+class AnswerCache {
+    /**
+     * @param {string} [dbPath] - The SQLite database file; defaults to ANSWER_CACHE_PATH or ./data/answer-cache.sqlite.
+     */
+    constructor(dbPath = process.env.ANSWER_CACHE_PATH || DEFAULT_ANSWER_CACHE_PATH) {
+        if (dbPath !== ":memory:") {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.exec(`
+CREATE TABLE IF NOT EXISTS answers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  knowledge_base TEXT NOT NULL,
+  store_version TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  question TEXT NOT NULL,
+  embedding BLOB NOT NULL,
+  answer TEXT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS answers_lookup ON answers (knowledge_base, store_version, scope);`);
+    }
+
+    /**
+     * Finds the cached answer to the most similar question.
+     * @param {object} key
+     * @param {string} key.knowledgeBase - The knowledge base answering.
+     * @param {string} key.storeVersion - The build of its vector store.
+     * @param {string} key.scope - The answer format and audiences.
+     * @param {number[]} key.embedding - The embedding of the question.
+     * @param {number} threshold - The minimum cosine similarity of a hit.
+     * @returns {{question: string, similarity: number, answer: object} | null} The hit, or null.
+     */
+    lookup({ knowledgeBase, storeVersion, scope, embedding }, threshold) {
+        this.db.prepare("DELETE FROM answers WHERE expires_at <= ?").run(Date.now());
+        const candidates = this.db
+            .prepare("SELECT id, question, embedding, answer FROM answers WHERE knowledge_base = ? AND store_version = ? AND scope = ?")
+            .all(knowledgeBase, storeVersion, scope);
+
+        let best = null;
+        for (const candidate of candidates) {
+            const stored = new Float32Array(candidate.embedding.buffer, candidate.embedding.byteOffset, candidate.embedding.byteLength / 4);
+            const similarity = cosineSimilarity(embedding, stored);
+            if (similarity >= threshold && similarity > (best?.similarity ?? -Infinity)) {
+                best = { ...candidate, similarity };
+            }
+        }
+        if (!best) return null;
+
+        this.db.prepare("UPDATE answers SET hits = hits + 1 WHERE id = ?").run(best.id);
+        return { question: best.question, similarity: Number(best.similarity.toFixed(4)), answer: JSON.parse(best.answer) };
+    }
+
+    /**
+     * Caches an answer.
+     * @param {object} key - The knowledge base, store version, scope and question embedding (see lookup).
+     * @param {string} question - The question.
+     * @param {object} answer - The answer fields replayed on a hit.
+     * @param {number} ttlSeconds - How long the answer is served from the cache.
+     */
+    store({ knowledgeBase, storeVersion, scope, embedding }, question, answer, ttlSeconds) {
+        this.db
+            .prepare("INSERT INTO answers (knowledge_base, store_version, scope, question, embedding, answer, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+            .run(
+                knowledgeBase,
+                storeVersion,
+                scope,
+                question,
+                Buffer.from(new Float32Array(embedding).buffer),
+                JSON.stringify(answer),
+                new Date().toISOString(),
+                Date.now() + ttlSeconds * 1000,
+            );
+    }
+
+    /**
+     * Drops the answers of a knowledge base given by any other build of its vector store.
+     * @param {string} knowledgeBase - The knowledge base.
+     * @param {string} storeVersion - The build now served.
+     * @returns {number} The number of answers dropped.
+     */
+    invalidate(knowledgeBase, storeVersion) {
+        return this.db
+            .prepare("DELETE FROM answers WHERE knowledge_base = ? AND store_version != ?")
+            .run(knowledgeBase, storeVersion).changes;
+    }
+}
+
+export { AnswerCache, cosineSimilarity };
@@ -0,0 +1,203 @@
+import cors from 'cors';
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+
+// A day, for daily quotas; fixed windows are aligned to the epoch, so this one resets at UTC midnight
+const DAY_SECONDS = 24 * 60 * 60;
+// How often expired rate limit windows are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Compares two secrets in constant time, whatever their lengths.
+ * @param {string} a - The first secret.
+ * @param {string} b - The second secret.
+ * @returns {boolean} True when they are equal.
+ */
+function secretsEqual(a, b) {
+    const digest = (value) => createHash("sha256").update(value).digest();
+    return timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Verifies an HS256-signed JSON Web Token and returns its claims. The token
+ * must name its client in `sub` and expire (`exp`).
+ * @param {string} token - The token.
+ * @param {{secret: string, issuer?: string, audience?: string}} options - The signing secret and the expected issuer and audience.
+ * @returns {object} The claims.
+ * @throws {Error} When the token is malformed, badly signed, expired or meant for someone else.
+ */
+function verifyJwt(token, { secret, issuer, audience }) {
+    const [header, payload, signature, ...rest] = token.split(".");
+    let algorithm;
+    let claims;
+    try {
+        algorithm = JSON.parse(Buffer.from(header, "base64url")).alg;
+        claims = JSON.parse(Buffer.from(payload, "base64url"));
+    } catch {
+        throw new Error("Malformed token.");
+    }
+    if (signature === undefined || rest.length > 0) {
+        throw new Error("Malformed token.");
+    }
+    if (algorithm !== "HS256") {
+        throw new Error(`Unsupported token algorithm "${algorithm}". Expected HS256.`);
+    }
+
+    const expected = createHmac("sha256", secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, "base64url");
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        throw new Error("Invalid token signature.");
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp !== "number") throw new Error("Token has no expiry.");
+    if (now >= claims.exp) throw new Error("Token has expired.");
+    if (typeof claims.nbf === "number" && now < claims.nbf) throw new Error("Token is not valid yet.");
+    if (!claims.sub) throw new Error("Token has no subject.");
+    if (issuer && claims.iss !== issuer) throw new Error("Token was issued by someone else.");
+    if (audience && ![claims.aud].flat().includes(audience)) throw new Error("Token is meant for another audience.");
+    return claims;
+}
+
+/**
+ * Fixed-window request counters. Windows are aligned to the epoch, so every
+ * client's window resets at the same moment.
+ */
+class RateLimiter {
+    constructor() {
+        this.windows = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Counts a request and reports whether it stays within the limit.
+     * @param {string} key - Who made the request, e.g. an IP address or API key name.
+     * @param {{limit: number, windowSeconds: number}} rule - The number of requests allowed per window.
+     * @returns {{allowed: boolean, limit: number, remaining: number, resetAt: number}} The outcome; resetAt is when the window ends, in milliseconds.
+     */
+    hit(key, { limit, windowSeconds }) {
+        const now = Date.now();
+        const windowMs = windowSeconds * 1000;
+        const resetAt = now - (now % windowMs) + windowMs;
+        this._sweep(now);
+
+        const window = this.windows.get(key);
+        const count = window?.resetAt === resetAt ? window.count + 1 : 1;
+        this.windows.set(key, { count, resetAt });
+        return { allowed: count <= limit, limit, remaining: Math.max(0, limit - count), resetAt };
+    }
+
+    _sweep(now) {
+        if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+        this.lastSweep = now;
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+/**
+ * Creates a middleware counting requests against a rate limiter. It sets the
+ * limit headers on every response and answers 429 with Retry-After once the
+ * limit is reached.
+ * @param {RateLimiter} limiter - The counters.
+ * @param {string} headerPrefix - Prefix of the Limit, Remaining and Reset headers.
+ * @param {(req, res) => {key: string, rule: object, message: string} | null} identify - Who to count the request for, or null to let it through.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+function limitRequests(limiter, headerPrefix, identify) {
+    return (req, res, next) => {
+        const target = identify(req, res);
+        if (!target || !(target.rule.limit > 0)) return next();
+
+        const { allowed, limit, remaining, resetAt } = limiter.hit(target.key, target.rule);
+        const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set({
+            [`${headerPrefix}-Limit`]: String(limit),
+            [`${headerPrefix}-Remaining`]: String(remaining),
+            [`${headerPrefix}-Reset`]: String(resetSeconds),
+        });
+        if (!allowed) {
+            res.set("Retry-After", String(resetSeconds));
+            return res.status(429).json({ error: target.message, retryAfter: resetSeconds });
+        }
+        next();
+    };
+}
+
+/**
+ * Creates the access control of the API server (see loadServerConfig):
+ * - cors: answers CORS requests from the allowed origins only.
+ * - limitIp: rate limits every client IP.
+ * - authenticate: requires an API key (x-api-key header or bearer token) or a
+ *   signed JWT bearer token, and records the client in res.locals.client.
+ *   Every request is let through when neither keys nor a JWT secret are configured.
+ * - limitClient: rate limits every API key or token subject.
+ * - chargeQuota: counts a chat request against the client's daily quota.
+ * @param {object} serverConfig - The server configuration.
+ * @returns {{enabled: boolean, cors: Function, limitIp: Function, authenticate: Function, limitClient: Function, chargeQuota: Function}} The middlewares.
+ */
+function createApiAccess({ apiKeys, jwt, allowedOrigins, rateLimit, dailyQuota }) {
+    const enabled = apiKeys.length > 0 || Boolean(jwt);
+    const limiter = new RateLimiter();
+    const quotas = new RateLimiter();
+
+    const authenticate = (req, res, next) => {
+        if (!enabled) return next();
+
+        const credential = req.get('x-api-key') ?? req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+        if (!credential) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'An API key or bearer token is required.' });
+        }
+
+        // Every key is compared so the time taken does not reveal which one matched
+        const apiKey = apiKeys.reduce((match, candidate) => (secretsEqual(credential, candidate.key) ? candidate : match), null);
+        if (apiKey) {
+            res.locals.client = { id: `key:${apiKey.name}`, rateLimit: apiKey.rateLimit, dailyQuota: apiKey.dailyQuota };
+            return next();
+        }
+
+        if (jwt && credential.split(".").length === 3) {
+            try {
+                const claims = verifyJwt(credential, jwt);
+                res.locals.client = { id: `jwt:${claims.sub}` };
+                return next();
+            } catch (error) {
+                res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+                return res.status(401).json({ error: error.message });
+            }
+        }
+
+        res.set('WWW-Authenticate', 'Bearer');
+        res.status(401).json({ error: 'Invalid API key or bearer token.' });
+    };
+
+    const limitIp = limitRequests(limiter, 'RateLimit', (req) => ({
+        key: `ip:${req.ip}`,
+        rule: rateLimit.perIp,
+        message: 'Too many requests from this address. Try again later.',
+    }));
+
+    const limitClient = limitRequests(limiter, 'RateLimit', (req, res) => res.locals.client && {
+        key: res.locals.client.id,
+        rule: { ...rateLimit.perKey, ...res.locals.client.rateLimit },
+        message: 'Too many requests for this API key. Try again later.',
+    });
+
+    const chargeQuota = limitRequests(quotas, 'X-Quota', (req, res) => res.locals.client && {
+        key: res.locals.client.id,
+        rule: { limit: res.locals.client.dailyQuota ?? dailyQuota, windowSeconds: DAY_SECONDS },
+        message: 'The daily chat quota of this API key is used up.',
+    });
+
+    return {
+        enabled,
+        cors: cors({ origin: allowedOrigins.includes("*") ? true : allowedOrigins }),
+        limitIp,
+        authenticate,
+        limitClient,
+        chargeQuota,
+    };
+}
+
+export { createApiAccess, verifyJwt, RateLimiter };
@@ -0,0 +1,199 @@
+import * as path from "path";
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { isVisibleTo } from "./audiences.js";
+import { tokenize } from "./keyword-index.js";
+import { retrieveChunks, buildSources, formatContext, reserveCitations } from "./citations.js";
+
+// Characters of a full article passed to the model; longer articles are cut and point to search_article
+const MAX_ARTICLE_LENGTH = 16000;
+// Titles suggested when no article matches
+const MAX_SUGGESTIONS = 3;
+// Share of title terms a loose match must have in common with the requested title
+const MIN_TITLE_SIMILARITY = 0.5;
+
+// Article catalog of each loaded vector store; a reloaded store gets a new one
+const catalogs = new WeakMap();
+
+/**
+ * Returns the articles of a vector store: every source document with its title
+ * and chunk ids, in document order.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @returns {Array<{document: string, title: string, chunks: Array<{id: string, document: object}>}>} The articles, by title.
+ */
+function getArticleCatalog(vectorStore) {
+    if (!catalogs.has(vectorStore)) {
+        const articles = new Map();
+        for (const [id, document] of vectorStore.getDocstore()._docs) {
+            const source = document.metadata?.source;
+            if (!source) continue;
+            if (!articles.has(source)) {
+                const title = document.metadata.title || path.basename(source, path.extname(source)).trim();
+                articles.set(source, { document: source, title, chunks: [] });
+            }
+            articles.get(source).chunks.push({ id, document });
+        }
+        catalogs.set(vectorStore, [...articles.values()].sort((a, b) => a.title.localeCompare(b.title)));
+    }
+    return catalogs.get(vectorStore);
+}
+
+/**
+ * Lists the articles the audiences may read: those with at least one visible chunk.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {string[] | null} audiences - The audiences; null for all.
+ * @returns {Array<object>} The articles, with only their visible chunks.
+ */
+function listArticles(vectorStore, audiences) {
+    return getArticleCatalog(vectorStore)
+        .map(article => ({ ...article, chunks: article.chunks.filter(({ document }) => !audiences || isVisibleTo(document, audiences)) }))
+        .filter(article => article.chunks.length > 0);
+}
+
+/**
+ * Finds an article by title or file name: an exact match first, then a title
+ * containing the request, then the title sharing the most terms with it.
+ * @param {Array<object>} articles - The articles to search.
+ * @param {string} title - The requested title.
+ * @returns {{article: object | null, suggestions: string[]}} The article, or the closest titles when none matches.
+ */
+function findArticle(articles, title) {
+    const normalize = (text) => text.toLowerCase().replace(/\.[a-z]+$/, "").replace(/[^a-z0-9]+/g, " ").trim();
+    const wanted = normalize(title);
+    const names = (article) => [normalize(article.title), normalize(article.document), normalize(path.basename(article.document))];
+
+    const exact = articles.find(article => names(article).includes(wanted));
+    if (exact) return { article: exact, suggestions: [] };
+
+    const containing = articles.filter(article => wanted && names(article).some(name => name.includes(wanted)));
+    if (containing.length === 1) return { article: containing[0], suggestions: [] };
+
+    const wantedTerms = new Set(tokenize(title).filter(term => !term.includes("_")));
+    const scored = articles
+        .map(article => {
+            const terms = new Set(tokenize(article.title).filter(term => !term.includes("_")));
+            const shared = [...wantedTerms].filter(term => terms.has(term)).length;
+            return { article, similarity: shared / (wantedTerms.size + terms.size - shared || 1) };
+        })
+        .sort((a, b) => b.similarity - a.similarity);
+
+    if (scored[0]?.similarity >= MIN_TITLE_SIMILARITY && scored[0].similarity > (scored[1]?.similarity ?? 0)) {
+        return { article: scored[0].article, suggestions: [] };
+    }
+    const suggestions = (containing.length > 1 ? containing.map(article => ({ article })) : scored.filter(({ similarity }) => similarity > 0))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ article }) => article.title);
+    return { article: null, suggestions };
+}
+
+/**
+ * Explains that no article matched a title.
+ * @param {string} title - The requested title.
+ * @param {string[]} suggestions - The closest titles.
+ * @returns {string} The message for the model.
+ */
+function articleNotFound(title, suggestions) {
+    const closest = suggestions.length > 0 ? ` Closest titles: ${suggestions.map(suggestion => `"${suggestion}"`).join(", ")}.` : "";
+    return `No article titled "${title}" was found.${closest} Use list_articles to see every title.`;
+}
+
+/**
+ * Creates the article tools offered to the agent next to the retrieval tool:
+ * - list_articles: the titles of the articles, optionally about a topic.
+ * - get_article: a whole article, every chunk numbered for citation, for questions
+ *   such as "what are all the booking statuses?" that five fragments cannot answer.
+ * - search_article: retrieval restricted to one article.
+ * Like the retrieval tool they honour `configurable.audiences`, and the tools
+ * returning context take their citation numbers from `configurable.citationCounter`.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {object} options - Tool options.
+ * @param {import("./keyword-index.js").KeywordIndex | null} [options.keywordIndex] - Keyword index fused with the vector results.
+ * @param {object} options.retrieval - Retrieval settings (see loadConfig).
+ * @returns {Array<import("@langchain/core/tools").StructuredTool>} The article tools.
+ */
+function createArticleTools(vectorStore, { keywordIndex = null, retrieval }) {
+    const listArticlesTool = tool(
+        async ({ topic }, config) => {
+            let articles = listArticles(vectorStore, config?.configurable?.audiences ?? null);
+            if (topic) {
+                const topicTerms = tokenize(topic).filter(term => !term.includes("_"));
+                articles = articles.filter(article => {
+                    const titleTerms = new Set(tokenize(`${article.title} ${article.document}`));
+                    return topicTerms.some(term => titleTerms.has(term));
+                });
+            }
+            if (articles.length === 0) {
+                return [`No articles${topic ? ` about "${topic}"` : ""} were found.`, { sources: [], covered: false }];
+            }
+            const list = articles.map(article => `- ${article.title}`).join("\n");
+            return [`Articles${topic ? ` about "${topic}"` : ""}:\n${list}`, { sources: [], covered: true }];
+        },
+        {
+            name: "list_articles",
+            description: "Lists the titles of the help center articles, optionally only those about a topic. Use it to find the article to open with get_article.",
+            schema: z.object({
+                topic: z.string().optional().describe("only list articles whose title mentions this topic"),
+            }),
+            responseFormat: "content_and_artifact",
+        }
+    );
+
+    const getArticleTool = tool(
+        async ({ title }, config) => {
+            const articles = listArticles(vectorStore, config?.configurable?.audiences ?? null);
+            const { article, suggestions } = findArticle(articles, title);
+            if (!article) {
+                return [articleNotFound(title, suggestions), { sources: [], covered: false }];
+            }
+
+            // Whole chunks only, up to the length limit
+            let length = 0;
+            const chunks = article.chunks.filter(({ document }) => {
+                length += document.pageContent.length;
+                return length <= MAX_ARTICLE_LENGTH;
+            });
+            const results = (chunks.length > 0 ? chunks : article.chunks.slice(0, 1)).map(({ id, document }) => ({ id, document, score: null, match: "article" }));
+            const sources = buildSources(results, reserveCitations(config, results.length));
+            const cut = results.length < article.chunks.length
+                ? `\n\n[The article continues; use search_article with the title "${article.title}" to find the rest.]`
+                : "";
+            return [`Article: ${article.title}\n\n${formatContext(results, sources)}${cut}`, { sources, covered: true }];
+        },
+        {
+            name: "get_article",
+            description: "Returns a whole help center article by title, each part numbered for citation. Use it when the answer needs the complete article, e.g. every status, option or step it lists.",
+            schema: z.object({
+                title: z.string().describe("the article title, as given by list_articles"),
+            }),
+            responseFormat: "content_and_artifact",
+        }
+    );
+
+    const searchArticleTool = tool(
+        async ({ title, query }, config) => {
+            const audiences = config?.configurable?.audiences ?? null;
+            const { article, suggestions } = findArticle(listArticles(vectorStore, audiences), title);
+            if (!article) {
+                return [articleNotFound(title, suggestions), { sources: [], covered: false }];
+            }
+
+            const results = await retrieveChunks(vectorStore, keywordIndex, query, retrieval, audiences, article.document);
+            const sources = buildSources(results, reserveCitations(config, results.length));
+            const context = results.length > 0 ? formatContext(results, sources) : `Nothing in "${article.title}" matches "${query}".`;
+            return [context, { sources, covered: results.length > 0 }];
+        },
+        {
+            name: "search_article",
+            description: "Searches within a single help center article and returns its relevant parts, each numbered for citation.",
+            schema: z.object({
+                title: z.string().describe("the article title, as given by list_articles"),
+                query: z.string().describe("what to look up in the article"),
+            }),
+            responseFormat: "content_and_artifact",
+        }
+    );
+
+    return [listArticlesTool, getArticleTool, searchArticleTool];
+}
+
+export { createArticleTools, getArticleCatalog, findArticle };
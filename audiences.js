@@ -0,0 +1,105 @@
+import * as fs from "fs";
+import * as path from "path";
+
+// Optional file in the documents folder tagging documents with the audiences allowed to see them
+const AUDIENCE_MAP_FILE = "audiences.json";
+
+// Audiences of documents the map does not mention, and of chunks indexed before audiences existed
+const DEFAULT_AUDIENCES = ["internal"];
+
+/**
+ * Normalizes an audience or list of audiences.
+ * @param {string | string[]} value - The audience(s).
+ * @returns {string[]} The unique, lowercase audiences.
+ */
+function normalizeAudiences(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return [...new Set(values.map(audience => String(audience).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Reads the audience map of a documents folder. Keys of `paths` are document
+ * paths relative to the folder, or folder prefixes ending in "/".
+ *
+ *   { "default": ["internal"], "paths": { "portal/": ["customer"], "Customer FAQs.docx": ["customer", "internal"] } }
+ *
+ * @param {string} docsPath - The documents folder.
+ * @returns {{default: string[], paths: Object<string, string[]>}} The audience map; every document is internal when there is no file.
+ * @throws {Error} When the file cannot be parsed.
+ */
+function readAudienceMap(docsPath) {
+    const mapPath = path.join(docsPath, AUDIENCE_MAP_FILE);
+    if (!fs.existsSync(mapPath)) {
+        return { default: DEFAULT_AUDIENCES, paths: {} };
+    }
+
+    let map;
+    try {
+        map = JSON.parse(fs.readFileSync(mapPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not parse audience map ${mapPath}: ${error.message}`);
+    }
+
+    const paths = Object.fromEntries(
+        Object.entries(map.paths ?? {}).map(([key, audiences]) => [key, normalizeAudiences(audiences)])
+    );
+    return { default: map.default ? normalizeAudiences(map.default) : DEFAULT_AUDIENCES, paths };
+}
+
+/**
+ * Returns the audiences of a document: an exact path entry first, then the
+ * longest matching folder prefix, then the map's default.
+ * @param {string} file - The document's "/"-separated path relative to the documents folder.
+ * @param {{default: string[], paths: Object<string, string[]>}} audienceMap - The audience map.
+ * @returns {string[]} The document's audiences.
+ */
+function resolveDocumentAudiences(file, audienceMap) {
+    if (audienceMap.paths[file]) return audienceMap.paths[file];
+
+    const folder = Object.keys(audienceMap.paths)
+        .filter(key => key.endsWith("/") && file.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    return folder ? audienceMap.paths[folder] : audienceMap.default;
+}
+
+/**
+ * Resolves the audiences a request may see. Requests without an audience get every
+ * audience the deployment serves; requests for any other audience are rejected.
+ * @param {string | string[] | undefined} requested - The audience(s) named by the request.
+ * @param {string[] | null} allowed - The audiences the deployment serves, or null for all.
+ * @returns {string[] | null} The audiences to retrieve for, or null for no restriction.
+ * @throws {Error} When a requested audience is not served by the deployment.
+ */
+function resolveRequestAudiences(requested, allowed) {
+    if (requested === undefined || requested === null || requested === "") {
+        return allowed;
+    }
+
+    const audiences = normalizeAudiences(requested);
+    const denied = allowed ? audiences.filter(audience => !allowed.includes(audience)) : [];
+    if (denied.length > 0) {
+        throw new Error(`Audience "${denied[0]}" is not available. Expected one of: ${allowed.join(", ")}.`);
+    }
+    return audiences;
+}
+
+/**
+ * Returns whether a chunk may be shown to any of the given audiences.
+ * @param {object} document - The chunk.
+ * @param {string[]} audiences - The audiences of the request.
+ * @returns {boolean} True when the chunk is visible.
+ */
+function isVisibleTo(document, audiences) {
+    const documentAudiences = document?.metadata?.audiences ?? DEFAULT_AUDIENCES;
+    return documentAudiences.some(audience => audiences.includes(audience));
+}
+
+export {
+    AUDIENCE_MAP_FILE,
+    DEFAULT_AUDIENCES,
+    normalizeAudiences,
+    readAudienceMap,
+    resolveDocumentAudiences,
+    resolveRequestAudiences,
+    isVisibleTo,
+};
@@ -0,0 +1,293 @@
+import { MemorySaver } from "@langchain/langgraph";
+import { SqliteSaver } from "@langchain/langgraph-checkpoint-sqlite";
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+import { DEFAULT_KNOWLEDGE_BASE, loadThreadConfig } from "./config.js";
+
+// Default locations of the persistent checkpointers
+const DEFAULT_FILE_PATH = "./data/threads";
+const DEFAULT_SQLITE_PATH = "./data/threads.sqlite";
+
+// How often idle threads are purged when a TTL is configured
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+/**
+ * In-memory checkpointer that also tracks when each thread was last updated,
+ * so threads can be listed and purged.
+ */
+class ThreadMemorySaver extends MemorySaver {
+    constructor(serde) {
+        super(serde);
+        this.updatedAt = {};
+    }
+
+    async put(config, checkpoint, metadata) {
+        const result = await super.put(config, checkpoint, metadata);
+        this.updatedAt[config.configurable.thread_id] = new Date().toISOString();
+        return result;
+    }
+
+    /**
+     * Lists every stored thread with its last update time.
+     * @returns {Promise<Array<{threadId: string, updatedAt: string}>>} The threads, most recent first.
+     */
+    async listThreads() {
+        return Object.keys(this.storage)
+            .map(threadId => ({ threadId, updatedAt: this.updatedAt[threadId] ?? null }))
+            .sort((a, b) => (b.updatedAt ?? "").localeCompare(a.updatedAt ?? ""));
+    }
+
+    /**
+     * Deletes a thread and all of its checkpoints.
+     * @param {string} threadId - The thread to delete.
+     * @returns {Promise<boolean>} Whether the thread existed.
+     */
+    async deleteThread(threadId) {
+        const existed = threadId in this.storage;
+        delete this.storage[threadId];
+        delete this.updatedAt[threadId];
+        for (const key of this._writeKeysForThread(threadId)) {
+            delete this.writes[key];
+        }
+        return existed;
+    }
+
+    _writeKeysForThread(threadId) {
+        return Object.keys(this.writes).filter(key => JSON.parse(key)[0] === threadId);
+    }
+}
+
+/**
+ * Checkpointer that keeps threads in memory and mirrors each one to a JSON file,
+ * so conversations survive a restart without a database. Only the latest
+ * checkpoint of each thread is kept, so a file does not grow with every turn.
+ */
+class FileSaver extends ThreadMemorySaver {
+    constructor(directory, serde) {
+        super(serde);
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+        this._loadAll();
+    }
+
+    async put(config, checkpoint, metadata) {
+        const result = await super.put(config, checkpoint, metadata);
+        this._dropOlderCheckpoints(config.configurable.thread_id, config.configurable.checkpoint_ns ?? "", checkpoint.id);
+        this._saveThread(config.configurable.thread_id);
+        return result;
+    }
+
+    async putWrites(config, writes, taskId) {
+        await super.putWrites(config, writes, taskId);
+        this._saveThread(config.configurable.thread_id);
+    }
+
+    async deleteThread(threadId) {
+        const existed = await super.deleteThread(threadId);
+        fs.rmSync(this._threadPath(threadId), { force: true });
+        return existed;
+    }
+
+    _dropOlderCheckpoints(threadId, namespace, latestId) {
+        const checkpoints = this.storage[threadId]?.[namespace] ?? {};
+        for (const checkpointId of Object.keys(checkpoints)) {
+            if (checkpointId !== latestId) delete checkpoints[checkpointId];
+        }
+        // The pending writes of dropped checkpoints can never be resumed
+        for (const key of this._writeKeysForThread(threadId)) {
+            const [, keyNamespace, checkpointId] = JSON.parse(key);
+            if (keyNamespace === namespace && checkpointId !== latestId) delete this.writes[key];
+        }
+    }
+
+    _threadPath(threadId) {
+        return path.join(this.directory, `${encodeURIComponent(threadId)}.json`);
+    }
+
+    _saveThread(threadId) {
+        if (!this.storage[threadId]) return;
+
+        // Serialized checkpoints are UTF-8 JSON bytes; store them as strings
+        const storage = {};
+        for (const [namespace, checkpoints] of Object.entries(this.storage[threadId])) {
+            storage[namespace] = {};
+            for (const [checkpointId, [checkpoint, metadata, parentId]] of Object.entries(checkpoints)) {
+                storage[namespace][checkpointId] = [textDecoder.decode(checkpoint), textDecoder.decode(metadata), parentId];
+            }
+        }
+        const writes = {};
+        for (const key of this._writeKeysForThread(threadId)) {
+            writes[key] = {};
+            for (const [innerKey, [taskId, channel, value]] of Object.entries(this.writes[key])) {
+                writes[key][innerKey] = [taskId, channel, typeof value === "string" ? value : textDecoder.decode(value)];
+            }
+        }
+
+        const filePath = this._threadPath(threadId);
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ threadId, updatedAt: this.updatedAt[threadId], storage, writes }));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    _loadAll() {
+        for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith(".json"))) {
+            try {
+                const { threadId, updatedAt, storage, writes } = JSON.parse(fs.readFileSync(path.join(this.directory, file), "utf8"));
+                // Back to the UTF-8 bytes MemorySaver keeps, so saving the thread again decodes them
+                for (const checkpoints of Object.values(storage)) {
+                    for (const [checkpointId, [checkpoint, metadata, parentId]] of Object.entries(checkpoints)) {
+                        checkpoints[checkpointId] = [textEncoder.encode(checkpoint), textEncoder.encode(metadata), parentId];
+                    }
+                }
+                for (const keyWrites of Object.values(writes)) {
+                    for (const [innerKey, [taskId, channel, value]] of Object.entries(keyWrites)) {
+                        keyWrites[innerKey] = [taskId, channel, textEncoder.encode(value)];
+                    }
+                }
+                this.storage[threadId] = storage;
+                this.updatedAt[threadId] = updatedAt;
+                Object.assign(this.writes, writes);
+            } catch (error) {
+                console.error(`Error loading conversation thread from ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * SQLite checkpointer with an extra table recording when each thread was last updated.
+ */
+class ThreadSqliteSaver extends SqliteSaver {
+    static fromConnString(connString) {
+        return new ThreadSqliteSaver(new Database(connString));
+    }
+
+    setup() {
+        if (this.isSetup) return;
+        super.setup();
+        this.db.exec(`
+CREATE TABLE IF NOT EXISTS threads (
+  thread_id TEXT PRIMARY KEY,
+  updated_at TEXT NOT NULL
+);`);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const result = await super.put(config, checkpoint, metadata);
+        this.db
+            .prepare("INSERT INTO threads (thread_id, updated_at) VALUES (?, ?) ON CONFLICT(thread_id) DO UPDATE SET updated_at = excluded.updated_at")
+            .run(config.configurable.thread_id, new Date().toISOString());
+        return result;
+    }
+
+    async listThreads() {
+        this.setup();
+        return this.db
+            .prepare("SELECT thread_id AS threadId, updated_at AS updatedAt FROM threads ORDER BY updated_at DESC")
+            .all();
+    }
+
+    async deleteThread(threadId) {
+        this.setup();
+        const removeThread = this.db.transaction((id) => {
+            this.db.prepare("DELETE FROM writes WHERE thread_id = ?").run(id);
+            const { changes } = this.db.prepare("DELETE FROM checkpoints WHERE thread_id = ?").run(id);
+            this.db.prepare("DELETE FROM threads WHERE thread_id = ?").run(id);
+            return changes > 0;
+        });
+        return removeThread(threadId);
+    }
+}
+
+/**
+ * Creates the conversation checkpointer selected by the thread configuration
+ * ("memory", "file" or "sqlite"); its path overrides where the file and SQLite backends store threads.
+ * Named knowledge bases keep their threads apart: in a subfolder of the file
+ * backend's folder, or in a SQLite database whose name ends with the knowledge base name.
+ * @param {string} [knowledgeBase] - The knowledge base whose threads are stored.
+ * @param {{checkpointer: string, path: string | null}} [settings] - The thread configuration; defaults to loadThreadConfig().
+ * @returns {ThreadMemorySaver | FileSaver | ThreadSqliteSaver} The checkpointer.
+ */
+function createCheckpointer(knowledgeBase = DEFAULT_KNOWLEDGE_BASE, settings = loadThreadConfig()) {
+    const type = settings.checkpointer;
+    const isDefault = knowledgeBase === DEFAULT_KNOWLEDGE_BASE;
+
+    switch (type) {
+        case "memory":
+            return new ThreadMemorySaver();
+        case "file": {
+            const basePath = settings.path || DEFAULT_FILE_PATH;
+            const directory = isDefault ? basePath : path.join(basePath, knowledgeBase);
+            console.log(`Storing conversation threads as files in ${directory}`);
+            return new FileSaver(directory);
+        }
+        case "sqlite": {
+            const basePath = settings.path || DEFAULT_SQLITE_PATH;
+            const { dir, name, ext } = path.parse(basePath);
+            const dbPath = isDefault ? basePath : path.join(dir, `${name}-${knowledgeBase}${ext}`);
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+            console.log(`Storing conversation threads in SQLite database ${dbPath}`);
+            return ThreadSqliteSaver.fromConnString(dbPath);
+        }
+        default:
+            throw new Error(`Unsupported checkpointer "${type}". Expected one of: memory, file, sqlite.`);
+    }
+}
+
+/**
+ * Deletes threads that have been idle for longer than the TTL.
+ * @param {ThreadMemorySaver | FileSaver | ThreadSqliteSaver} checkpointer - The checkpointer to purge.
+ * @param {number} ttlMs - The maximum idle time in milliseconds.
+ * @returns {Promise<string[]>} The ids of the purged threads.
+ */
+async function purgeIdleThreads(checkpointer, ttlMs) {
+    const cutoff = new Date(Date.now() - ttlMs).toISOString();
+    const purged = [];
+    for (const { threadId, updatedAt } of await checkpointer.listThreads()) {
+        if (updatedAt && updatedAt < cutoff) {
+            await checkpointer.deleteThread(threadId);
+            purged.push(threadId);
+        }
+    }
+    return purged;
+}
+
+/**
+ * Purges idle threads now and then periodically.
+ * @param {ThreadMemorySaver | FileSaver | ThreadSqliteSaver} checkpointer - The checkpointer to purge.
+ * @param {number} [ttlHours] - The maximum idle time in hours (0 disables purging); defaults to the configured one.
+ * @returns {NodeJS.Timeout | null} The purge timer, if purging is enabled.
+ */
+function startThreadPurge(checkpointer, ttlHours = loadThreadConfig().ttlHours) {
+    if (!(ttlHours > 0)) return null;
+
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    const purge = async () => {
+        try {
+            const purged = await purgeIdleThreads(checkpointer, ttlMs);
+            if (purged.length > 0) {
+                console.log(`Purged ${purged.length} conversation thread(s) idle for more than ${ttlHours} hours.`);
+            }
+        } catch (error) {
+            console.error("Error purging idle threads:", error);
+        }
+    };
+
+    purge();
+    const timer = setInterval(purge, Math.min(PURGE_INTERVAL_MS, ttlMs));
+    timer.unref(); // Never keep the process alive just to purge threads
+    return timer;
+}
+
+export {
+    ThreadMemorySaver,
+    FileSaver,
+    ThreadSqliteSaver,
+    createCheckpointer,
+    purgeIdleThreads,
+    startThreadPurge,
+};
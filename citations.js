@@ -0,0 +1,347 @@
+import { tool } from "@langchain/core/tools";
+import { maximalMarginalRelevance } from "@langchain/core/utils/math";
+import { HumanMessage, ToolMessage } from "@langchain/core/messages";
+import { z } from "zod";
+import { isVisibleTo } from "./audiences.js";
+
+// Number of characters of each chunk returned as a source snippet
+const SNIPPET_LENGTH = 200;
+
+// Stored vectors of each FAISS index, read once for MMR
+const indexVectors = new WeakMap();
+
+/**
+ * Converts a FAISS squared L2 distance into a 0-1 relevance score.
+ * createEmbeddings normalizes every embedder's vectors to unit length, for which
+ * the squared distance is 2 - 2 * cosine similarity.
+ * @param {number} distance - The squared L2 distance returned by FAISS.
+ * @returns {number} The relevance score, higher is more relevant.
+ */
+function distanceToRelevance(distance) {
+    const relevance = Math.min(1, Math.max(0, 1 - distance / 2));
+    return Math.round(relevance * 1000) / 1000;
+}
+
+/**
+ * Searches the vector store and returns each chunk with its docstore id and relevance score.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {string} query - The search query.
+ * @param {number} k - The number of chunks to return.
+ * @param {(document: object) => boolean} [filter] - Only chunks that pass are returned.
+ * @param {number[] | null} [queryVector] - The query's embedding, when it is already known.
+ * @returns {Promise<Array<{id: string, document: object, score: number}>>} The matching chunks, best first.
+ */
+async function searchWithScores(vectorStore, query, k, filter, queryVector = null) {
+    const total = vectorStore.index.ntotal();
+    if (total === 0) return [];
+
+    queryVector ??= await vectorStore.embeddings.embedQuery(query);
+    // A filter may reject any of the nearest chunks, so filtered searches rank the whole index
+    const { labels, distances } = vectorStore.index.search(queryVector, filter ? total : Math.min(k, total));
+    const mapping = vectorStore.getMapping();
+
+    const results = labels.map((label, i) => {
+        const id = mapping[label];
+        return {
+            id,
+            document: vectorStore.getDocstore().search(id),
+            score: distanceToRelevance(distances[i]),
+        };
+    });
+    return filter ? results.filter(({ document }) => filter(document)).slice(0, k) : results;
+}
+
+/**
+ * Combines vector and keyword search with weighted reciprocal rank fusion, so a chunk
+ * whose title or text literally matches a product term ranks alongside semantic matches.
+ * Chunks found only by keyword search carry a null relevance score, and every
+ * chunk records whether keyword search found it.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {import("./keyword-index.js").KeywordIndex | null} keywordIndex - The keyword index, if the store has one.
+ * @param {string} query - The search query.
+ * @param {object} options - Retrieval settings (see loadConfig).
+ * @param {(document: object) => boolean} [options.filter] - Only chunks that pass are searched.
+ * @param {number[]} [options.queryVector] - The query's embedding, when it is already known.
+ * @returns {Promise<Array<{id: string, document: object, score: number | null, keywordMatch: boolean}>>} The fused chunks, best first.
+ */
+async function hybridSearch(vectorStore, keywordIndex, query, { k, fetchK, vectorWeight, keywordWeight, titleBoost, rrfK, filter, queryVector }) {
+    const candidates = Math.max(k, fetchK);
+    const vectorResults = await searchWithScores(vectorStore, query, candidates, filter, queryVector);
+    if (!keywordIndex || !(keywordWeight > 0)) {
+        return vectorResults.slice(0, k).map(result => ({ ...result, keywordMatch: false }));
+    }
+
+    const fused = new Map();
+    vectorResults.forEach((result, rank) => {
+        fused.set(result.id, { ...result, fusedScore: vectorWeight / (rrfK + rank + 1), keywordRank: Number.MAX_SAFE_INTEGER });
+    });
+    const keywordFilter = filter && ((id) => filter(vectorStore.getDocstore().search(id)));
+    keywordIndex.search(query, candidates, { titleBoost, filter: keywordFilter }).forEach(({ id }, rank) => {
+        const entry = fused.get(id) ?? { id, document: vectorStore.getDocstore().search(id), score: null, fusedScore: 0 };
+        entry.fusedScore += keywordWeight / (rrfK + rank + 1);
+        entry.keywordRank = rank;
+        fused.set(id, entry);
+    });
+
+    return [...fused.values()]
+        .filter(({ document }) => document)
+        // Ties go to the better keyword match, i.e. the chunk that literally contains the term
+        .sort((a, b) => b.fusedScore - a.fusedScore || a.keywordRank - b.keywordRank)
+        .slice(0, k)
+        .map(({ id, document, score, keywordRank }) => ({ id, document, score, keywordMatch: keywordRank !== Number.MAX_SAFE_INTEGER }));
+}
+
+/**
+ * Drops chunks whose relevance is below the cutoff. Nothing passes unless at least
+ * one chunk reaches the cutoff; once the question is known to be covered, chunks
+ * found by keyword search are kept whatever their relevance score.
+ * @param {Array<{score: number | null, keywordMatch: boolean}>} results - The retrieved chunks.
+ * @param {number} minScore - The minimum relevance score.
+ * @returns {Array<object>} The chunks that pass the cutoff.
+ */
+function applyRelevanceCutoff(results, minScore) {
+    if (!results.some(({ score }) => score !== null && score >= minScore)) return [];
+    return results.filter(({ score, keywordMatch }) => keywordMatch || score >= minScore);
+}
+
+/**
+ * Reads the vectors stored in a vector store's flat FAISS index, keyed by docstore id.
+ * faiss-node cannot reconstruct single vectors, but a flat index serializes to a
+ * header followed by its float32 vectors in label order, so they are read from the
+ * end of that buffer. The vectors are read once per index.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @returns {{labels: Map<string, number>, dimension: number, data: Float32Array}} The label of each chunk and the stored vectors.
+ */
+function readStoredVectors(vectorStore) {
+    const { index } = vectorStore;
+    const total = index.ntotal();
+    const cached = indexVectors.get(index);
+    if (cached && cached.data.length === total * cached.dimension) return cached;
+
+    const dimension = index.getDimension();
+    const buffer = index.toBuffer();
+    const data = new Float32Array(total * dimension);
+    buffer.copy(Buffer.from(data.buffer), 0, buffer.length - data.byteLength);
+    const labels = new Map(Object.entries(vectorStore.getMapping()).map(([label, id]) => [id, Number(label)]));
+
+    const vectors = { labels, dimension, data };
+    indexVectors.set(index, vectors);
+    return vectors;
+}
+
+/**
+ * Reorders chunks with maximal marginal relevance so near-duplicate chunks do not
+ * crowd out other relevant ones. The chunks' vectors are read from the index
+ * rather than embedded again.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store the chunks come from.
+ * @param {number[]} queryVector - The query's embedding.
+ * @param {Array<{id: string}>} results - The candidate chunks.
+ * @param {number} k - The number of chunks to return.
+ * @param {number} lambda - Trade-off between relevance (1) and diversity (0).
+ * @returns {Array<object>} The selected chunks.
+ */
+function diversify(vectorStore, queryVector, results, k, lambda) {
+    const { labels, dimension, data } = readStoredVectors(vectorStore);
+    const documentVectors = results.map(({ id }) => {
+        const label = labels.get(id);
+        return Array.from(data.subarray(label * dimension, (label + 1) * dimension));
+    });
+    return maximalMarginalRelevance(queryVector, documentVectors, lambda, k).map(index => results[index]);
+}
+
+/**
+ * Retrieves the chunks passed to the model: hybrid search over the chunks the
+ * audiences may see, then the relevance cutoff, then optional MMR diversification.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {import("./keyword-index.js").KeywordIndex | null} keywordIndex - The keyword index, if the store has one.
+ * @param {string} query - The search query.
+ * @param {object} retrieval - Retrieval settings (see loadConfig).
+ * @param {string[] | null} [audiences] - Only chunks tagged with one of these audiences are retrieved; null for all.
+ * @param {string | null} [source] - Only chunks of this document are retrieved; null for all.
+ * @returns {Promise<Array<{id: string, document: object, score: number | null}>>} The chunks, empty when nothing is relevant.
+ */
+async function retrieveChunks(vectorStore, keywordIndex, query, retrieval, audiences = null, source = null) {
+    const { k, fetchK, minScore, mmr, mmrLambda } = retrieval;
+    const filter = audiences || source
+        ? (document) => (!audiences || isVisibleTo(document, audiences)) && (!source || document.metadata?.source === source)
+        : undefined;
+    // MMR compares the chunks with the query, so its embedding is kept for that
+    const queryVector = mmr ? await vectorStore.embeddings.embedQuery(query) : undefined;
+    const candidates = await hybridSearch(vectorStore, keywordIndex, query, { ...retrieval, k: Math.max(k, fetchK), filter, queryVector });
+    const relevant = applyRelevanceCutoff(candidates, minScore);
+
+    if (!mmr || relevant.length <= k) {
+        return relevant.slice(0, k);
+    }
+    return diversify(vectorStore, queryVector, relevant, k, mmrLambda);
+}
+
+/**
+ * Reserves citation numbers for the context a tool is about to return. Tool calls
+ * of one turn share `configurable.citationCounter` ({count}: the sources already
+ * cited), so calls running in parallel get distinct numbers.
+ * @param {object} [config] - The tool's run config.
+ * @param {number} count - The number of sources to number.
+ * @returns {number} The offset to number the sources from.
+ */
+function reserveCitations(config, count) {
+    const counter = config?.configurable?.citationCounter;
+    if (!counter) return 0;
+    const offset = counter.count;
+    counter.count += count;
+    return offset;
+}
+
+/**
+ * Builds the numbered source entries for a set of retrieved chunks. `match` tells
+ * how a chunk was found: "vector" (with a relevance score), "keyword" (keyword
+ * search only) or "article" (read as part of a whole article). `images` lists the
+ * screenshots next to the chunk ({id, alt}).
+ * @param {Array<{id: string, document: object, score: number | null, match?: string}>} results - The retrieved chunks.
+ * @param {number} offset - The number of sources already cited in this turn.
+ * @returns {Array<object>} The source entries.
+ */
+function buildSources(results, offset = 0) {
+    return results.map(({ id, document, score, match }, i) => {
+        const { source, section, images } = document.metadata ?? {};
+        // Section-chunked documents start with their heading path; leave it out of the snippet
+        const body = section && document.pageContent.startsWith(section)
+            ? document.pageContent.slice(section.length)
+            : document.pageContent;
+        const snippet = body.replace(/\s+/g, " ").trim();
+
+        return {
+            citation: offset + i + 1,
+            document: source,
+            section: section ?? null,
+            chunkId: id,
+            score,
+            match: match ?? (score !== null ? "vector" : "keyword"),
+            snippet: snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH)}…` : snippet,
+            images: images ?? [],
+        };
+    });
+}
+
+/**
+ * Formats retrieved chunks as numbered context for the model.
+ * @param {Array<{document: object}>} results - The retrieved chunks.
+ * @param {Array<object>} sources - The matching source entries.
+ * @returns {string} The context passed back to the model.
+ */
+function formatContext(results, sources) {
+    if (results.length === 0) {
+        return "No relevant document context was found.";
+    }
+    return results
+        .map(({ document }, i) => {
+            const { citation, document: file, section } = sources[i];
+            return `[${citation}] Source: ${file}${section ? ` (${section})` : ""}\n${document.pageContent}`;
+        })
+        .join("\n\n");
+}
+
+/**
+ * Creates the retrieval tool bound to the model. Its output numbers every chunk
+ * so the model can cite it, and its artifact carries the matching source entries
+ * and whether any chunk passed the relevance cutoff (`covered`).
+ * Pass `configurable.citationCounter` when invoking it to continue numbering
+ * across several tool calls in one turn (see reserveCitations), and
+ * `configurable.audiences` to restrict retrieval to the documents of those audiences.
+ * @param {import("@langchain/community/vectorstores/faiss").FaissStore} vectorStore - The vector store.
+ * @param {object} options - Tool options.
+ * @param {import("./keyword-index.js").KeywordIndex | null} [options.keywordIndex] - Keyword index fused with the vector results.
+ * @param {object} options.retrieval - Retrieval settings (see loadConfig).
+ * @returns {import("@langchain/core/tools").StructuredTool} The retrieval tool.
+ */
+function createCitationRetrieverTool(vectorStore, { keywordIndex = null, retrieval }) {
+    return tool(
+        async ({ query }, config) => {
+            const results = await retrieveChunks(vectorStore, keywordIndex, query, retrieval, config?.configurable?.audiences ?? null);
+            const sources = buildSources(results, reserveCitations(config, results.length));
+            return [formatContext(results, sources), { sources, covered: results.length > 0 }];
+        },
+        {
+            name: "retrieve_document_context",
+            description: "Searches and returns relevant document context for a given query. Each result is numbered for citation.",
+            schema: z.object({
+                query: z.string().describe("query to look up in the documents"),
+            }),
+            responseFormat: "content_and_artifact",
+        }
+    );
+}
+
+/**
+ * Collects the sources returned by tool calls since the last user message.
+ * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The conversation messages.
+ * @returns {Array<object>} The sources retrieved in the current turn.
+ */
+function collectTurnSources(messages) {
+    const sources = [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const message = messages[i];
+        if (message instanceof HumanMessage) break;
+        if (message instanceof ToolMessage && message.artifact?.sources) {
+            sources.unshift(...message.artifact.sources);
+        }
+    }
+    return sources;
+}
+
+/**
+ * Collects every source retrieved during a conversation, each chunk once.
+ * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The conversation messages.
+ * @returns {Array<object>} The sources, in the order they were first retrieved.
+ */
+function collectThreadSources(messages) {
+    const sources = new Map();
+    for (const message of messages) {
+        if (!(message instanceof ToolMessage)) continue;
+        for (const source of message.artifact?.sources ?? []) {
+            if (!sources.has(source.chunkId)) sources.set(source.chunkId, source);
+        }
+    }
+    return [...sources.values()];
+}
+
+/**
+ * Returns the sources the answer actually cites through [n] markers.
+ * Falls back to every retrieved source when the answer carries no markers.
+ * @param {string} answer - The model's answer.
+ * @param {Array<object>} sources - The sources retrieved for the answer.
+ * @returns {Array<object>} The cited sources.
+ */
+function selectCitedSources(answer, sources) {
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    if (cited.size === 0) return sources;
+    return sources.filter(source => cited.has(source.citation));
+}
+
+/**
+ * Formats sources as lines for terminal output.
+ * @param {Array<object>} sources - The sources to print.
+ * @returns {string} The formatted sources.
+ */
+function formatSourcesForCli(sources) {
+    return sources
+        .map(({ citation, document, section, score, match }) => {
+            const how = match === "article" ? " (full article)" : score !== null ? ` (relevance ${score})` : " (keyword match)";
+            return `  [${citation}] ${document}${section ? ` — ${section}` : ""}${how}`;
+        })
+        .join("\n");
+}
+
+export {
+    searchWithScores,
+    hybridSearch,
+    retrieveChunks,
+    reserveCitations,
+    buildSources,
+    formatContext,
+    createCitationRetrieverTool,
+    collectTurnSources,
+    collectThreadSources,
+    selectCitedSources,
+    formatSourcesForCli,
+};
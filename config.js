@@ -0,0 +1,428 @@
+import * as fs from "fs";
+import * as path from "path";
+
+// Optional JSON config file; CHATBOT_CONFIG points at a different one
+const DEFAULT_CONFIG_FILE = "./chatbot.config.json";
+
+// Name of the knowledge base described by the top level of the config
+const DEFAULT_KNOWLEDGE_BASE = "default";
+// Knowledge base names double as folder names
+const KNOWLEDGE_BASE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const DEFAULTS = {
+    docsPath: "./docs",
+    vectorStorePath: "./vectorstore/db_faiss",
+    retrieval: {
+        k: 5, // Chunks passed to the model
+        fetchK: 20, // Candidates taken from each search before fusion
+        vectorWeight: 1, // Weight of the vector ranking in reciprocal rank fusion
+        keywordWeight: 1, // Weight of the keyword ranking; 0 disables keyword search
+        titleBoost: 2, // Extra weight of query terms found in an article's title or file name
+        rrfK: 60, // Reciprocal rank fusion constant
+        minScore: 0.25, // Chunks less relevant than this are never passed to the model
+        mmr: false, // Diversify the chunks with maximal marginal relevance
+        mmrLambda: 0.5, // MMR trade-off between relevance (1) and diversity (0)
+    },
+    queryRewriting: {
+        enabled: true, // Rewrite follow-up questions into standalone search queries
+        historyTurns: 3, // Earlier turns the rewriter sees
+    },
+    answerCaching: {
+        enabled: true, // Answer first questions of a thread from the answer cache when the server provides one
+        similarityThreshold: 0.92, // Minimum cosine similarity between question embeddings for a cache hit
+        ttlSeconds: 24 * 60 * 60, // How long a cached answer is served; a rebuilt vector store drops it sooner
+    },
+    escalation: {
+        webhookUrl: null, // Where support tickets are posted; handoffs are only offered when it is set and the server records tickets
+        webhookSecret: null, // Signs each delivery with HMAC-SHA256 when set
+        maxAttempts: 5, // Deliveries tried before a ticket is marked failed
+        retryDelaySeconds: 5, // Delay before the first retry; doubled before each further one
+        timeoutSeconds: 10, // Time the webhook has to answer each delivery
+    },
+    // Introduces the assistant; the answering guidelines are appended to it
+    prompt: "You are an expert Q&A assistant. Your task is to answer the user's question accurately based on the provided document context.",
+    audiences: null, // Document audiences this deployment may answer from; null serves every document
+    notCoveredMessage: "Sorry, this topic is not covered in the help center. Please rephrase your question or contact our support team.",
+    // Chat model prices in US dollars per million tokens, used to estimate the cost of each request
+    pricing: {
+        "gpt-4o-mini": { input: 0.15, output: 0.6 },
+        "gpt-4o": { input: 2.5, output: 10 },
+        "gpt-4.1": { input: 2, output: 8 },
+        "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+        "openai/gpt-4.1": { input: 2, output: 8 },
+    },
+};
+
+// Access control and request limits of the API server
+const SERVER_DEFAULTS = {
+    allowedOrigins: [], // Origins allowed by CORS; empty allows none, "*" allows every origin
+    trustProxy: false, // Express "trust proxy" setting, so per-IP limits see the client behind a proxy
+    rateLimit: {
+        perKey: { limit: 60, windowSeconds: 60 }, // Requests per window for each API key or token subject
+        perIp: { limit: 120, windowSeconds: 60 }, // Requests per window for each client IP
+    },
+    dailyQuota: 2000, // Chat requests per UTC day for each API key or token subject; 0 for no quota
+    limits: {
+        maxBodySize: "16kb",
+        maxQuestionLength: 2000, // Characters
+        maxThreadIdLength: 128, // Characters
+        maxThreadTurns: 50, // Questions kept in one conversation thread
+    },
+};
+
+// Where conversation threads are kept and how long idle ones are
+const THREAD_DEFAULTS = {
+    checkpointer: "memory", // "memory", "file" or "sqlite"
+    path: null, // Folder of the file backend or database of the SQLite backend; null for ./data/threads(.sqlite)
+    ttlHours: 168, // Idle threads are purged after this many hours; 0 keeps them forever
+};
+
+/**
+ * Drops undefined and empty values so they do not override lower-precedence settings.
+ * @param {object} values - The values to compact.
+ * @returns {object} The defined values.
+ */
+function definedValues(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+/**
+ * Parses a numeric environment variable.
+ * @param {string | undefined} value - The variable's value.
+ * @returns {number | undefined} The number, or undefined when the variable is not set.
+ */
+function numberValue(value) {
+    return value !== undefined && value.trim() !== "" ? Number(value) : undefined;
+}
+
+/**
+ * Parses a boolean environment variable ("true"/"1" or "false"/"0").
+ * @param {string | undefined} value - The variable's value.
+ * @returns {boolean | undefined} The flag, or undefined when the variable is not set.
+ */
+function booleanValue(value) {
+    if (value === undefined || value.trim() === "") return undefined;
+    return ["true", "1", "yes"].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Parses a comma-separated list environment variable.
+ * @param {string | undefined} value - The variable's value.
+ * @returns {string[] | undefined} The non-empty items, or undefined when the variable is not set.
+ */
+function listValue(value) {
+    if (value === undefined || value.trim() === "") return undefined;
+    return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// The parsed config file, read once per path until refreshConfig()
+let configFileCache = null;
+
+/**
+ * Reads the config file, if there is one. The file is parsed once and kept
+ * until refreshConfig() is called.
+ * @returns {object} The parsed config file, or an empty object.
+ */
+function readConfigFile() {
+    const configPath = process.env.CHATBOT_CONFIG || DEFAULT_CONFIG_FILE;
+    if (configFileCache?.configPath === configPath) return configFileCache.file;
+
+    let file = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            file = JSON.parse(fs.readFileSync(configPath, "utf8"));
+        } catch (error) {
+            throw new Error(`Could not parse config file ${configPath}: ${error.message}`);
+        }
+    } else if (process.env.CHATBOT_CONFIG) {
+        throw new Error(`Config file not found at ${configPath}.`);
+    }
+    configFileCache = { configPath, file };
+    return file;
+}
+
+/**
+ * Drops the parsed config file, so the next read picks up changes to it.
+ */
+function refreshConfig() {
+    configFileCache = null;
+}
+
+/**
+ * Returns the names of the knowledge bases, the default one first.
+ * @returns {string[]} The knowledge base names.
+ */
+function listKnowledgeBases() {
+    return [DEFAULT_KNOWLEDGE_BASE, ...Object.keys(readConfigFile().knowledgeBases ?? {})];
+}
+
+/**
+ * Returns the documents folders of the other knowledge bases that sit inside a
+ * knowledge base's own, e.g. ./docs/customer-portal inside the default ./docs.
+ * Indexing leaves them out so no knowledge base answers from another's documents.
+ * @param {string} [knowledgeBase] - The knowledge base; defaults to the top-level one.
+ * @returns {string[]} The nested folders, resolved to absolute paths.
+ */
+function nestedDocsPaths(knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+    const own = path.resolve(loadConfig(knowledgeBase).docsPath);
+    return listKnowledgeBases()
+        .filter(name => name !== knowledgeBase)
+        .map(name => path.resolve(loadConfig(name).docsPath))
+        .filter(docsPath => docsPath.startsWith(own + path.sep));
+}
+
+/**
+ * Returns the config file settings of a knowledge base: the top level of the file
+ * overlaid with its `knowledgeBases` entry. Its documents and vector store default
+ * to folders named after it.
+ * @param {object} file - The parsed config file.
+ * @param {string} name - The knowledge base name.
+ * @returns {object} The settings.
+ * @throws {Error} When the knowledge base is not configured.
+ */
+function knowledgeBaseSettings(file, name) {
+    const knowledgeBase = KNOWLEDGE_BASE_NAME.test(name) ? file.knowledgeBases?.[name] : undefined;
+    if (!knowledgeBase) {
+        throw new Error(`Unknown knowledge base "${name}". Expected one of: ${listKnowledgeBases().join(", ")}.`);
+    }
+
+    return {
+        ...file,
+        ...knowledgeBase,
+        docsPath: knowledgeBase.docsPath ?? `./docs/${name}`,
+        vectorStorePath: knowledgeBase.vectorStorePath ?? `./vectorstore/${name}`,
+        chat: { ...file.chat, ...knowledgeBase.chat },
+        embeddings: { ...file.embeddings, ...knowledgeBase.embeddings },
+        retrieval: { ...file.retrieval, ...knowledgeBase.retrieval },
+        queryRewriting: { ...file.queryRewriting, ...knowledgeBase.queryRewriting },
+        answerCaching: { ...file.answerCaching, ...knowledgeBase.answerCaching },
+        escalation: { ...file.escalation, ...knowledgeBase.escalation },
+    };
+}
+
+/**
+ * Loads the chatbot configuration. Environment variables take precedence over
+ * the config file, which takes precedence over the built-in defaults.
+ *
+ * Named knowledge bases are listed under `knowledgeBases` in the config file; each
+ * entry overrides any top-level setting (docsPath, vectorStorePath, prompt, chat,
+ * embeddings, retrieval, queryRewriting, answerCaching, escalation, audiences, notCoveredMessage, pricing). DOCS_PATH and
+ * VECTORSTORE_PATH only apply to the default knowledge base.
+ *
+ * Chat model:  LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_TEMPERATURE
+ * Embeddings:  EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_BASE_URL
+ * Paths:       DOCS_PATH, VECTORSTORE_PATH
+ * Retrieval:   RETRIEVAL_K, RETRIEVAL_FETCH_K, RETRIEVAL_VECTOR_WEIGHT, RETRIEVAL_KEYWORD_WEIGHT,
+ *              RETRIEVAL_TITLE_BOOST, RETRIEVAL_RRF_K, RETRIEVAL_MIN_SCORE, RETRIEVAL_MMR,
+ *              RETRIEVAL_MMR_LAMBDA
+ * Follow-ups:  QUERY_REWRITING, QUERY_REWRITING_TURNS
+ * Cache:       ANSWER_CACHE, ANSWER_CACHE_THRESHOLD, ANSWER_CACHE_TTL_SECONDS
+ * Handoffs:    ESCALATION_WEBHOOK_URL, ESCALATION_WEBHOOK_SECRET, ESCALATION_MAX_ATTEMPTS,
+ *              ESCALATION_RETRY_DELAY_SECONDS, ESCALATION_TIMEOUT_SECONDS
+ * Audiences:   CHAT_AUDIENCES (comma-separated)
+ * Fallback:    NOT_COVERED_MESSAGE
+ *
+ * Model prices come from the config file's `pricing` map (model name to input and
+ * output US dollars per million tokens), merged over the built-in prices.
+ *
+ * @param {string} [knowledgeBase] - The knowledge base to load; defaults to the top-level one.
+ * @returns {{knowledgeBase: string, docsPath: string, vectorStorePath: string, prompt: string, chat: object, embeddings: object, retrieval: object, queryRewriting: {enabled: boolean, historyTurns: number}, answerCaching: {enabled: boolean, similarityThreshold: number, ttlSeconds: number}, escalation: {webhookUrl: string | null, webhookSecret: string | null, maxAttempts: number, retryDelaySeconds: number, timeoutSeconds: number}, audiences: string[] | null, notCoveredMessage: string, pricing: object}} The configuration.
+ * @throws {Error} When the config file cannot be read or the knowledge base is not configured.
+ */
+function loadConfig(knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+    const isDefault = knowledgeBase === DEFAULT_KNOWLEDGE_BASE;
+    const file = isDefault ? readConfigFile() : knowledgeBaseSettings(readConfigFile(), knowledgeBase);
+    const env = process.env;
+    const lower = (value) => value?.trim().toLowerCase();
+    const temperature = numberValue(env.LLM_TEMPERATURE);
+
+    const chat = {
+        provider: "openai",
+        ...definedValues(file.chat ?? {}),
+        ...definedValues({
+            provider: lower(env.LLM_PROVIDER),
+            model: env.LLM_MODEL?.trim(),
+            baseURL: env.LLM_BASE_URL?.trim(),
+            temperature,
+        }),
+    };
+
+    // The embedder has no default provider here: loaders follow the vector store
+    // manifest and ingestion picks its own default
+    const embeddings = {
+        ...definedValues(file.embeddings ?? {}),
+        ...definedValues({
+            provider: lower(env.EMBEDDING_PROVIDER),
+            model: env.EMBEDDING_MODEL?.trim(),
+            baseURL: env.EMBEDDING_BASE_URL?.trim(),
+        }),
+    };
+
+    const retrieval = {
+        ...DEFAULTS.retrieval,
+        ...definedValues(file.retrieval ?? {}),
+        ...definedValues({
+            k: numberValue(env.RETRIEVAL_K),
+            fetchK: numberValue(env.RETRIEVAL_FETCH_K),
+            vectorWeight: numberValue(env.RETRIEVAL_VECTOR_WEIGHT),
+            keywordWeight: numberValue(env.RETRIEVAL_KEYWORD_WEIGHT),
+            titleBoost: numberValue(env.RETRIEVAL_TITLE_BOOST),
+            rrfK: numberValue(env.RETRIEVAL_RRF_K),
+            minScore: numberValue(env.RETRIEVAL_MIN_SCORE),
+            mmr: booleanValue(env.RETRIEVAL_MMR),
+            mmrLambda: numberValue(env.RETRIEVAL_MMR_LAMBDA),
+        }),
+    };
+
+    const queryRewriting = {
+        ...DEFAULTS.queryRewriting,
+        ...definedValues(file.queryRewriting ?? {}),
+        ...definedValues({
+            enabled: booleanValue(env.QUERY_REWRITING),
+            historyTurns: numberValue(env.QUERY_REWRITING_TURNS),
+        }),
+    };
+
+    const answerCaching = {
+        ...DEFAULTS.answerCaching,
+        ...definedValues(file.answerCaching ?? {}),
+        ...definedValues({
+            enabled: booleanValue(env.ANSWER_CACHE),
+            similarityThreshold: numberValue(env.ANSWER_CACHE_THRESHOLD),
+            ttlSeconds: numberValue(env.ANSWER_CACHE_TTL_SECONDS),
+        }),
+    };
+
+    const escalation = {
+        ...DEFAULTS.escalation,
+        ...definedValues(file.escalation ?? {}),
+        ...definedValues({
+            webhookUrl: env.ESCALATION_WEBHOOK_URL?.trim(),
+            webhookSecret: env.ESCALATION_WEBHOOK_SECRET,
+            maxAttempts: numberValue(env.ESCALATION_MAX_ATTEMPTS),
+            retryDelaySeconds: numberValue(env.ESCALATION_RETRY_DELAY_SECONDS),
+            timeoutSeconds: numberValue(env.ESCALATION_TIMEOUT_SECONDS),
+        }),
+    };
+
+    return {
+        knowledgeBase,
+        docsPath: (isDefault && env.DOCS_PATH) || file.docsPath || DEFAULTS.docsPath,
+        vectorStorePath: (isDefault && env.VECTORSTORE_PATH) || file.vectorStorePath || DEFAULTS.vectorStorePath,
+        prompt: file.prompt || DEFAULTS.prompt,
+        chat,
+        embeddings,
+        retrieval,
+        queryRewriting,
+        answerCaching,
+        escalation,
+        audiences: listValue(env.CHAT_AUDIENCES) ?? file.audiences ?? DEFAULTS.audiences,
+        notCoveredMessage: env.NOT_COVERED_MESSAGE || file.notCoveredMessage || DEFAULTS.notCoveredMessage,
+        pricing: { ...DEFAULTS.pricing, ...file.pricing },
+    };
+}
+
+/**
+ * Reads the API keys from API_KEYS ("name:key" pairs, comma-separated) or the
+ * config file's `server.apiKeys` entries.
+ * @param {object} server - The `server` section of the config file.
+ * @returns {Array<{name: string, key: string, rateLimit?: object, dailyQuota?: number}>} The API keys.
+ * @throws {Error} When an entry has no name or key.
+ */
+function readApiKeys(server) {
+    const fromEnv = listValue(process.env.API_KEYS)?.map(entry => {
+        const separator = entry.indexOf(":");
+        return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+    const apiKeys = fromEnv ?? server.apiKeys ?? [];
+
+    for (const apiKey of apiKeys) {
+        if (!apiKey.name || !apiKey.key) {
+            throw new Error("Every API key needs a name and a key (API_KEYS entries are name:key).");
+        }
+    }
+    return apiKeys;
+}
+
+/**
+ * Loads the API server's access control and request limits from the `server`
+ * section of the config file, overridden by environment variables.
+ *
+ * Clients:     API_KEYS (name:key pairs, comma-separated), API_JWT_SECRET, API_JWT_ISSUER, API_JWT_AUDIENCE
+ * CORS:        CORS_ORIGINS (comma-separated)
+ * Proxy:       TRUST_PROXY
+ * Rate limits: RATE_LIMIT_PER_KEY, RATE_LIMIT_PER_IP, RATE_LIMIT_WINDOW_SECONDS, DAILY_QUOTA
+ * Limits:      MAX_BODY_SIZE, MAX_QUESTION_LENGTH, MAX_THREAD_ID_LENGTH, MAX_THREAD_TURNS
+ *
+ * API keys may carry their own `rateLimit` and `dailyQuota`. Clients are only
+ * authenticated when API keys or a JWT secret are configured.
+ *
+ * @returns {{apiKeys: Array<object>, jwt: {secret: string, issuer?: string, audience?: string} | null, allowedOrigins: string[], trustProxy: boolean | number | string, rateLimit: object, dailyQuota: number, limits: object}} The server configuration.
+ * @throws {Error} When the config file cannot be read or an API key is incomplete.
+ */
+function loadServerConfig() {
+    const file = readConfigFile().server ?? {};
+    const env = process.env;
+    const windowSeconds = numberValue(env.RATE_LIMIT_WINDOW_SECONDS);
+    const jwtSecret = env.API_JWT_SECRET || file.jwt?.secret;
+    const trustProxy = env.TRUST_PROXY?.trim();
+
+    const rateLimit = (name, limit) => ({
+        ...SERVER_DEFAULTS.rateLimit[name],
+        ...definedValues(file.rateLimit?.[name] ?? {}),
+        ...definedValues({ limit, windowSeconds }),
+    });
+
+    return {
+        apiKeys: readApiKeys(file),
+        jwt: jwtSecret
+            ? { secret: jwtSecret, issuer: env.API_JWT_ISSUER || file.jwt?.issuer, audience: env.API_JWT_AUDIENCE || file.jwt?.audience }
+            : null,
+        allowedOrigins: listValue(env.CORS_ORIGINS) ?? file.allowedOrigins ?? SERVER_DEFAULTS.allowedOrigins,
+        // true/false, a hop count or a comma-separated list of trusted addresses
+        trustProxy: trustProxy
+            ? (/^\d+$/.test(trustProxy) ? Number(trustProxy) : ["true", "false"].includes(trustProxy) ? trustProxy === "true" : trustProxy)
+            : file.trustProxy ?? SERVER_DEFAULTS.trustProxy,
+        rateLimit: {
+            perKey: rateLimit("perKey", numberValue(env.RATE_LIMIT_PER_KEY)),
+            perIp: rateLimit("perIp", numberValue(env.RATE_LIMIT_PER_IP)),
+        },
+        dailyQuota: numberValue(env.DAILY_QUOTA) ?? file.dailyQuota ?? SERVER_DEFAULTS.dailyQuota,
+        limits: {
+            ...SERVER_DEFAULTS.limits,
+            ...definedValues(file.limits ?? {}),
+            ...definedValues({
+                maxBodySize: env.MAX_BODY_SIZE?.trim(),
+                maxQuestionLength: numberValue(env.MAX_QUESTION_LENGTH),
+                maxThreadIdLength: numberValue(env.MAX_THREAD_ID_LENGTH),
+                maxThreadTurns: numberValue(env.MAX_THREAD_TURNS),
+            }),
+        },
+    };
+}
+
+/**
+ * Loads where conversation threads are stored from the `threads` section of the
+ * config file, overridden by environment variables.
+ *
+ * Threads:     CHECKPOINTER ("memory", "file" or "sqlite"), CHECKPOINT_PATH, THREAD_TTL_HOURS
+ *
+ * @returns {{checkpointer: string, path: string | null, ttlHours: number}} The thread storage configuration.
+ * @throws {Error} When the config file cannot be read.
+ */
+function loadThreadConfig() {
+    const file = readConfigFile().threads ?? {};
+    const env = process.env;
+    const settings = {
+        ...THREAD_DEFAULTS,
+        ...definedValues(file),
+        ...definedValues({
+            checkpointer: env.CHECKPOINTER?.trim(),
+            path: env.CHECKPOINT_PATH?.trim(),
+            ttlHours: numberValue(env.THREAD_TTL_HOURS),
+        }),
+    };
+    return { ...settings, checkpointer: settings.checkpointer.toLowerCase() };
+}
+
+export { DEFAULT_KNOWLEDGE_BASE, loadConfig, loadServerConfig, loadThreadConfig, listKnowledgeBases, nestedDocsPaths, refreshConfig };
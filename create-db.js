@@ -1,103 +1,257 @@
-import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
 import { FaissStore } from "@langchain/community/vectorstores/faiss";
-import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
 import * as fs from "fs";
 import * as path from "path";
-import mammoth from "mammoth";
+import { createHash } from "crypto";
 import dotenv from "dotenv";
+import { DEFAULT_CHUNKING, listDocuments, loadDocument } from "./document-loaders.js";
+import { readAudienceMap, resolveDocumentAudiences } from "./audiences.js";
+import { writeManifest, readManifest, compareSources, replaceVectorStore } from "./vectorstore-manifest.js";
+import { KEYWORD_INDEX_FILE, KeywordIndex, writeKeywordIndex } from "./keyword-index.js";
+import { referencedImageIds, writeImages } from "./images.js";
+import { loadConfig, nestedDocsPaths } from "./config.js";
+import { getDefaultModel, createEmbeddings } from "./providers.js";
 
 // Load environment variables from .env file
 dotenv.config();
 
 // --- CONFIGURATION ---
-const DOCS_PATH = "./docs"; // Folder containing your .docx files
-const DB_FAISS_PATH = "./vectorstore/db_faiss"; // Folder to save the vector store
+// --kb <name> builds a named knowledge base from chatbot.config.json instead of the default one
+const kbFlag = process.argv.indexOf("--kb");
+let config;
+try {
+    config = kbFlag === -1 ? loadConfig() : loadConfig(process.argv[kbFlag + 1]);
+} catch (error) {
+    console.error(" Error:", error.message);
+    process.exit(1);
+}
+const DOCS_PATH = config.docsPath; // Folder containing your documents (subfolders included)
+const DB_FAISS_PATH = config.vectorStorePath; // Folder to save the vector store
+const CHUNKING = DEFAULT_CHUNKING;
+
+/**
+ * Computes the SHA-256 hash of a file's contents.
+ * @param {string} filePath - The path to the file.
+ * @returns {string} The hex-encoded hash.
+ */
+function hashFile(filePath) {
+    return createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
 
 /**
- * Extracts raw text from a .docx file.
- * @param {string} filePath - The path to the .docx file.
- * @returns {Promise<string>} The extracted text content.
+ * Loads the existing vector store and its manifest when they can be updated in place.
+ * Returns null (forcing a full rebuild) when there is no store yet or it was built
+ * with a different embedder or chunking settings.
+ * @param {{provider: string, model: string}} embedding - The embedder used for this build.
+ * @param {import("@langchain/core/embeddings").Embeddings} embeddings - The embeddings client.
+ * @returns {Promise<{vectorStore: FaissStore, manifest: object} | null>} The existing store, if reusable.
  */
-async function extractTextFromDocx(filePath) {
+async function loadExistingStore(embedding, embeddings) {
+    if (!fs.existsSync(DB_FAISS_PATH)) {
+        return null;
+    }
+
+    let manifest;
     try {
-        const result = await mammoth.extractRawText({ path: filePath });
-        return result.value;
+        manifest = readManifest(DB_FAISS_PATH);
     } catch (error) {
-        console.error(`Error extracting text from ${filePath}:`, error);
-        return ""; // Return empty string on error
+        console.warn(`Warning: ${error.message} Falling back to a full rebuild.`);
+        return null;
+    }
+
+    if (manifest.embedding.provider !== embedding.provider || manifest.embedding.model !== embedding.model) {
+        console.warn(`Warning: Existing vector store was built with ${manifest.embedding.provider}/${manifest.embedding.model}. Falling back to a full rebuild.`);
+        return null;
     }
+    if (JSON.stringify(manifest.chunking) !== JSON.stringify(CHUNKING)) {
+        console.warn("Warning: Chunk settings changed since the last build. Falling back to a full rebuild.");
+        return null;
+    }
+
+    const vectorStore = await FaissStore.load(DB_FAISS_PATH, embeddings);
+    return { vectorStore, manifest };
+}
+
+/**
+ * Returns the docstore ids of every chunk that came from the given source file.
+ * @param {FaissStore} vectorStore - The vector store to search.
+ * @param {string} file - The source file path relative to the documents folder.
+ * @returns {string[]} The matching chunk ids.
+ */
+function getChunkIdsForSource(vectorStore, file) {
+    const ids = [];
+    for (const [id, doc] of vectorStore.getDocstore()._docs.entries()) {
+        if (doc.metadata?.source === file) {
+            ids.push(id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Saves the vector store, its keyword index, images and manifest to a staging folder, then swaps it into place
+ * so readers never see a half-written store.
+ * @param {FaissStore} vectorStore - The vector store to save.
+ * @param {Map<string, Buffer>} images - The images extracted from the documents chunked in this run.
+ * @param {object} manifestDetails - Details passed to writeManifest.
+ * @returns {Promise<number>} The number of images the store holds.
+ */
+async function saveVectorStore(vectorStore, images, manifestDetails) {
+    const stagingPath = `${DB_FAISS_PATH}.tmp`;
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(DB_FAISS_PATH), { recursive: true });
+
+    await vectorStore.save(stagingPath);
+    // The keyword index is cheap to build, so it is always rebuilt from the whole docstore
+    writeKeywordIndex(stagingPath, KeywordIndex.fromDocuments(vectorStore.getDocstore()._docs.entries()));
+    // Images of unchanged documents are carried over from the previous build
+    const imageCount = writeImages(stagingPath, referencedImageIds(vectorStore.getDocstore()._docs.entries()), images, DB_FAISS_PATH);
+    writeManifest(stagingPath, manifestDetails);
+
+    replaceVectorStore(stagingPath, DB_FAISS_PATH);
+    return imageCount;
 }
 
 /**
  * Main function to generate and save the vector store.
+ * Only added or modified documents are re-embedded unless --full is passed.
  */
 async function createVectorStore() {
-    // --- 1. CHECK FOR HUGGING FACE API KEY (for embeddings) ---
-    if (!process.env.HF_TOKEN) {
-        console.error(" Error: HF_TOKEN not set.");
-        console.log("Please set your Hugging Face API token in the .env file for creating embeddings.");
+    const fullRebuild = process.argv.includes("--full");
+
+    // --- 1. RESOLVE THE EMBEDDER ---
+    // Unless the embeddings config names a provider, the store is built with the embedder
+    // it was built with before, so an update never silently switches embeddings;
+    // a new store uses Hugging Face
+    const configured = config.embeddings;
+    let previous = null;
+    try {
+        previous = readManifest(DB_FAISS_PATH).embedding;
+    } catch {
+        // No usable manifest: nothing to stay consistent with
+    }
+    let embedding;
+    let embeddings;
+    try {
+        const provider = configured.provider ?? previous?.provider ?? "huggingface";
+        embedding = {
+            provider,
+            model: configured.model ?? (provider === previous?.provider ? previous.model : getDefaultModel(provider, "embeddings")),
+        };
+        embeddings = createEmbeddings({ ...embedding, baseURL: configured.baseURL });
+    } catch (error) {
+        console.error(" Error:", error.message);
+        console.log("Please set the API key for your embedding provider in the .env file.");
         process.exit(1);
     }
 
-    // --- 2. LOAD DOCUMENTS ---
-    console.log("Loading documents from:", DOCS_PATH);
-    const documents = [];
+    // --- 2. COMPARE DOCUMENTS WITH THE LAST BUILD ---
+    console.log(`Scanning documents of knowledge base "${config.knowledgeBase}" in:`, DOCS_PATH);
+    let existing = null;
+    let sources;
+    let skipped;
     try {
-        const files = fs.readdirSync(DOCS_PATH).filter(file => file.endsWith('.docx'));
+        let files;
+        ({ files, skipped } = listDocuments(DOCS_PATH, nestedDocsPaths(config.knowledgeBase)));
+        for (const { file, reason } of skipped) {
+            console.warn(`Skipping ${file}: ${reason}.`);
+        }
         if (files.length === 0) {
-            console.error(` No .docx files found in the '${DOCS_PATH}' directory.`);
+            console.error(` No supported documents found in the '${DOCS_PATH}' directory.`);
             process.exit(1);
         }
-        console.log(`Found ${files.length} .docx file(s).`);
-        for (const file of files) {
-            const filePath = path.join(DOCS_PATH, file);
-            const text = await extractTextFromDocx(filePath);
-            if (text) {
-                documents.push({
-                    pageContent: text,
-                    metadata: { source: file },
-                });
-            }
+        console.log(`Found ${files.length} document(s).`);
+        const audienceMap = readAudienceMap(DOCS_PATH);
+        sources = files.map(file => ({
+            file,
+            hash: hashFile(path.join(DOCS_PATH, file)),
+            audiences: resolveDocumentAudiences(file, audienceMap),
+        }));
+
+        if (fullRebuild) {
+            console.log("--full passed: rebuilding the vector store from scratch.");
+        } else {
+            existing = await loadExistingStore(embedding, embeddings);
         }
-        console.log("Documents loaded successfully.");
     } catch (error) {
-        console.error(" Error loading documents:", error.message);
+        console.error(" Error scanning documents:", error.message);
         process.exit(1);
     }
 
-    // --- 3. SPLIT DOCUMENTS INTO CHUNKS ---
-    console.log("\nSplitting documents into smaller chunks...");
-    const textSplitter = new RecursiveCharacterTextSplitter({
-        chunkSize: 1000,
-        chunkOverlap: 200,
-    });
-    const docs = await textSplitter.splitDocuments(documents);
-    console.log(`Documents split into ${docs.length} chunks.`);
-
-    // --- 4. CREATE EMBEDDINGS ---
-    console.log("\n Creating embeddings for the document chunks...");
-    // UPDATED: Use Hugging Face for embeddings
-    const embeddings = new HuggingFaceInferenceEmbeddings({
-        apiKey: process.env.HF_TOKEN,
-        model: "sentence-transformers/all-MiniLM-L6-v2", // A popular free model
-    });
-    console.log("Using Hugging Face for embeddings.");
-
-    // --- 5. CREATE AND SAVE FAISS VECTOR STORE ---
+    const { added, modified, deleted, unchanged } = compareSources(existing?.manifest.sources ?? [], sources);
+
+    // The keyword index is build output kept out of git: a store without one is saved again to add it
+    const hasKeywordIndex = fs.existsSync(path.join(DB_FAISS_PATH, KEYWORD_INDEX_FILE));
+    if (existing && hasKeywordIndex && added.length === 0 && modified.length === 0 && deleted.length === 0) {
+        console.log("\nVector store is already up to date. Nothing to do.");
+        return;
+    }
+
+    // --- 3. LOAD AND CHUNK CHANGED DOCUMENTS BY SECTION ---
+    console.log("\nChunking added and modified documents by section...");
+    const docs = [];
+    const images = new Map();
+    const failed = [];
+    const audiencesByFile = new Map(sources.map(source => [source.file, source.audiences]));
+    for (const file of [...added, ...modified]) {
+        try {
+            docs.push(...await loadDocument(DOCS_PATH, file, CHUNKING, audiencesByFile.get(file), images));
+        } catch (error) {
+            console.error(` Failed to parse ${file}: ${error.message}`);
+            failed.push(file);
+        }
+    }
+    console.log(`Documents split into ${docs.length} chunks, with ${images.size} embedded image(s).`);
+
+    if (!existing && docs.length === 0) {
+        console.error(" None of the documents could be parsed.");
+        process.exit(1);
+    }
+
+    // --- 4. UPDATE AND SAVE THE FAISS VECTOR STORE ---
+    let imageCount;
     try {
-        console.log("\n Creating and saving the FAISS vector store...");
-        if (fs.existsSync(DB_FAISS_PATH)) {
-            console.warn(`Warning: Existing vector store found at ${DB_FAISS_PATH}. It will be overwritten.`);
-            fs.rmSync(DB_FAISS_PATH, { recursive: true, force: true });
+        let vectorStore;
+        if (existing) {
+            vectorStore = existing.vectorStore;
+
+            const staleIds = [...modified, ...deleted].flatMap(file => getChunkIdsForSource(vectorStore, file));
+            if (staleIds.length > 0) {
+                console.log(`\nRemoving ${staleIds.length} chunk(s) of modified or deleted documents...`);
+                await vectorStore.delete({ ids: staleIds });
+            }
+
+            if (docs.length > 0) {
+                console.log(`\n Embedding ${docs.length} new chunk(s) using ${embedding.provider} (${embedding.model})...`);
+                await vectorStore.addDocuments(docs);
+            }
+        } else {
+            console.log(`\n Creating embeddings using ${embedding.provider} (${embedding.model})...`);
+            vectorStore = await FaissStore.fromDocuments(docs, embeddings);
         }
-        fs.mkdirSync(path.dirname(DB_FAISS_PATH), { recursive: true });
-        const vectorStore = await FaissStore.fromDocuments(docs, embeddings);
-        await vectorStore.save(DB_FAISS_PATH);
-        console.log("\n✨ Vector store created and saved successfully at:", DB_FAISS_PATH);
+
+        console.log("\n Saving the FAISS vector store...");
+        imageCount = await saveVectorStore(vectorStore, images, {
+            embedding: { ...embedding, dimension: vectorStore.index.getDimension() },
+            chunking: CHUNKING,
+            // Files that failed to parse are left out so the next run retries them
+            sources: sources.filter(source => !failed.includes(source.file)),
+        });
+        console.log("\n✨ Vector store saved successfully at:", DB_FAISS_PATH);
     } catch (error) {
         console.error(" Error creating or saving the vector store:", error);
         process.exit(1);
     }
+
+    // --- 5. SUMMARY ---
+    console.log("\nSummary:");
+    console.log(`  Mode:      ${existing ? "incremental" : "full rebuild"}`);
+    console.log(`  Added:     ${added.length}${added.length ? ` (${added.join(", ")})` : ""}`);
+    console.log(`  Modified:  ${modified.length}${modified.length ? ` (${modified.join(", ")})` : ""}`);
+    console.log(`  Deleted:   ${deleted.length}${deleted.length ? ` (${deleted.join(", ")})` : ""}`);
+    console.log(`  Unchanged: ${unchanged}`);
+    console.log(`  Skipped:   ${skipped.length}${skipped.length ? ` (${skipped.map(({ file }) => file).join(", ")})` : ""}`);
+    console.log(`  Failed:    ${failed.length}${failed.length ? ` (${failed.join(", ")})` : ""}`);
+    console.log(`  Images:    ${imageCount}`);
 }
 
 // Run the main function
@@ -0,0 +1,240 @@
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import * as fs from "fs";
+import * as path from "path";
+import { extractSectionsFromHtml, extractSectionsFromDocx, chunkSections } from "./docx-chunker.js";
+import { AUDIENCE_MAP_FILE, DEFAULT_AUDIENCES } from "./audiences.js";
+
+// Chunk settings used to build the vector store
+const DEFAULT_CHUNKING = {
+    strategy: "sections", // Chunk along each document's heading structure
+    chunkSize: 1000, // Target size of each chunk
+    maxChunkSize: 2500, // Lists and paragraphs up to this size are never split
+};
+
+/**
+ * Removes Markdown inline syntax that would only add noise to a chunk.
+ * @param {string} text - Markdown text.
+ * @returns {string} The plain text.
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/(\*\*|__)(.+?)\1/g, "$2")
+        .replace(/<[^>]+>/g, "")
+        .trim();
+}
+
+/**
+ * Splits a Markdown document into sections following its # headings.
+ * Fenced code blocks are kept whole.
+ * @param {string} markdown - The Markdown source, without front matter.
+ * @returns {Array<{headings: string[], blocks: string[]}>} The document's sections.
+ */
+function extractSectionsFromMarkdown(markdown) {
+    const sections = [];
+    const headingPath = [];
+    let current = { headings: [], blocks: [] };
+    let block = [];
+    let inFence = false;
+
+    const flushBlock = () => {
+        const text = block.join("\n").trim();
+        if (text) current.blocks.push(inFence ? text : stripMarkdown(text));
+        block = [];
+    };
+
+    for (const line of markdown.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            // A fenced block is a block of its own, flushed at its closing fence while still code
+            if (!inFence) flushBlock();
+            block.push(line);
+            if (inFence) flushBlock();
+            inFence = !inFence;
+            continue;
+        }
+
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushBlock();
+            const level = heading[1].length;
+            while (headingPath.length > 0 && headingPath[headingPath.length - 1].level >= level) {
+                headingPath.pop();
+            }
+            headingPath.push({ level, label: stripMarkdown(heading[2]) });
+
+            sections.push(current);
+            current = { headings: headingPath.map(entry => entry.label), blocks: [] };
+        } else if (!inFence && !line.trim()) {
+            flushBlock();
+        } else {
+            block.push(line);
+        }
+    }
+    flushBlock();
+    sections.push(current);
+
+    return sections.filter(section => section.blocks.length > 0);
+}
+
+/**
+ * Splits plain text into paragraphs.
+ * @param {string} text - The text.
+ * @returns {string[]} The non-empty paragraphs.
+ */
+function splitParagraphs(text) {
+    return text.split(/\r?\n\s*\r?\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+async function loadDocx(filePath) {
+    return extractSectionsFromDocx(filePath);
+}
+
+async function loadMarkdown(filePath) {
+    let markdown = fs.readFileSync(filePath, "utf8");
+    let title;
+
+    // YAML front matter may carry the title
+    const frontMatter = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+        title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1];
+        markdown = markdown.slice(frontMatter[0].length);
+    }
+    return { title, sections: extractSectionsFromMarkdown(markdown) };
+}
+
+async function loadHtml(filePath) {
+    const html = fs.readFileSync(filePath, "utf8");
+    const title = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1].trim();
+    return { title: title || undefined, sections: extractSectionsFromHtml(html) };
+}
+
+async function loadPdf(filePath, title) {
+    // One document per page; pages become sections so citations point at them
+    const pages = await new PDFLoader(filePath, { splitPages: true }).load();
+    const pdfTitle = pages[0]?.metadata.pdf?.info?.Title?.trim() || undefined;
+    const sections = pages
+        .map(page => ({
+            headings: [pdfTitle ?? title, `Page ${page.metadata.loc?.pageNumber ?? 1}`],
+            blocks: splitParagraphs(page.pageContent),
+        }))
+        .filter(section => section.blocks.length > 0);
+    return { title: pdfTitle, sections };
+}
+
+async function loadText(filePath, title) {
+    return { sections: [{ headings: [title], blocks: splitParagraphs(fs.readFileSync(filePath, "utf8")) }] };
+}
+
+/**
+ * Parsers by file extension. Each returns the document's sections and, when the
+ * file records one, its title. The .docx parser also returns its embedded images.
+ */
+const LOADERS = {
+    ".docx": { type: "docx", load: loadDocx },
+    ".pdf": { type: "pdf", load: loadPdf },
+    ".md": { type: "markdown", load: loadMarkdown },
+    ".markdown": { type: "markdown", load: loadMarkdown },
+    ".html": { type: "html", load: loadHtml },
+    ".htm": { type: "html", load: loadHtml },
+    ".txt": { type: "text", load: loadText },
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(LOADERS);
+
+/**
+ * Returns the loader for a file, or null when its type is not supported.
+ * @param {string} file - The file name or path.
+ * @returns {{type: string, load: Function} | null} The loader.
+ */
+function getLoader(file) {
+    return LOADERS[path.extname(file).toLowerCase()] ?? null;
+}
+
+/**
+ * Lists the documents in a folder and its subfolders. Hidden files, folders and the
+ * audience map are ignored; unsupported and temporary files are reported as skipped.
+ * @param {string} docsPath - The documents folder.
+ * @param {string[]} [excludedPaths] - Subfolders to leave out, e.g. the documents folders of
+ * other knowledge bases (see nestedDocsPaths).
+ * @returns {{files: string[], skipped: Array<{file: string, reason: string}>}} Supported files as
+ * "/"-separated paths relative to docsPath, and the files that were skipped.
+ */
+function listDocuments(docsPath, excludedPaths = []) {
+    const files = [];
+    const skipped = [];
+    const excluded = new Set(excludedPaths.map(excludedPath => path.resolve(excludedPath)));
+
+    const walk = (relativeDir) => {
+        const entries = fs.readdirSync(path.join(docsPath, relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.name.startsWith(".")) continue;
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (relativePath === AUDIENCE_MAP_FILE) continue;
+
+            if (entry.isDirectory()) {
+                if (!excluded.has(path.resolve(docsPath, relativePath))) walk(relativePath);
+            } else if (entry.name.startsWith("~$")) {
+                skipped.push({ file: relativePath, reason: "temporary Office file" });
+            } else if (!getLoader(entry.name)) {
+                skipped.push({ file: relativePath, reason: "unsupported file type" });
+            } else {
+                files.push(relativePath);
+            }
+        }
+    };
+    walk("");
+
+    return { files: files.sort(), skipped };
+}
+
+/**
+ * Parses a document and chunks it by section. Every chunk carries the same
+ * metadata whatever the format: source, path, type, title, modifiedAt and audiences.
+ * Chunks next to embedded images also list them in `images`.
+ * @param {string} docsPath - The documents folder.
+ * @param {string} file - The document's path relative to docsPath.
+ * @param {object} chunking - Chunk settings (see DEFAULT_CHUNKING).
+ * @param {string[]} [audiences] - The audiences allowed to see the document (see audiences.js).
+ * @param {Map<string, Buffer>} [images] - Collects the document's embedded images by id.
+ * @returns {Promise<Array<{pageContent: string, metadata: object}>>} The chunks.
+ * @throws {Error} When the file type is unsupported, it cannot be parsed or it holds no text.
+ */
+async function loadDocument(docsPath, file, chunking, audiences = DEFAULT_AUDIENCES, images = null) {
+    const loader = getLoader(file);
+    if (!loader) {
+        throw new Error(`Unsupported file type "${path.extname(file)}".`);
+    }
+
+    const filePath = path.join(docsPath, file);
+    const fileTitle = path.basename(file, path.extname(file)).trim();
+    const { title, sections, images: documentImages } = await loader.load(filePath, fileTitle);
+    if (sections.length === 0) {
+        throw new Error("No text could be extracted.");
+    }
+    for (const [id, data] of documentImages ?? []) {
+        images?.set(id, data);
+    }
+
+    return chunkSections(sections, {
+        ...chunking,
+        source: file,
+        title: fileTitle,
+        documentTitle: title,
+        metadata: {
+            path: file,
+            type: loader.type,
+            modifiedAt: fs.statSync(filePath).mtime.toISOString(),
+            audiences,
+        },
+    });
+}
+
+export {
+    DEFAULT_CHUNKING,
+    SUPPORTED_EXTENSIONS,
+    extractSectionsFromMarkdown,
+    getLoader,
+    listDocuments,
+    loadDocument,
+};
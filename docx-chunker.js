@@ -0,0 +1,436 @@
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import mammoth from "mammoth";
+import { imageId } from "./images.js";
+
+// Headings that only hold navigation boilerplate; their sections are dropped
+const BOILERPLATE_HEADINGS = new Set(["table of contents", "contents", "in this article"]);
+
+// Unnumbered headings that always sit directly under the article title
+const TOP_LEVEL_HEADINGS = new Set(["summary", "see also", "overview"]);
+
+// Bold-only paragraphs longer than this are treated as emphasised text, not headings
+const MAX_HEADING_LENGTH = 120;
+
+const VOID_TAGS = new Set(["img", "br", "hr", "meta", "link", "input", "source", "col", "wbr", "area", "base", "embed", "track"]);
+
+// Wrapper elements of full HTML pages whose children are the actual content
+const CONTAINER_TAGS = new Set(["html", "body", "main", "article", "section", "div", "header", "footer"]);
+
+// Elements of full HTML pages that never hold article content
+const SKIPPED_TAGS = new Set(["head", "script", "style", "nav", "noscript", "template"]);
+
+// src of the images extracted from a .docx file, followed by the image id
+const EMBEDDED_IMAGE_SRC = "embedded-image:";
+
+// How article text refers to a numbered picture, e.g. "(Screenshot 5)"
+const IMAGE_REFERENCE = /\b(?:screenshot|image|figure)\s+(\d+)\b/gi;
+
+/**
+ * Decodes the HTML entities mammoth emits.
+ * @param {string} text - Text containing HTML entities.
+ * @returns {string} The decoded text.
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+}
+
+/**
+ * Parses mammoth's HTML output into a lightweight element tree.
+ * Mammoth only emits well-formed markup, so a tag scanner is enough.
+ * @param {string} html - The HTML to parse.
+ * @returns {Array<object|string>} The top-level nodes.
+ */
+function parseHtml(html) {
+    const root = { tag: "#root", attrs: "", children: [] };
+    const stack = [root];
+    const tokenPattern = /<(\/?)([a-zA-Z0-9]+)([^>]*)>|([^<]+)/g;
+
+    let match;
+    while ((match = tokenPattern.exec(html)) !== null) {
+        const [, closing, tagName, attrs, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            parent.children.push(decodeEntities(text));
+        } else if (closing) {
+            const tag = tagName.toLowerCase();
+            const index = stack.map(node => node.tag).lastIndexOf(tag);
+            if (index > 0) {
+                stack.length = index;
+            }
+        } else {
+            const node = { tag: tagName.toLowerCase(), attrs, children: [] };
+            parent.children.push(node);
+            if (!VOID_TAGS.has(node.tag) && !attrs.trim().endsWith("/")) {
+                stack.push(node);
+            }
+        }
+    }
+
+    return root.children;
+}
+
+/**
+ * Flattens page wrappers (body, div, ...) so their children are treated as
+ * top-level blocks, and drops elements without article content.
+ * @param {Array<object|string>} nodes - The nodes to flatten.
+ * @returns {Array<object|string>} The content nodes.
+ */
+function contentNodes(nodes) {
+    return nodes.flatMap(node => {
+        if (typeof node === "string") return [node];
+        if (SKIPPED_TAGS.has(node.tag)) return [];
+        return CONTAINER_TAGS.has(node.tag) ? contentNodes(node.children) : [node];
+    });
+}
+
+/**
+ * Returns the inline text of a node, ignoring nested lists.
+ * @param {object|string} node - The node to flatten.
+ * @returns {string} The node's text.
+ */
+function inlineText(node) {
+    if (typeof node === "string") return node;
+    if (node.tag === "br") return "\n";
+    if (node.tag === "ol" || node.tag === "ul") return "";
+    return node.children.map(inlineText).join("");
+}
+
+/**
+ * Renders a list as numbered or bulleted lines, keeping nested lists indented.
+ * @param {object} list - The ol/ul node.
+ * @param {number} depth - The nesting depth.
+ * @returns {string} The rendered list.
+ */
+function renderList(list, depth = 0) {
+    const indent = "   ".repeat(depth);
+    const lines = [];
+    let number = 1;
+
+    for (const item of list.children) {
+        if (typeof item === "string" || item.tag !== "li") continue;
+        const marker = list.tag === "ol" ? `${number++}.` : "-";
+        const text = inlineText(item).replace(/\s+/g, " ").trim();
+        if (text) lines.push(`${indent}${marker} ${text}`);
+
+        for (const child of item.children) {
+            if (typeof child !== "string" && (child.tag === "ol" || child.tag === "ul")) {
+                lines.push(renderList(child, depth + 1));
+            }
+        }
+    }
+
+    return lines.filter(Boolean).join("\n");
+}
+
+/**
+ * Renders a table as one pipe-separated line per row.
+ * @param {object} table - The table node.
+ * @returns {string} The rendered table.
+ */
+function renderTable(table) {
+    const rows = [];
+    const collectRows = (node) => {
+        for (const child of node.children) {
+            if (typeof child === "string") continue;
+            if (child.tag === "tr") {
+                const cells = child.children
+                    .filter(cell => typeof cell !== "string")
+                    .map(cell => inlineText(cell).replace(/\s+/g, " ").trim());
+                rows.push(cells.join(" | "));
+            } else {
+                collectRows(child);
+            }
+        }
+    };
+    collectRows(table);
+    return rows.join("\n");
+}
+
+/**
+ * Returns the value of an attribute of a node.
+ * @param {object} node - The node.
+ * @param {string} name - The attribute name.
+ * @returns {string | null} The decoded value, or null when the attribute is missing.
+ */
+function attribute(node, name) {
+    const match = node.attrs.match(new RegExp(`\\b${name}="([^"]*)"`, "i"));
+    return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Returns the images extracted from a .docx file that a node contains.
+ * @param {object|string} node - The node to search.
+ * @returns {Array<{id: string, alt?: string}>} The images, in document order.
+ */
+function findImages(node) {
+    if (typeof node === "string") return [];
+    if (node.tag === "img") {
+        const src = attribute(node, "src");
+        if (!src?.startsWith(EMBEDDED_IMAGE_SRC)) return [];
+        const alt = attribute(node, "alt")?.trim();
+        return [{ id: src.slice(EMBEDDED_IMAGE_SRC.length), ...(alt && { alt }) }];
+    }
+    return node.children.flatMap(findImages);
+}
+
+/**
+ * Links the pictures of image-only sections (e.g. a "Related Images" gallery at
+ * the end of an article) to the blocks referring to them by number: the fifth
+ * picture goes with every block mentioning "Screenshot 5".
+ * @param {Array<{blocks: string[], images: Array<object>}>} sections - The sections with text.
+ * @param {Array<{id: string, alt?: string}>} gallery - The pictures of image-only sections, in document order.
+ */
+function linkNumberedImages(sections, gallery) {
+    for (const section of sections) {
+        section.blocks.forEach((block, index) => {
+            for (const [, number] of block.matchAll(IMAGE_REFERENCE)) {
+                const image = gallery[Number(number) - 1];
+                if (image && !section.images.some(linked => linked.id === image.id && linked.block === index)) {
+                    section.images.push({ ...image, block: index });
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Returns the heading text when a top-level node is a heading: either a real
+ * <h1>-<h6> or a paragraph consisting solely of bold text, which is how the
+ * moonstride articles mark their sections.
+ * @param {object|string} node - A top-level node.
+ * @returns {{text: string, level?: number} | null} The heading, if the node is one.
+ */
+function detectHeading(node) {
+    if (typeof node === "string") return null;
+
+    const headingMatch = node.tag.match(/^h([1-6])$/);
+    if (headingMatch) {
+        return { text: inlineText(node).replace(/\s+/g, " ").trim(), level: Number(headingMatch[1]) };
+    }
+
+    if (node.tag !== "p") return null;
+    const children = node.children.filter(child => typeof child !== "string" || child.trim());
+    if (children.length !== 1 || typeof children[0] === "string" || children[0].tag !== "strong") {
+        return null;
+    }
+
+    const text = inlineText(children[0]).replace(/\s+/g, " ").trim();
+    if (!text || text.length > MAX_HEADING_LENGTH || text.endsWith(":")) {
+        return null;
+    }
+    return { text };
+}
+
+/**
+ * Strips section numbers and the trailing product name from a heading.
+ * @param {string} heading - The raw heading text.
+ * @returns {string} The heading label used in heading paths.
+ */
+function cleanHeading(heading) {
+    return heading
+        .replace(/^\d+(\.\d+)*[.)]?\s+/, "")
+        .replace(/\s+in moonstride$/i, "")
+        .trim();
+}
+
+/**
+ * Works out the level of a bold-paragraph heading from its numbering.
+ * "1. Add Hotel" sits under the title, "1.2 Rates" and unnumbered headings
+ * following a numbered section sit one level deeper.
+ * @param {string} text - The heading text.
+ * @param {Array<{level: number, numbered: boolean}>} path - The current heading path.
+ * @returns {number} The heading level.
+ */
+function inferHeadingLevel(text, path) {
+    if (path.length === 0) return 1;
+
+    const numbering = text.match(/^(\d+(?:\.\d+)*)[.)]?\s+/);
+    if (numbering) {
+        return 2 + numbering[1].split(".").length - 1;
+    }
+    if (TOP_LEVEL_HEADINGS.has(cleanHeading(text).toLowerCase())) {
+        return 2;
+    }
+
+    const lastNumbered = [...path].reverse().find(entry => entry.numbered);
+    return lastNumbered ? lastNumbered.level + 1 : 2;
+}
+
+/**
+ * Splits an HTML article into sections following its heading structure.
+ * Accepts both mammoth's output and full HTML pages. Images extracted from a
+ * .docx file are linked to the block they follow (the first block when they
+ * open a section); see linkNumberedImages for image-only sections.
+ * @param {string} html - The article's HTML.
+ * @returns {Array<{headings: string[], blocks: string[], images: Array<{id: string, alt?: string, block: number}>}>} The article's sections.
+ */
+function extractSectionsFromHtml(html) {
+    // Comments and doctype declarations carry no content
+    const nodes = contentNodes(parseHtml(html.replace(/<!--[\s\S]*?-->/g, "").replace(/<![^>]*>/g, "")));
+
+    const sections = [];
+    const path = [];
+    let current = { headings: [], blocks: [], images: [], boilerplate: false };
+
+    for (const node of nodes) {
+        const heading = detectHeading(node);
+        if (heading) {
+            const level = heading.level ?? inferHeadingLevel(heading.text, path);
+            while (path.length > 0 && path[path.length - 1].level >= level) {
+                path.pop();
+            }
+            path.push({ level, label: cleanHeading(heading.text), numbered: /^\d/.test(heading.text) });
+
+            sections.push(current);
+            current = {
+                headings: path.map(entry => entry.label),
+                blocks: [],
+                images: [],
+                boilerplate: BOILERPLATE_HEADINGS.has(cleanHeading(heading.text).toLowerCase()),
+            };
+            continue;
+        }
+
+        let text;
+        if (typeof node === "string") {
+            text = node;
+        } else if (node.tag === "ol" || node.tag === "ul") {
+            text = renderList(node);
+        } else if (node.tag === "table") {
+            text = renderTable(node);
+        } else {
+            text = inlineText(node);
+        }
+
+        text = text.replace(/[ \t]+/g, " ").trim();
+        if (text) {
+            // Keep a list together with the sentence introducing it ("To cancel a booking:")
+            const previous = current.blocks[current.blocks.length - 1];
+            const isList = typeof node !== "string" && (node.tag === "ol" || node.tag === "ul");
+            if (isList && previous?.endsWith(":")) {
+                current.blocks[current.blocks.length - 1] = `${previous}\n${text}`;
+            } else {
+                current.blocks.push(text);
+            }
+        }
+
+        for (const image of findImages(node)) {
+            current.images.push({ ...image, block: Math.max(0, current.blocks.length - 1) });
+        }
+    }
+    sections.push(current);
+
+    const kept = sections.filter(section => !section.boilerplate && section.blocks.length > 0);
+    const gallery = sections
+        .filter(section => !section.boilerplate && section.blocks.length === 0)
+        .flatMap(section => section.images.map(({ id, alt }) => ({ id, ...(alt && { alt }) })));
+    if (gallery.length > 0) linkNumberedImages(kept, gallery);
+
+    return kept.map(({ headings, blocks, images }) => ({ headings, blocks, images }));
+}
+
+/**
+ * Splits a .docx article into sections following its heading structure and
+ * extracts its embedded images (screenshots), which the sections link to by id.
+ * @param {string} filePath - The path to the .docx file.
+ * @returns {Promise<{sections: Array<object>, images: Map<string, Buffer>}>} The article's sections and images by id.
+ */
+async function extractSectionsFromDocx(filePath) {
+    const images = new Map();
+    const convertImage = mammoth.images.imgElement(async (image) => {
+        const data = await image.read();
+        const id = imageId(data, image.contentType);
+        images.set(id, data);
+        return { src: `${EMBEDDED_IMAGE_SRC}${id}` };
+    });
+
+    const result = await mammoth.convertToHtml({ path: filePath }, { convertImage });
+    return { sections: extractSectionsFromHtml(result.value), images };
+}
+
+/**
+ * Chunks an article section by section. Blocks (paragraphs, whole lists, tables)
+ * are packed into chunks of up to chunkSize characters and are never split unless
+ * a single block exceeds maxChunkSize, so numbered procedures stay intact. Each
+ * chunk is prefixed with and tagged with its heading path, and lists the images
+ * linked to its blocks in `images` ({id, alt}).
+ * @param {Array<{headings: string[], blocks: string[], images?: Array<object>}>} sections - The article's sections.
+ * @param {object} options - Chunking options.
+ * @param {string} options.source - The source file stored in metadata.
+ * @param {string} options.title - The title used for sections before the first heading.
+ * @param {string} [options.documentTitle] - The title the document records, e.g. in its front
+ * matter, HTML <title> or PDF properties; it is every chunk's title, whatever the headings.
+ * @param {number} options.chunkSize - The target chunk size in characters.
+ * @param {number} options.maxChunkSize - The size above which a single block is split.
+ * @param {object} [options.metadata] - Extra metadata stored on every chunk.
+ * @returns {Promise<Array<{pageContent: string, metadata: object}>>} The chunks.
+ */
+async function chunkSections(sections, { source, title, documentTitle, chunkSize, maxChunkSize, metadata: extraMetadata = {} }) {
+    const fallbackSplitter = new RecursiveCharacterTextSplitter({
+        chunkSize,
+        chunkOverlap: Math.floor(chunkSize / 5),
+    });
+
+    const chunks = [];
+    for (const { headings, blocks, images = [] } of sections) {
+        const section = headings.join(" > ");
+        const metadata = {
+            source,
+            ...extraMetadata,
+            title: documentTitle ?? headings[0] ?? title,
+            section,
+            headings,
+        };
+        let chunkIndex = 0;
+        const pushChunk = (text, blockIndexes) => {
+            const chunkImages = images
+                .filter(image => blockIndexes.includes(image.block))
+                .map(({ id, alt }) => ({ id, ...(alt && { alt }) }))
+                .filter((image, i, all) => all.findIndex(other => other.id === image.id) === i);
+            chunks.push({
+                pageContent: section ? `${section}\n\n${text}` : text,
+                metadata: { ...metadata, chunk: chunkIndex++, ...(chunkImages.length > 0 && { images: chunkImages }) },
+            });
+        };
+
+        let buffer = [];
+        let bufferIndexes = [];
+        let bufferSize = 0;
+        const flush = () => {
+            if (buffer.length > 0) pushChunk(buffer.join("\n\n"), bufferIndexes);
+            buffer = [];
+            bufferIndexes = [];
+            bufferSize = 0;
+        };
+
+        for (const [index, block] of blocks.entries()) {
+            if (block.length > maxChunkSize) {
+                flush();
+                for (const piece of await fallbackSplitter.splitText(block)) {
+                    pushChunk(piece, [index]);
+                }
+                continue;
+            }
+            if (bufferSize > 0 && bufferSize + block.length > chunkSize) {
+                flush();
+            }
+            buffer.push(block);
+            bufferIndexes.push(index);
+            bufferSize += block.length;
+        }
+        flush();
+    }
+
+    return chunks;
+}
+
+export { extractSectionsFromHtml, extractSectionsFromDocx, chunkSections };
@@ -0,0 +1,158 @@
+import { createHmac, randomUUID } from "crypto";
+import { setTimeout as sleep } from "timers/promises";
+
+// Appended to the "not covered" answer when tickets can be delivered
+const HANDOFF_OFFER = "If you'd like, I can pass your question on to our support team. Reply with your email address or phone number and a short description of what you need.";
+const HANDOFF_DECLINED = "No problem. Is there anything else I can help you with?";
+
+const EMAIL = /[^\s@<>(),;:"']+@[^\s@<>(),;:"']+\.[a-z]{2,}/i;
+// A phone number, possibly grouped with spaces, dots, dashes or brackets; it needs at least 7 digits
+const PHONE = /\+?\d[\d\s().-]{5,}\d/;
+const DECLINE = /^(no|nope|no,? thanks?( you)?|not now|never ?mind|don'?t bother|cancel)[\s.!]*$/i;
+
+/**
+ * Returns the confirmation shown once a ticket is created.
+ * @param {object} ticket - The ticket.
+ * @returns {string} The confirmation.
+ */
+function handoffConfirmation(ticket) {
+    return `Thanks, I've passed your question on to our support team (ticket ${ticket.id}). They will get back to you at ${ticket.contact}.`;
+}
+
+/**
+ * Reads the user's reply to a handoff offer: a contact, optionally with a
+ * description of what they need, or a refusal. Anything else is a new question.
+ * @param {string} text - The reply.
+ * @returns {{contact: string, summary: string | null} | {declined: true} | null} The handoff, the refusal, or null.
+ */
+function parseHandoffReply(text) {
+    const reply = text.trim();
+    if (DECLINE.test(reply)) return { declined: true };
+
+    const email = reply.match(EMAIL)?.[0];
+    const phone = reply.match(PHONE)?.[0].trim();
+    const contact = email ?? (phone && phone.replace(/\D/g, "").length >= 7 ? phone : null);
+    if (!contact) return null;
+
+    const summary = reply
+        .split(contact)
+        .map(part => part.replace(/\s+/g, " ").replace(/^[\s,.;:—–-]+|[\s,.;:—–-]+$/g, ""))
+        .filter(Boolean)
+        .join(" ");
+    // A name or "it's" alone does not describe the problem; the unanswered question does
+    return { contact, summary: summary.split(" ").length >= 3 ? summary : null };
+}
+
+/**
+ * Creates support tickets and delivers each one to its knowledge base's webhook,
+ * retrying failed deliveries with exponential backoff. Deliveries run in the
+ * background; the ticket's status tells whether it got through.
+ */
+class Escalations {
+    /**
+     * @param {object} options
+     * @param {import("./ticket-store.js").TicketStore} options.ticketStore - Stores the tickets and their delivery status.
+     * @param {typeof fetch} [options.fetch] - The HTTP client; defaults to the global fetch.
+     */
+    constructor({ ticketStore, fetch = globalThis.fetch }) {
+        this.ticketStore = ticketStore;
+        this.fetch = fetch;
+        this.deliveries = new Set();
+    }
+
+    /**
+     * Creates a ticket and starts delivering it.
+     * @param {object} ticket - The ticket without its id (see TicketStore.create).
+     * @param {object} webhook - The escalation settings of the knowledge base (see loadConfig).
+     * @returns {object} The ticket, pending delivery.
+     */
+    open(ticket, webhook) {
+        const created = this.ticketStore.create({ ...ticket, id: randomUUID() });
+        this._startDelivery(created, webhook);
+        return created;
+    }
+
+    /**
+     * Returns what a client may see of a ticket: its delivery status, not its contents.
+     * @param {string} id - The ticket id.
+     * @returns {{id: string, knowledgeBase: string, status: string, attempts: number, createdAt: string, updatedAt: string, deliveredAt: string | null} | null} The status, or null when the ticket does not exist.
+     */
+    status(id) {
+        const ticket = this.ticketStore.get(id);
+        if (!ticket) return null;
+        const { knowledgeBase, status, attempts, createdAt, updatedAt, deliveredAt } = ticket;
+        return { id, knowledgeBase, status, attempts, createdAt, updatedAt, deliveredAt };
+    }
+
+    /**
+     * Restarts the delivery of the tickets left pending, e.g. by a restart.
+     * @param {(knowledgeBase: string) => object} resolveWebhook - Returns the escalation settings of a knowledge base.
+     * @returns {number} The number of deliveries restarted.
+     */
+    resumePending(resolveWebhook) {
+        const pending = this.ticketStore.listPending();
+        for (const ticket of pending) {
+            try {
+                this._startDelivery(ticket, resolveWebhook(ticket.knowledgeBase));
+            } catch (error) {
+                console.error(`Error resuming the delivery of ticket ${ticket.id}:`, error.message);
+            }
+        }
+        return pending.length;
+    }
+
+    /**
+     * Waits for the deliveries in progress to succeed or give up.
+     */
+    async drain() {
+        await Promise.all(this.deliveries);
+    }
+
+    _startDelivery(ticket, webhook) {
+        const delivery = this._deliver(ticket, webhook)
+            .catch(error => console.error(`Error delivering ticket ${ticket.id}:`, error))
+            .finally(() => this.deliveries.delete(delivery));
+        this.deliveries.add(delivery);
+    }
+
+    /**
+     * Posts the ticket to the webhook until it answers 2xx, a client error other than
+     * 408 or 429 rules out retrying, or the attempts run out. The Idempotency-Key
+     * header lets the receiver ignore repeated deliveries; with a secret, the body is
+     * signed with HMAC-SHA256 in the X-Signature-256 header.
+     */
+    async _deliver(ticket, { webhookUrl, webhookSecret, maxAttempts, retryDelaySeconds, timeoutSeconds }) {
+        const { status, attempts, lastError, updatedAt, deliveredAt, ...contents } = ticket;
+        const body = JSON.stringify({ event: "ticket.created", ticket: contents });
+        const headers = { "Content-Type": "application/json", "Idempotency-Key": ticket.id };
+        if (webhookSecret) {
+            headers["X-Signature-256"] = `sha256=${createHmac("sha256", webhookSecret).update(body).digest("hex")}`;
+        }
+
+        for (let attempt = attempts + 1; ; attempt++) {
+            let error;
+            let retryable = true;
+            try {
+                const response = await this.fetch(webhookUrl, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutSeconds * 1000) });
+                if (response.ok) {
+                    this.ticketStore.recordAttempt(ticket.id, "delivered");
+                    return;
+                }
+                error = `Webhook answered ${response.status}.`;
+                retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            } catch (fetchError) {
+                error = fetchError.message;
+            }
+
+            const giveUp = !retryable || attempt >= maxAttempts;
+            this.ticketStore.recordAttempt(ticket.id, giveUp ? "failed" : "pending", error);
+            if (giveUp) {
+                console.error(`Ticket ${ticket.id} was not delivered after ${attempt} attempt(s): ${error}`);
+                return;
+            }
+            await sleep(retryDelaySeconds * 1000 * 2 ** (attempt - 1));
+        }
+    }
+}
+
+export { Escalations, HANDOFF_OFFER, HANDOFF_DECLINED, handoffConfirmation, parseHandoffReply };
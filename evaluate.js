@@ -0,0 +1,289 @@
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import * as fs from "fs";
+import * as path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from 'url';
+import { RAGChatbot } from "./rag-chatbot.js";
+import { retrieveChunks } from "./citations.js";
+import { KeywordIndex } from "./keyword-index.js";
+import { ThreadMemorySaver } from "./checkpointer.js";
+import { DEFAULT_CHUNKING, listDocuments, loadDocument } from "./document-loaders.js";
+import { readAudienceMap, resolveDocumentAudiences } from "./audiences.js";
+import { HashingEmbeddings, ExtractiveChatModel } from "./fake-models.js";
+import { loadConfig, nestedDocsPaths } from "./config.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// --- CONFIGURATION ---
+const DEFAULT_GOLDEN_SET = "./eval/golden-set.json";
+const GOLDEN_SET_VERSION = 1;
+// Hashing embeddings score far lower than real embedders, so offline runs use their own cutoff
+const OFFLINE_MIN_SCORE = 0.3;
+
+const USAGE = `Usage: node evaluate.js [options]
+
+  --offline              Use deterministic fake chat and embedding models (no API keys needed)
+  --mode <agent|simple>  The answering flow to evaluate (default: agent)
+  --kb <name>            The knowledge base to evaluate (default: the top-level one)
+  --golden <path>        The golden set to run (default: ${DEFAULT_GOLDEN_SET})
+  --output <path>        Also write the full report as JSON
+  --min-recall <n>       Fail when the mean recall@k is below n
+  --min-mrr <n>          Fail when the mean reciprocal rank is below n
+  --min-pass-rate <n>    Fail when the share of passing answers is below n`;
+
+/**
+ * Parses the command line options.
+ * @param {string[]} args - The command line arguments.
+ * @returns {object} The options.
+ */
+function parseArgs(args) {
+    const options = { offline: false, mode: "agent", kb: undefined, golden: DEFAULT_GOLDEN_SET, output: null, thresholds: {} };
+    const thresholdFlags = { "--min-recall": "recall", "--min-mrr": "mrr", "--min-pass-rate": "passRate" };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--offline") {
+            options.offline = true;
+        } else if (arg === "--mode" || arg === "--kb" || arg === "--golden" || arg === "--output") {
+            options[arg.slice(2)] = args[++i];
+        } else if (arg in thresholdFlags) {
+            options.thresholds[thresholdFlags[arg]] = Number(args[++i]);
+        } else {
+            throw new Error(`Unknown option "${arg}".\n\n${USAGE}`);
+        }
+    }
+
+    if (!["agent", "simple"].includes(options.mode)) {
+        throw new Error(`Unsupported mode "${options.mode}". Expected agent or simple.`);
+    }
+    return options;
+}
+
+/**
+ * Reads and validates the golden set.
+ * @param {string} filePath - The golden set file.
+ * @returns {{version: number, questions: Array<object>}} The golden set.
+ */
+function readGoldenSet(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Golden set not found at ${filePath}.`);
+    }
+
+    const goldenSet = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (goldenSet.version !== GOLDEN_SET_VERSION) {
+        throw new Error(`Golden set ${filePath} has version ${goldenSet.version}; expected ${GOLDEN_SET_VERSION}.`);
+    }
+    for (const question of goldenSet.questions ?? []) {
+        if (!question.id || !question.question || !Array.isArray(question.expectedSources)) {
+            throw new Error(`Golden set question ${JSON.stringify(question.id ?? question)} needs an id, a question and expectedSources.`);
+        }
+    }
+    return goldenSet;
+}
+
+/**
+ * Builds an in-memory vector store and keyword index from the documents using
+ * the offline hashing embedder and the same chunking as create-db.js.
+ * @param {string} docsPath - The folder containing the documents.
+ * @param {string[]} [excludedPaths] - Subfolders to leave out (see listDocuments).
+ * @returns {Promise<{vectorStore: FaissStore, keywordIndex: KeywordIndex}>} The offline store.
+ */
+async function buildOfflineStore(docsPath, excludedPaths = []) {
+    const { files } = listDocuments(docsPath, excludedPaths);
+    const audienceMap = readAudienceMap(docsPath);
+    const docs = [];
+    for (const file of files) {
+        docs.push(...await loadDocument(docsPath, file, DEFAULT_CHUNKING, resolveDocumentAudiences(file, audienceMap)));
+    }
+    console.log(`Indexed ${docs.length} chunks from ${files.length} document(s) with offline embeddings.`);
+
+    const vectorStore = await FaissStore.fromDocuments(docs, new HashingEmbeddings());
+    const keywordIndex = KeywordIndex.fromDocuments(vectorStore.getDocstore()._docs.entries());
+    return { vectorStore, keywordIndex };
+}
+
+/**
+ * Creates the chatbot under evaluation. Conversations are always kept in memory
+ * so evaluation runs never touch stored threads.
+ * @param {object} options - The parsed command line options.
+ * @returns {Promise<RAGChatbot>} The initialized chatbot.
+ */
+async function createChatbot({ offline, mode, kb }) {
+    const checkpointer = new ThreadMemorySaver();
+    if (!offline) {
+        const chatbot = new RAGChatbot({ knowledgeBase: kb, mode, checkpointer });
+        await chatbot.init();
+        return chatbot;
+    }
+
+    const { vectorStore, keywordIndex } = await buildOfflineStore(loadConfig(kb).docsPath, nestedDocsPaths(kb));
+    const chatbot = new RAGChatbot({
+        knowledgeBase: kb,
+        mode,
+        checkpointer,
+        vectorStore,
+        keywordIndex,
+        llm: new ExtractiveChatModel(),
+        retrieval: { minScore: OFFLINE_MIN_SCORE },
+    });
+    await chatbot.init();
+    return chatbot;
+}
+
+/**
+ * Scores retrieved chunks against the expected source documents.
+ * @param {Array<{document: object}>} results - The retrieved chunks, best first.
+ * @param {string[]} expectedSources - The documents that answer the question.
+ * @returns {{rank: number | null, recall: number}} The rank of the first expected chunk and the share of expected documents retrieved.
+ */
+function scoreRetrieval(results, expectedSources) {
+    const retrieved = results.map(({ document }) => document.metadata?.source);
+    const index = retrieved.findIndex(source => expectedSources.includes(source));
+    const found = expectedSources.filter(source => retrieved.includes(source));
+    return {
+        rank: index === -1 ? null : index + 1,
+        recall: found.length / expectedSources.length,
+    };
+}
+
+/**
+ * Checks an answer against the golden set entry.
+ * @param {{answer: string, sources: Array<object>, notCovered: boolean}} result - The chatbot's answer.
+ * @param {object} question - The golden set entry.
+ * @returns {object} The checks and whether the answer passed.
+ */
+function checkAnswer(result, question) {
+    const normalize = (text) => text.toLowerCase().replace(/\s+/g, " ");
+    const answer = normalize(result.answer);
+    const keyFacts = question.keyFacts ?? [];
+    const missingFacts = keyFacts.filter(fact => !answer.includes(normalize(fact)));
+    const citedExpected = question.expectedSources.length === 0
+        || result.sources.some(source => question.expectedSources.includes(source.document));
+
+    const passed = question.expectNotCovered
+        ? result.notCovered
+        : !result.notCovered && missingFacts.length === 0 && citedExpected;
+
+    return {
+        factsFound: keyFacts.length - missingFacts.length,
+        factsTotal: keyFacts.length,
+        missingFacts,
+        citedExpected,
+        notCovered: result.notCovered,
+        passed,
+    };
+}
+
+/**
+ * Runs every golden set question through retrieval and the full chatbot, as the
+ * question's audience when it names one.
+ * @param {RAGChatbot} chatbot - An initialized chatbot.
+ * @param {{version: number, questions: Array<object>}} goldenSet - The golden set.
+ * @returns {Promise<object>} The evaluation report.
+ */
+async function evaluate(chatbot, goldenSet) {
+    const results = [];
+
+    for (const question of goldenSet.questions) {
+        const audiences = chatbot.resolveAudiences(question.audience);
+        const chunks = await retrieveChunks(chatbot.vectorStore, chatbot.keywordIndex, question.question, chatbot.retrieval, audiences);
+        const retrieval = question.expectNotCovered
+            ? { rank: null, recall: null, nothingRetrieved: chunks.length === 0 }
+            : scoreRetrieval(chunks, question.expectedSources);
+
+        const result = await chatbot.getAnswer(question.question, `eval-${question.id}`, audiences);
+        results.push({
+            id: question.id,
+            question: question.question,
+            retrieval,
+            answer: { text: result.answer, ...checkAnswer(result, question) },
+        });
+    }
+
+    const scored = results.filter(({ retrieval }) => retrieval.recall !== null);
+    const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+    return {
+        goldenSetVersion: goldenSet.version,
+        mode: chatbot.mode,
+        k: chatbot.retrieval.k,
+        summary: {
+            recall: mean(scored.map(({ retrieval }) => retrieval.recall)),
+            mrr: mean(scored.map(({ retrieval }) => (retrieval.rank ? 1 / retrieval.rank : 0))),
+            passRate: mean(results.map(({ answer }) => (answer.passed ? 1 : 0))),
+            passed: results.filter(({ answer }) => answer.passed).length,
+            total: results.length,
+        },
+        results,
+    };
+}
+
+/**
+ * Prints the evaluation report.
+ * @param {object} report - The evaluation report.
+ */
+function printReport(report) {
+    console.log(`\nGolden set v${report.goldenSetVersion}, ${report.mode} mode, k=${report.k}\n`);
+
+    for (const { id, retrieval, answer } of report.results) {
+        const retrievalText = retrieval.recall === null
+            ? `nothing retrieved: ${retrieval.nothingRetrieved ? "yes" : "no"}`
+            : `rank ${retrieval.rank ?? "-"}, recall ${retrieval.recall.toFixed(2)}`;
+        const facts = answer.factsTotal > 0 ? `, facts ${answer.factsFound}/${answer.factsTotal}` : "";
+        const details = answer.notCovered ? "not covered" : `cited expected: ${answer.citedExpected ? "yes" : "no"}${facts}`;
+        console.log(`  ${answer.passed ? "PASS" : "FAIL"}  ${id} (${retrievalText}; ${details})`);
+        if (answer.missingFacts.length > 0) {
+            console.log(`        missing: ${answer.missingFacts.join(", ")}`);
+        }
+    }
+
+    const { recall, mrr, passRate, passed, total } = report.summary;
+    console.log("\nSummary:");
+    console.log(`  Recall@${report.k}: ${recall.toFixed(3)}`);
+    console.log(`  MRR:       ${mrr.toFixed(3)}`);
+    console.log(`  Answers:   ${passed}/${total} passed (${(passRate * 100).toFixed(1)}%)`);
+}
+
+/**
+ * Main function to run the evaluation.
+ */
+async function main() {
+    let options;
+    let goldenSet;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        goldenSet = readGoldenSet(options.golden);
+    } catch (error) {
+        console.error(" Error:", error.message);
+        process.exit(1);
+    }
+
+    try {
+        const chatbot = await createChatbot(options);
+        const report = await evaluate(chatbot, goldenSet);
+        printReport(report);
+
+        if (options.output) {
+            fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+            console.log(`\nReport written to ${options.output}`);
+        }
+
+        const failed = Object.entries(options.thresholds).filter(([metric, minimum]) => report.summary[metric] < minimum);
+        for (const [metric, minimum] of failed) {
+            console.error(` ${metric} ${report.summary[metric].toFixed(3)} is below the minimum of ${minimum}.`);
+        }
+        if (failed.length > 0) process.exit(1);
+    } catch (error) {
+        console.error(" Error running the evaluation:", error);
+        process.exit(1);
+    }
+}
+
+// Run the main function if this file is executed directly
+const __filename = fileURLToPath(import.meta.url);
+if (path.resolve(process.argv[1]) === __filename) {
+    main();
+}
+
+export { readGoldenSet, buildOfflineStore, evaluate, printReport };
@@ -0,0 +1,158 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+import { tokenize } from "./keyword-index.js";
+import { STANDALONE_QUERY_LABEL } from "./query-rewriter.js";
+import { PROCEDURE_JSON_LABEL } from "./procedures.js";
+import { NOT_AVAILABLE_MARKER } from "./rag-chatbot.js";
+import { DETECTED_LANGUAGE_LABEL, ENGLISH_QUERY_LABEL, TRANSLATION_LABEL } from "./languages.js";
+
+// Answer given, after the "not available" marker, when the context has no line sharing a term with the question
+const NO_ANSWER = "The information is not available in the provided documents.";
+
+/**
+ * Deterministic, offline embedder: every term is hashed into a fixed-size
+ * bag-of-words vector, which is then normalized to unit length.
+ * Its similarity scores run lower than those of real embedders.
+ */
+class HashingEmbeddings extends Embeddings {
+    constructor({ dimensions = 512 } = {}) {
+        super({});
+        this.dimensions = dimensions;
+    }
+
+    async embedDocuments(texts) {
+        return texts.map(text => this._embed(text));
+    }
+
+    async embedQuery(text) {
+        return this._embed(text);
+    }
+
+    _embed(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        for (const term of tokenize(text)) {
+            // FNV-1a hash of the term
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < term.length; i++) {
+                hash = Math.imul(hash ^ term.charCodeAt(i), 0x01000193) >>> 0;
+            }
+            vector[hash % this.dimensions] += 1;
+        }
+        const norm = Math.hypot(...vector) || 1;
+        return vector.map(value => value / norm);
+    }
+}
+
+/**
+ * Deterministic, offline chat model. When the retrieval tool is bound and has not
+ * been called for the current question, it calls it with the question; otherwise it
+ * answers with the context lines that share the most terms with the question,
+ * each followed by the citation marker of its context entry. Follow-up questions
+ * are rewritten by appending the terms of the previous question they lack, and
+ * procedures are extracted with one step per answer line. It cannot translate:
+ * every question is reported as English and kept as is, and texts are returned untranslated.
+ */
+class ExtractiveChatModel extends BaseChatModel {
+    constructor({ maxLines = 3 } = {}) {
+        super({});
+        this.maxLines = maxLines;
+        this.tools = [];
+    }
+
+    _llmType() {
+        return "extractive-fake";
+    }
+
+    bindTools(tools) {
+        const model = new ExtractiveChatModel({ maxLines: this.maxLines });
+        model.tools = tools;
+        return model;
+    }
+
+    async _generate(messages) {
+        const message = this._respond(messages);
+        return { generations: [{ text: message.content, message }] };
+    }
+
+    _respond(messages) {
+        if (messages.length === 1 && messages[0].content.endsWith(STANDALONE_QUERY_LABEL)) {
+            return new AIMessage(this._rewrite(messages[0].content));
+        }
+        if (messages.length === 1 && messages[0].content.endsWith(PROCEDURE_JSON_LABEL)) {
+            return new AIMessage(this._extractProcedure(messages[0].content));
+        }
+        if (messages.length === 1 && messages[0].content.endsWith(DETECTED_LANGUAGE_LABEL)) {
+            return new AIMessage(`en\n${ENGLISH_QUERY_LABEL} ${messages[0].content.match(/^Question: (.*)$/m)[1]}`);
+        }
+        if (messages.length === 1 && messages[0].content.endsWith(TRANSLATION_LABEL)) {
+            return new AIMessage(messages[0].content.match(/^Text: (.*)$/m)[1]);
+        }
+
+        const questionIndex = messages.findLastIndex(message => message instanceof HumanMessage);
+        const question = messages[questionIndex].content;
+        const toolResults = messages.slice(questionIndex + 1).filter(message => message instanceof ToolMessage);
+
+        if (this.tools.length > 0 && toolResults.length === 0) {
+            // Searches for the standalone form of a follow-up when the prompt gives one
+            const standalone = messages[0].content.match(/As a standalone English search query, the latest question reads: "(.*)"\. Search for that\./)?.[1];
+            return new AIMessage({
+                content: "",
+                tool_calls: [{ name: this.tools[0].name, args: { query: standalone ?? question }, id: `call-${questionIndex}`, type: "tool_call" }],
+            });
+        }
+
+        // Agent flow: context comes from the tool; simple flow: it is part of the prompt
+        const context = toolResults.length > 0
+            ? toolResults.map(message => message.content).join("\n\n")
+            : messages[0].content.split("Context:\n").slice(1).join("Context:\n");
+        return new AIMessage(this._extractAnswer(question, context));
+    }
+
+    _rewrite(prompt) {
+        const question = prompt.match(/^Latest question: (.*)$/m)[1];
+        const previous = [...prompt.matchAll(/^User: (.*)$/gm)].pop()?.[1] ?? "";
+        const questionTerms = new Set(tokenize(question));
+        const missing = [...new Set(tokenize(previous).filter(term => !term.includes("_") && !questionTerms.has(term)))];
+        return missing.length > 0 ? `${question} (${missing.join(" ")})` : question;
+    }
+
+    _extractProcedure(prompt) {
+        const title = prompt.match(/^Question: (.*)$/m)[1];
+        const answer = prompt.split("\nAnswer:\n")[1].split("\n\nDocument context:\n")[0];
+        // Capitalized names joined by ">", e.g. "Bookings > Booking List"
+        const menuPath = /[A-Z]\w*(?: [A-Z]\w*)*(?: > [A-Z]\w*(?: [A-Z]\w*)*)+/;
+        const steps = answer === NO_ANSWER ? [] : answer
+            .split("\n")
+            .map(line => line.replace(/\s*\[\d+\]/g, "").trim())
+            .filter(Boolean)
+            .map(instruction => ({ instruction, navigation: instruction.match(menuPath)?.[0].trim() ?? null }));
+        const navigation = [...new Set(steps.map(step => step.navigation).filter(Boolean))];
+        return JSON.stringify({ title, prerequisites: [], steps, navigation });
+    }
+
+    _extractAnswer(question, context) {
+        const questionTerms = new Set(tokenize(question));
+        const lines = [];
+        let citation = null;
+
+        for (const line of context.split("\n").map(text => text.trim()).filter(Boolean)) {
+            const entry = line.match(/^\[(\d+)\] Source: /);
+            if (entry) {
+                citation = entry[1];
+                continue;
+            }
+            if (citation === null) continue;
+
+            const score = tokenize(line).filter(term => questionTerms.has(term)).length;
+            if (score > 0) lines.push({ text: `${line} [${citation}]`, score, order: lines.length });
+        }
+
+        const best = lines
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, this.maxLines);
+        return best.length > 0 ? best.map(line => line.text).join("\n") : `${NOT_AVAILABLE_MARKER} ${NO_ANSWER}`;
+    }
+}
+
+export { HashingEmbeddings, ExtractiveChatModel };
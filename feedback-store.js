@@ -0,0 +1,104 @@
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+
+// Default location of the answer and feedback database
+const DEFAULT_FEEDBACK_PATH = "./data/feedback.sqlite";
+
+const RATINGS = ["up", "down"];
+
+/**
+ * Stores every answer given by the chatbot and the feedback users leave on it,
+ * so unanswered and down-voted questions can be reported to documentation writers.
+ */
+class FeedbackStore {
+    /**
+     * @param {string} [dbPath] - The SQLite database file; defaults to FEEDBACK_PATH or ./data/feedback.sqlite.
+     */
+    constructor(dbPath = process.env.FEEDBACK_PATH || DEFAULT_FEEDBACK_PATH) {
+        if (dbPath !== ":memory:") {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.exec(`
+CREATE TABLE IF NOT EXISTS answers (
+  id TEXT PRIMARY KEY,
+  knowledge_base TEXT NOT NULL,
+  thread_id TEXT,
+  question TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  sources TEXT NOT NULL,
+  not_covered INTEGER NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS feedback (
+  answer_id TEXT PRIMARY KEY REFERENCES answers(id) ON DELETE CASCADE,
+  rating TEXT NOT NULL,
+  comment TEXT,
+  updated_at TEXT NOT NULL
+);`);
+    }
+
+    /**
+     * Records an answer.
+     * @param {object} answer
+     * @param {string} answer.id - The answer id returned to the client.
+     * @param {string} answer.knowledgeBase - The knowledge base that answered.
+     * @param {string} [answer.threadId] - The conversation thread.
+     * @param {string} answer.question - The user's question.
+     * @param {string} answer.answer - The answer text.
+     * @param {Array<object>} answer.sources - The sources the answer cites.
+     * @param {boolean} answer.notCovered - Whether the documents did not cover the question: the fixed
+     * "not covered" message was returned or the model said the information is not available.
+     */
+    recordAnswer({ id, knowledgeBase, threadId, question, answer, sources, notCovered }) {
+        this.db
+            .prepare("INSERT INTO answers (id, knowledge_base, thread_id, question, answer, sources, not_covered, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+            .run(id, knowledgeBase, threadId ?? null, question, answer, JSON.stringify(sources), notCovered ? 1 : 0, new Date().toISOString());
+    }
+
+    /**
+     * Records or replaces the feedback on an answer.
+     * @param {string} answerId - The answer id.
+     * @param {object} feedback
+     * @param {"up"|"down"} feedback.rating - Thumbs up or down.
+     * @param {string} [feedback.comment] - An optional comment.
+     * @returns {{answerId: string, rating: string, comment: string | null, updatedAt: string, replaced: boolean} | null} The feedback, or null when the answer does not exist.
+     * @throws {Error} When the rating is not "up" or "down".
+     */
+    recordFeedback(answerId, { rating, comment }) {
+        if (!RATINGS.includes(rating)) {
+            throw new Error(`Unsupported rating "${rating}". Expected one of: ${RATINGS.join(", ")}.`);
+        }
+        if (!this.db.prepare("SELECT 1 FROM answers WHERE id = ?").get(answerId)) {
+            return null;
+        }
+
+        const replaced = Boolean(this.db.prepare("SELECT 1 FROM feedback WHERE answer_id = ?").get(answerId));
+        const updatedAt = new Date().toISOString();
+        this.db
+            .prepare("INSERT INTO feedback (answer_id, rating, comment, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT(answer_id) DO UPDATE SET rating = excluded.rating, comment = excluded.comment, updated_at = excluded.updated_at")
+            .run(answerId, rating, comment?.trim() || null, updatedAt);
+        return { answerId, rating, comment: comment?.trim() || null, updatedAt, replaced };
+    }
+
+    /**
+     * Lists the recorded answers with their feedback.
+     * @param {object} [filters]
+     * @param {string} [filters.knowledgeBase] - Only answers of this knowledge base.
+     * @param {string} [filters.since] - Only answers given at or after this ISO date.
+     * @returns {Array<object>} The answers, oldest first.
+     */
+    listAnswers({ knowledgeBase, since } = {}) {
+        const rows = this.db.prepare(`
+SELECT a.id, a.knowledge_base AS knowledgeBase, a.thread_id AS threadId, a.question, a.answer, a.sources,
+       a.not_covered AS notCovered, a.created_at AS createdAt, f.rating, f.comment
+FROM answers a LEFT JOIN feedback f ON f.answer_id = a.id
+WHERE (@knowledgeBase IS NULL OR a.knowledge_base = @knowledgeBase) AND (@since IS NULL OR a.created_at >= @since)
+ORDER BY a.created_at`).all({ knowledgeBase: knowledgeBase ?? null, since: since ?? null });
+
+        return rows.map(row => ({ ...row, sources: JSON.parse(row.sources), notCovered: row.notCovered === 1 }));
+    }
+}
+
+export { FeedbackStore, RATINGS };
@@ -0,0 +1,121 @@
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+
+// Folder of a vector store holding the images embedded in its documents
+const IMAGES_FOLDER = "images";
+// Image ids are a content hash and the file extension, e.g. 3f2a9c0d1e4b5a6f.png
+const IMAGE_ID_PATTERN = /^[0-9a-f]{16}\.[a-z0-9]+$/;
+
+/**
+ * Returns the stable id of an image: the same picture always gets the same id,
+ * whichever document or build it comes from.
+ * @param {Buffer} data - The image bytes.
+ * @param {string} contentType - The image MIME type, e.g. image/png.
+ * @returns {string} The image id.
+ */
+function imageId(data, contentType) {
+    const extension = (contentType.split("/")[1] ?? "bin")
+        .toLowerCase()
+        .replace(/^x-/, "")
+        .replace(/\+.*$/, "")
+        .replace("jpeg", "jpg")
+        .replace(/[^a-z0-9]/g, "");
+    return `${createHash("sha256").update(data).digest("hex").slice(0, 16)}.${extension || "bin"}`;
+}
+
+/**
+ * Returns the ids of the images linked to the chunks of a docstore.
+ * @param {Iterable<[string, object]>} entries - The docstore entries.
+ * @returns {Set<string>} The image ids.
+ */
+function referencedImageIds(entries) {
+    const ids = new Set();
+    for (const [, document] of entries) {
+        for (const image of document.metadata?.images ?? []) {
+            ids.add(image.id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Writes the images a vector store's chunks link to into its images folder.
+ * Images extracted in this build are written from memory, the others are copied
+ * from the previous build; images no chunk links to any more are left behind.
+ * @param {string} dbPath - The vector store folder being written.
+ * @param {Set<string>} ids - The ids of the images to keep.
+ * @param {Map<string, Buffer>} extracted - The images extracted in this build, by id.
+ * @param {string} [previousDbPath] - The folder of the previous build.
+ * @returns {number} The number of images written.
+ */
+function writeImages(dbPath, ids, extracted, previousDbPath) {
+    const imagesPath = path.join(dbPath, IMAGES_FOLDER);
+    fs.mkdirSync(imagesPath, { recursive: true });
+
+    let written = 0;
+    for (const id of ids) {
+        const target = path.join(imagesPath, id);
+        if (extracted.has(id)) {
+            fs.writeFileSync(target, extracted.get(id));
+            written++;
+        } else if (previousDbPath && fs.existsSync(path.join(previousDbPath, IMAGES_FOLDER, id))) {
+            fs.copyFileSync(path.join(previousDbPath, IMAGES_FOLDER, id), target);
+            written++;
+        } else {
+            console.warn(`Warning: image ${id} is linked to a chunk but could not be found.`);
+        }
+    }
+    return written;
+}
+
+/**
+ * Returns the file of an image of a vector store.
+ * @param {string} dbPath - The vector store folder.
+ * @param {string} id - The image id.
+ * @returns {string | null} The absolute file path, or null when the id is malformed or the image does not exist.
+ */
+function resolveImagePath(dbPath, id) {
+    if (!IMAGE_ID_PATTERN.test(id)) return null;
+    const file = path.resolve(dbPath, IMAGES_FOLDER, id);
+    return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Lists the screenshots of the sources an answer cites, once each, in citation order.
+ * @param {Array<object>} sources - The cited sources.
+ * @returns {Array<{imageId: string, alt: string | null, citation: number, document: string, section: string | null}>} The screenshots.
+ */
+function collectScreenshots(sources) {
+    const screenshots = new Map();
+    for (const { citation, document, section, images = [] } of sources) {
+        for (const { id, alt } of images) {
+            if (!screenshots.has(id)) {
+                screenshots.set(id, { imageId: id, alt: alt ?? null, citation, document, section });
+            }
+        }
+    }
+    return [...screenshots.values()];
+}
+
+/**
+ * Formats screenshots as lines for terminal output, with the file of each image.
+ * @param {Array<object>} screenshots - The screenshots to print.
+ * @param {string} dbPath - The vector store folder holding the images.
+ * @returns {string} The formatted screenshots.
+ */
+function formatScreenshotsForCli(screenshots, dbPath) {
+    return screenshots
+        .map(({ imageId: id, alt, citation }) => `  [${citation}] ${path.join(dbPath, IMAGES_FOLDER, id)}${alt ? ` — ${alt}` : ""}`)
+        .join("\n");
+}
+
+export {
+    IMAGES_FOLDER,
+    imageId,
+    referencedImageIds,
+    writeImages,
+    resolveImagePath,
+    collectScreenshots,
+    formatScreenshotsForCli,
+};
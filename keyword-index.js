@@ -0,0 +1,180 @@
+import * as fs from "fs";
+import * as path from "path";
+
+// Name of the keyword index file written next to faiss.index and docstore.json
+const KEYWORD_INDEX_FILE = "keyword-index.json";
+const KEYWORD_INDEX_VERSION = 1;
+
+// Okapi BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how",
+    "i", "in", "is", "it", "its", "me", "my", "of", "on", "or", "that", "the", "this", "to",
+    "what", "when", "where", "which", "with", "you", "your",
+]);
+
+/**
+ * Light plural stemming so "bookings" matches "booking" and "categories" matches "category".
+ * @param {string} word - A lowercase word.
+ * @returns {string} The stemmed word.
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Splits text into lowercase search terms. Adjacent words are also emitted as
+ * "first_second" pairs so multi-word product terms such as "credit note" match as a phrase.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} The terms, in order of appearance.
+ */
+function tokenize(text) {
+    const words = (text ?? "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+
+    const pairs = words.slice(1).map((word, i) => `${words[i]}_${word}`);
+    return [...words, ...pairs];
+}
+
+/**
+ * Returns the title terms of a chunk: its article title and source file name.
+ * @param {object} metadata - The chunk metadata.
+ * @returns {string[]} The unique title terms.
+ */
+function titleTerms(metadata = {}) {
+    const fileName = metadata.source ? path.basename(metadata.source, path.extname(metadata.source)) : "";
+    return [...new Set(tokenize(`${metadata.title ?? ""} ${fileName}`))];
+}
+
+/**
+ * Counts how often each term occurs.
+ * @param {string[]} terms - The terms to count.
+ * @returns {Object<string, number>} The term frequencies.
+ */
+function countTerms(terms) {
+    const counts = {};
+    for (const term of terms) {
+        counts[term] = (counts[term] ?? 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * BM25 keyword index over the chunks of a vector store, keyed by docstore id.
+ * Chunk text and article titles are indexed separately so title matches can be
+ * boosted at query time.
+ */
+class KeywordIndex {
+    /**
+     * @param {Array<{id: string, length: number, terms: Object<string, number>, title: string[]}>} documents - The indexed chunks.
+     */
+    constructor(documents) {
+        this.documents = documents;
+        this.documentFrequency = new Map();
+        for (const { terms, title } of documents) {
+            for (const term of new Set([...Object.keys(terms), ...title])) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) ?? 0) + 1);
+            }
+        }
+        const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+        this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+    }
+
+    /**
+     * Indexes the chunks of a docstore.
+     * @param {Iterable<[string, import("@langchain/core/documents").Document]>} entries - Docstore id and chunk pairs.
+     * @returns {KeywordIndex} The keyword index.
+     */
+    static fromDocuments(entries) {
+        const documents = [];
+        for (const [id, document] of entries) {
+            const terms = tokenize(document.pageContent);
+            documents.push({ id, length: terms.length, terms: countTerms(terms), title: titleTerms(document.metadata) });
+        }
+        return new KeywordIndex(documents);
+    }
+
+    /**
+     * Searches the index with BM25, adding a boost for query terms found in the chunk's title.
+     * @param {string} query - The search query.
+     * @param {number} k - The number of chunks to return.
+     * @param {object} [options]
+     * @param {number} [options.titleBoost] - Weight of a title match relative to a body match.
+     * @param {(id: string) => boolean} [options.filter] - Only chunks whose id passes are returned.
+     * @returns {Array<{id: string, score: number}>} The matching chunks, best first.
+     */
+    search(query, k, { titleBoost = 2, filter } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        const total = this.documents.length;
+        const results = [];
+
+        for (const { id, length, terms, title } of this.documents) {
+            if (filter && !filter(id)) continue;
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = this.documentFrequency.get(term);
+                if (!frequency) continue;
+
+                const idf = Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5));
+                const tf = terms[term] ?? 0;
+                if (tf > 0) {
+                    score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / this.averageLength));
+                }
+                if (title.includes(term)) {
+                    score += idf * titleBoost;
+                }
+            }
+            if (score > 0) results.push({ id, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    toJSON() {
+        return { version: KEYWORD_INDEX_VERSION, documents: this.documents };
+    }
+}
+
+/**
+ * Writes the keyword index of a vector store.
+ * @param {string} dbPath - The vector store folder.
+ * @param {KeywordIndex} keywordIndex - The index to write.
+ */
+function writeKeywordIndex(dbPath, keywordIndex) {
+    fs.writeFileSync(path.join(dbPath, KEYWORD_INDEX_FILE), JSON.stringify(keywordIndex));
+}
+
+/**
+ * Loads the keyword index of a vector store.
+ * @param {string} dbPath - The vector store folder.
+ * @returns {KeywordIndex | null} The index, or null when the store was built without one.
+ */
+function loadKeywordIndex(dbPath) {
+    const indexPath = path.join(dbPath, KEYWORD_INDEX_FILE);
+    if (!fs.existsSync(indexPath)) {
+        console.warn(`Warning: Keyword index not found at ${indexPath}. Rebuild the vector store with create-db.js to enable keyword search.`);
+        return null;
+    }
+
+    const { version, documents } = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    if (version !== KEYWORD_INDEX_VERSION) {
+        console.warn(`Warning: Keyword index at ${indexPath} has an unsupported version. Rebuild the vector store with create-db.js.`);
+        return null;
+    }
+    return new KeywordIndex(documents);
+}
+
+export {
+    KEYWORD_INDEX_FILE,
+    KeywordIndex,
+    tokenize,
+    writeKeywordIndex,
+    loadKeywordIndex,
+};
@@ -0,0 +1,73 @@
+import { RAGChatbot } from "./rag-chatbot.js";
+import { DEFAULT_KNOWLEDGE_BASE, listKnowledgeBases } from "./config.js";
+
+/**
+ * The configured knowledge bases of a server, each answered by its own chatbot.
+ * A knowledge base's vector store is loaded the first time it is asked for.
+ */
+class KnowledgeBases {
+    /**
+     * @param {object} [options] - Options passed to every RAGChatbot constructor, e.g. the mode.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.chatbots = new Map();
+    }
+
+    /**
+     * Lists the configured knowledge bases and whether each one is loaded.
+     * @returns {Array<{name: string, loaded: boolean}>} The knowledge bases, the default one first.
+     */
+    list() {
+        return listKnowledgeBases().map(name => ({ name, loaded: this.chatbots.has(name) }));
+    }
+
+    /**
+     * Returns whether a knowledge base is configured.
+     * @param {string} name - The knowledge base name.
+     * @returns {boolean} True when it exists.
+     */
+    has(name) {
+        return listKnowledgeBases().includes(name);
+    }
+
+    /**
+     * Returns the initialized chatbot of a knowledge base, loading it on first use.
+     * Concurrent first requests share one load; a failed load is retried on the next request.
+     * @param {string} [name] - The knowledge base name; defaults to the top-level one.
+     * @returns {Promise<RAGChatbot>} The chatbot.
+     * @throws {Error} When the knowledge base is not configured or its vector store cannot be loaded.
+     */
+    async get(name = DEFAULT_KNOWLEDGE_BASE) {
+        if (!this.chatbots.has(name)) {
+            const loading = (async () => {
+                const chatbot = new RAGChatbot({ ...this.options, knowledgeBase: name });
+                await chatbot.init();
+                console.log(`Knowledge base "${name}" loaded.`);
+                return chatbot;
+            })();
+            this.chatbots.set(name, loading);
+            loading.catch(() => this.chatbots.delete(name));
+        }
+        return this.chatbots.get(name);
+    }
+
+    /**
+     * Reports the health of the default knowledge base and of every other one already
+     * loaded; knowledge bases that were never asked for are not loaded to check them.
+     * @returns {Promise<{ready: boolean, knowledgeBases: Array<object>}>} The health; ready when every checked knowledge base is.
+     */
+    async health() {
+        const names = listKnowledgeBases().filter(name => name === DEFAULT_KNOWLEDGE_BASE || this.chatbots.has(name));
+        const knowledgeBases = await Promise.all(names.map(async (name) => {
+            try {
+                return (await this.get(name)).health();
+            } catch (error) {
+                return { knowledgeBase: name, ready: false, error: error.message };
+            }
+        }));
+        return { ready: knowledgeBases.every(knowledgeBase => knowledgeBase.ready), knowledgeBases };
+    }
+}
+
+export { KnowledgeBases };
@@ -0,0 +1,205 @@
+import * as path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from 'url';
+import { FeedbackStore } from "./feedback-store.js";
+import { tokenize } from "./keyword-index.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// --- CONFIGURATION ---
+// Questions sharing at least this share of their terms end up in the same cluster
+const CLUSTER_SIMILARITY = 0.34;
+// Example questions and comments kept per cluster
+const MAX_EXAMPLES = 5;
+
+const USAGE = `Usage: node knowledge-gaps.js [options]
+
+  --kb <name>      Only report on this knowledge base
+  --since <date>   Only report on answers given since this date (e.g. 2025-09-01)
+  --json           Print the report as JSON`;
+
+/**
+ * Returns the search terms of a question, without word pairs.
+ * @param {string} question - The question.
+ * @returns {Set<string>} The terms.
+ */
+function questionTerms(question) {
+    return new Set(tokenize(question).filter(term => !term.includes("_")));
+}
+
+/**
+ * Jaccard similarity of two term sets.
+ * @param {Set<string>} a - The first set.
+ * @param {Set<string>} b - The second set.
+ * @returns {number} The similarity, from 0 to 1.
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) {
+        if (b.has(term)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Returns the most frequent values with their counts.
+ * @param {string[]} values - The values to count.
+ * @param {number} [limit] - The number of values to return.
+ * @returns {Array<[string, number]>} The values and counts, most frequent first.
+ */
+function mostFrequent(values, limit = Infinity) {
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+}
+
+/**
+ * Groups unanswered and down-voted questions into clusters of similar questions,
+ * so documentation writers can see which articles to add (questions the help
+ * center does not cover, answered with the "not covered" message or by saying the
+ * documents do not have the information) and which to fix (answers users rated
+ * down, with the articles they cited).
+ * @param {Array<object>} answers - Recorded answers with their feedback (see FeedbackStore.listAnswers).
+ * @returns {{totals: object, clusters: Array<object>}} The knowledge-gap report, largest clusters first.
+ */
+function buildKnowledgeGapReport(answers) {
+    const gaps = answers.filter(answer => answer.notCovered || answer.rating === "down");
+
+    // Single-link clustering: a question joins the cluster holding its most similar question
+    const clusters = [];
+    for (const gap of gaps) {
+        const terms = questionTerms(gap.question);
+        let best = null;
+        let bestSimilarity = 0;
+        for (const cluster of clusters) {
+            const score = Math.max(...cluster.members.map(member => similarity(terms, member.terms)));
+            if (score > bestSimilarity) {
+                best = cluster;
+                bestSimilarity = score;
+            }
+        }
+
+        if (best && bestSimilarity >= CLUSTER_SIMILARITY) {
+            best.members.push({ gap, terms });
+        } else {
+            clusters.push({ members: [{ gap, terms }] });
+        }
+    }
+
+    const report = clusters.map(({ members }) => {
+        const memberGaps = members.map(({ gap }) => gap);
+        const notCovered = memberGaps.filter(gap => gap.notCovered).length;
+        const downVoted = memberGaps.filter(gap => gap.rating === "down").length;
+        const citedDocuments = memberGaps
+            .filter(gap => gap.rating === "down")
+            .flatMap(gap => [...new Set(gap.sources.map(source => source.document))]);
+
+        return {
+            topic: mostFrequent(members.flatMap(({ terms }) => [...terms]), 3).map(([term]) => term).join(" "),
+            // Mostly unanswered questions call for a new article; down-voted answers for fixing the cited ones
+            action: notCovered >= downVoted ? "add" : "fix",
+            count: memberGaps.length,
+            notCovered,
+            downVoted,
+            questions: mostFrequent(memberGaps.map(gap => gap.question.trim()), MAX_EXAMPLES).map(([question]) => question),
+            comments: memberGaps.map(gap => gap.comment).filter(Boolean).slice(0, MAX_EXAMPLES),
+            documents: mostFrequent(citedDocuments).map(([document, count]) => ({ document, count })),
+            lastAskedAt: memberGaps[memberGaps.length - 1].createdAt,
+        };
+    });
+
+    return {
+        totals: {
+            answers: answers.length,
+            notCovered: answers.filter(answer => answer.notCovered).length,
+            upVoted: answers.filter(answer => answer.rating === "up").length,
+            downVoted: answers.filter(answer => answer.rating === "down").length,
+        },
+        clusters: report.sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt)),
+    };
+}
+
+/**
+ * Prints the knowledge-gap report.
+ * @param {{totals: object, clusters: Array<object>}} report - The report.
+ */
+function printKnowledgeGapReport(report) {
+    const { answers, notCovered, upVoted, downVoted } = report.totals;
+    console.log(`\n${answers} answer(s): ${notCovered} not covered, ${upVoted} rated up, ${downVoted} rated down\n`);
+
+    if (report.clusters.length === 0) {
+        console.log("No knowledge gaps found.");
+        return;
+    }
+
+    for (const cluster of report.clusters) {
+        const what = cluster.action === "add" ? "ADD" : "FIX";
+        console.log(`  ${what}  ${cluster.topic || "(no keywords)"} — ${cluster.count} question(s), ${cluster.notCovered} not covered, ${cluster.downVoted} rated down`);
+        for (const question of cluster.questions) {
+            console.log(`        "${question}"`);
+        }
+        for (const { document, count } of cluster.documents) {
+            console.log(`        cited: ${document} (${count})`);
+        }
+        for (const comment of cluster.comments) {
+            console.log(`        comment: ${comment}`);
+        }
+    }
+}
+
+/**
+ * Parses the command line options.
+ * @param {string[]} args - The command line arguments.
+ * @returns {object} The options.
+ */
+function parseArgs(args) {
+    const options = { kb: undefined, since: undefined, json: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--json") {
+            options.json = true;
+        } else if (arg === "--kb" || arg === "--since") {
+            options[arg.slice(2)] = args[++i];
+        } else {
+            throw new Error(`Unknown option "${arg}".\n\n${USAGE}`);
+        }
+    }
+
+    if (options.since !== undefined && Number.isNaN(Date.parse(options.since))) {
+        throw new Error(`Invalid date "${options.since}".`);
+    }
+    return options;
+}
+
+/**
+ * Main function to print the knowledge-gap report.
+ */
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const since = options.since && new Date(options.since).toISOString();
+        const answers = new FeedbackStore().listAnswers({ knowledgeBase: options.kb, since });
+        const report = buildKnowledgeGapReport(answers);
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printKnowledgeGapReport(report);
+        }
+    } catch (error) {
+        console.error(" Error:", error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function if this file is executed directly
+const __filename = fileURLToPath(import.meta.url);
+if (path.resolve(process.argv[1]) === __filename) {
+    main();
+}
+
+export { buildKnowledgeGapReport, printKnowledgeGapReport };
@@ -0,0 +1,152 @@
+import { HumanMessage } from "@langchain/core/messages";
+
+// Language of the knowledge base, its prompts and search queries
+const DEFAULT_LANGUAGE = "en";
+// Last line of the detection prompt; the model completes it
+const DETECTED_LANGUAGE_LABEL = "Language:";
+const ENGLISH_QUERY_LABEL = "English query:";
+// Last line of the translation prompt; the model completes it
+const TRANSLATION_LABEL = "Translation:";
+
+// Words only English questions are likely to contain; short words shared with
+// other languages ("a", "in", "is", "do") are left out
+const ENGLISH_WORDS = new Set([
+    "the", "how", "what", "where", "when", "why", "which", "who", "does", "can", "should", "would", "could",
+    "you", "your", "my", "this", "that", "there", "with", "from", "and", "of", "to", "for", "are", "please",
+]);
+
+// Common words of other languages written in Latin letters (German, Spanish, French,
+// Italian, Portuguese, Dutch) that English questions do not use
+const FOREIGN_WORDS = new Set([
+    "ich", "wie", "wo", "eine", "einen", "ein", "der", "das", "und", "ist", "nicht", "kann", "mit", "zu", "auf",
+    "como", "que", "una", "uno", "el", "la", "los", "las", "del", "por", "para", "puedo", "donde", "cual", "es", "en",
+    "comment", "est", "une", "les", "des", "pour", "je", "le", "du", "quoi", "ou",
+    "posso", "il", "di", "che", "non", "sono", "gli", "uma", "um", "os", "da", "onde", "qual",
+    "hoe", "een", "het", "ik", "wat", "waar", "kan", "niet",
+]);
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+const buildDetectionPrompt = (question) => `Identify the language of the user's question and translate it into English to search an English help center.
+- Keep product names, UI labels, button names and menu paths that are already in English exactly as written.
+- Translate the meaning, not word for word. Do not answer the question.
+- Reply with two lines: the ISO 639-1 code of the question's language (e.g. de), then "${ENGLISH_QUERY_LABEL}" followed by the question in English.
+
+Question: ${question}
+
+${DETECTED_LANGUAGE_LABEL}`;
+
+const buildTranslationPrompt = (text, name) => `Translate the text below into ${name}. Keep product names, UI labels and menu paths as written. Reply with the translation only.
+
+Text: ${text}
+
+${TRANSLATION_LABEL}`;
+
+/**
+ * Validates a language code and returns it with its English name.
+ * @param {string} language - A BCP 47 language code, e.g. de or pt-BR.
+ * @returns {{code: string, name: string}} The canonical code and the language name.
+ * @throws {Error} When the code is not a known language.
+ */
+function resolveLanguage(language) {
+    let code;
+    try {
+        [code] = Intl.getCanonicalLocales(String(language).trim());
+    } catch {
+        code = undefined;
+    }
+    const name = code && languageNames.of(code);
+    if (!name) {
+        throw new Error(`Unknown language "${language}". Expected a language code such as en, de or pt-BR.`);
+    }
+    return { code, name };
+}
+
+/**
+ * Returns the English name of a language code, or the code itself when it is unknown.
+ * @param {string} code - The language code.
+ * @returns {string} The language name.
+ */
+function languageName(code) {
+    try {
+        return resolveLanguage(code).name;
+    } catch {
+        return code;
+    }
+}
+
+/**
+ * Tells whether a question is most likely English without asking the model: it
+ * only uses ASCII letters, and contains a word other languages rarely use or none
+ * that other languages commonly use. Keyword questions such as "Booking List" count as English.
+ * @param {string} text - The question.
+ * @returns {boolean} True when the question can be searched as is.
+ */
+function isLikelyEnglish(text) {
+    if (/[^\x00-\x7F‘’“”–—…]/.test(text)) return false;
+    const words = text.toLowerCase().match(/[a-z]+/g) ?? [];
+    return words.some(word => ENGLISH_WORDS.has(word)) || !words.some(word => FOREIGN_WORDS.has(word));
+}
+
+/**
+ * Detects the language of a question and translates it into English for retrieval.
+ * Falls back to English and the question itself when the reply cannot be read.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} llm - The chat model.
+ * @param {string} question - The question.
+ * @returns {Promise<{language: string, query: string}>} The language code and the English query.
+ */
+async function translateQuery(llm, question) {
+    const response = await llm.invoke([new HumanMessage(buildDetectionPrompt(question))]);
+    const lines = String(response.content).split("\n").map(line => line.trim()).filter(Boolean);
+
+    const detected = lines[0]?.replace(DETECTED_LANGUAGE_LABEL, "").trim().replace(/[."'`]/g, "");
+    let language;
+    try {
+        language = resolveLanguage(detected).code;
+    } catch {
+        language = DEFAULT_LANGUAGE;
+    }
+    const query = lines
+        .find(line => line.startsWith(ENGLISH_QUERY_LABEL))
+        ?.slice(ENGLISH_QUERY_LABEL.length)
+        .trim()
+        .replace(/^["'“]|["'”]$/g, "");
+    return { language, query: query || question };
+}
+
+/**
+ * Translates a fixed message, such as the "not covered" answer, into a language.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} llm - The chat model.
+ * @param {string} text - The English text.
+ * @param {string} language - The language code.
+ * @param {object} [runConfig] - Run config for the model call.
+ * @returns {Promise<string>} The translation.
+ */
+async function translateText(llm, text, language, runConfig) {
+    const response = await llm.invoke([new HumanMessage(buildTranslationPrompt(text, languageName(language)))], runConfig);
+    return String(response.content).replace(TRANSLATION_LABEL, "").trim() || text;
+}
+
+/**
+ * Returns the answering guideline for a language: answer in it, but keep the
+ * product's UI labels and menu names as the documents write them.
+ * @param {string} language - The language code.
+ * @returns {string} The guideline, or an empty string for English.
+ */
+function answerLanguageGuideline(language) {
+    if (!language || language === DEFAULT_LANGUAGE) return "";
+    return `
+- Write your answer in ${languageName(language)}, although the documents are in English. Keep moonstride UI labels, button names, field names and menu paths exactly as the documents write them (e.g. "Bookings > Booking List"), without translating them.`;
+}
+
+export {
+    DEFAULT_LANGUAGE,
+    DETECTED_LANGUAGE_LABEL,
+    ENGLISH_QUERY_LABEL,
+    TRANSLATION_LABEL,
+    resolveLanguage,
+    isLikelyEnglish,
+    translateQuery,
+    translateText,
+    answerLanguageGuideline,
+};
@@ -0,0 +1,235 @@
+import express from 'express';
+import { randomUUID } from "crypto";
+import { openEventStream } from "./sse.js";
+
+// Roles of the OpenAI Chat Completions messages. System and developer messages are
+// ignored: the knowledge base's own prompt applies. Tool messages are ignored too.
+const MESSAGE_ROLES = ["system", "developer", "user", "assistant", "tool"];
+
+/**
+ * Responds with an error in the OpenAI format, which OpenAI SDKs raise as API errors.
+ * @param {import("express").Response} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {object} [details]
+ * @param {string} [details.type] - The error type.
+ * @param {string | null} [details.param] - The request field at fault.
+ * @param {string | null} [details.code] - The error code.
+ */
+function sendError(res, status, message, { type = "invalid_request_error", param = null, code = null } = {}) {
+    res.status(status).json({ error: { message, type, param, code } });
+}
+
+/**
+ * Returns the text of a message: its content string, or its text parts joined.
+ * @param {string | Array<object> | null} content - The message content.
+ * @returns {string | null} The text, or null when the content is neither.
+ */
+function messageText(content) {
+    if (typeof content === "string") return content;
+    if (!Array.isArray(content)) return null;
+    const parts = content.filter(part => part?.type === "text" && typeof part.text === "string");
+    return parts.length === content.length ? parts.map(part => part.text).join("\n") : null;
+}
+
+/**
+ * Converts the token usage of an answer to the OpenAI format.
+ * @param {{promptTokens: number, completionTokens: number}} usage - The token usage.
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}} The usage.
+ */
+function toUsage({ promptTokens, completionTokens }) {
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Validates a chat completion request before any model call. The last message
+ * is the question; the user and assistant messages before it are the history.
+ * Responds with the error when the request is rejected.
+ * @param {import("express").Request} req - The request.
+ * @param {import("express").Response} res - The response, with the chatbot in res.locals.
+ * @param {object} limits - The request limits (see loadServerConfig).
+ * @returns {{question: string, history: Array<{role: string, content: string}>, audiences: string[] | null, stream: boolean, includeUsage: boolean} | null} The request, or null when it was rejected.
+ */
+function readCompletionRequest(req, res, limits) {
+    const { chatbot } = res.locals;
+    const { messages, stream = false, stream_options: streamOptions, n = 1 } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+        sendError(res, 400, 'messages must be a non-empty array.', { param: "messages" });
+        return null;
+    }
+    const turns = [];
+    for (const [i, message] of messages.entries()) {
+        if (!MESSAGE_ROLES.includes(message?.role)) {
+            sendError(res, 400, `messages[${i}].role must be one of: ${MESSAGE_ROLES.join(", ")}.`, { param: `messages[${i}].role` });
+            return null;
+        }
+        if (message.role !== "user" && message.role !== "assistant") continue;
+
+        const content = messageText(message.content ?? "");
+        if (content === null) {
+            sendError(res, 400, `messages[${i}].content must be a string or text parts.`, { param: `messages[${i}].content` });
+            return null;
+        }
+        // Assistant messages with only tool calls carry no text for the history
+        if (content.trim()) turns.push({ role: message.role, content });
+    }
+
+    const last = turns.at(-1);
+    if (last?.role !== "user" || messages.at(-1).role !== "user") {
+        sendError(res, 400, 'The last message must be a user message with text.', { param: "messages" });
+        return null;
+    }
+    if (last.content.length > limits.maxQuestionLength) {
+        sendError(res, 400, `The last message is longer than ${limits.maxQuestionLength} characters.`, { param: "messages", code: "string_above_max_length" });
+        return null;
+    }
+    if (turns.filter(turn => turn.role === "user").length > limits.maxThreadTurns) {
+        sendError(res, 400, `The conversation has more than ${limits.maxThreadTurns} user messages. Start a new conversation.`, { param: "messages" });
+        return null;
+    }
+    if (n !== 1) {
+        sendError(res, 400, 'Only one choice (n = 1) is supported.', { param: "n" });
+        return null;
+    }
+    if (typeof stream !== "boolean") {
+        sendError(res, 400, 'stream must be a boolean.', { param: "stream" });
+        return null;
+    }
+
+    // Deployments restricted to some audiences reject requests for any other
+    let audiences;
+    try {
+        audiences = chatbot.resolveAudiences(req.body.audience);
+    } catch (error) {
+        sendError(res, 403, error.message, { type: "permission_error", param: "audience" });
+        return null;
+    }
+
+    return { question: last.content, history: turns.slice(0, -1), audiences, stream, includeUsage: Boolean(streamOptions?.include_usage) };
+}
+
+/**
+ * Creates the OpenAI-compatible API, so OpenAI SDK clients can chat with the
+ * knowledge bases unchanged: every knowledge base is a model, named after it.
+ *
+ * - GET /models and /models/:model list the knowledge bases.
+ * - POST /chat/completions answers the last user message of `messages`; the
+ *   earlier user and assistant messages are the conversation so far. Each request
+ *   runs in a thread of its own, deleted once answered, so no handoff to the support
+ *   team is offered: its reply could not be told from a new question. `stream: true` streams
+ *   chat.completion.chunk events, ending with `data: [DONE]`. Sampling settings,
+ *   tools and system messages are ignored. Completions carry the cited sources in
+ *   a `sources` field of their own (the last chunk, when streamed).
+ * @param {import("./knowledge-bases.js").KnowledgeBases} knowledgeBases - The knowledge bases served.
+ * @param {object} limits - The request limits (see loadServerConfig).
+ * @param {import("express").RequestHandler} chargeQuota - Counts a chat request against the client's daily quota.
+ * @returns {import("express").Router} The router, to mount at /v1.
+ */
+function createOpenAIRouter(knowledgeBases, limits, chargeQuota) {
+    const router = express.Router();
+    // Knowledge bases have no creation date of their own
+    const created = Math.floor(Date.now() / 1000);
+    const toModel = (name) => ({ id: name, object: "model", created, owned_by: "node_chatbot" });
+
+    router.get('/models', (req, res) => {
+        res.json({ object: "list", data: knowledgeBases.list().map(({ name }) => toModel(name)) });
+    });
+
+    router.get('/models/:model', (req, res) => {
+        if (!knowledgeBases.has(req.params.model)) {
+            return sendError(res, 404, `The model "${req.params.model}" does not exist.`, { param: "model", code: "model_not_found" });
+        }
+        res.json(toModel(req.params.model));
+    });
+
+    // Completion requests are validated before they count against the quota
+    const readRequest = async (req, res, next) => {
+        const { model } = req.body;
+        if (typeof model !== "string" || !knowledgeBases.has(model)) {
+            return sendError(res, 404, `The model "${model}" does not exist. List the models with GET /v1/models.`, { param: "model", code: "model_not_found" });
+        }
+        try {
+            res.locals.chatbot = await knowledgeBases.get(model);
+        } catch (error) {
+            console.error(`Failed to load knowledge base "${model}":`, error.message);
+            return sendError(res, 503, `The model "${model}" is not available.`, { type: "server_error" });
+        }
+
+        res.locals.request = readCompletionRequest(req, res, limits);
+        if (res.locals.request) next();
+    };
+
+    router.post('/chat/completions', readRequest, chargeQuota, async (req, res) => {
+        const { model } = req.body;
+        const { chatbot, request } = res.locals;
+        const { question, history, audiences, stream, includeUsage } = request;
+        const id = `chatcmpl-${randomUUID()}`;
+        const threadId = `openai-${randomUUID()}`;
+        console.log(`Received ${stream ? "streaming " : ""}completion: "${question}"`);
+
+        try {
+            if (!stream) {
+                let done;
+                for await (const { event, data } of chatbot.streamAnswer(question, threadId, undefined, audiences, { history, handoff: false })) {
+                    if (event === "done") done = data;
+                }
+                return res.json({
+                    id,
+                    object: "chat.completion",
+                    created: Math.floor(Date.now() / 1000),
+                    model,
+                    choices: [{ index: 0, message: { role: "assistant", content: done.answer, refusal: null }, logprobs: null, finish_reason: "stop" }],
+                    usage: toUsage(done.usage),
+                    system_fingerprint: null,
+                    sources: done.sources,
+                });
+            }
+
+            const { sendData, end, signal } = openEventStream(res);
+            const chunk = (delta, finishReason = null) => ({
+                id,
+                object: "chat.completion.chunk",
+                created: Math.floor(Date.now() / 1000),
+                model,
+                system_fingerprint: null,
+                choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }],
+                // With include_usage, every chunk but the last has a null usage
+                ...(includeUsage && { usage: null }),
+            });
+            try {
+                sendData(chunk({ role: "assistant", content: "" }));
+                let done;
+                for await (const { event, data } of chatbot.streamAnswer(question, threadId, signal, audiences, { history, handoff: false })) {
+                    if (event === "token") sendData(chunk({ content: data.text }));
+                    if (event === "done") done = data;
+                }
+                sendData({ ...chunk({}, "stop"), sources: done.sources });
+                if (includeUsage) {
+                    sendData({ ...chunk({}), choices: [], usage: toUsage(done.usage) });
+                }
+                sendData("[DONE]");
+            } catch (error) {
+                if (!signal.aborted) {
+                    console.error("Streaming Error:", error);
+                    sendData({ error: { message: 'Failed to get a response from the chatbot.', type: "server_error", param: null, code: null } });
+                }
+            } finally {
+                end();
+            }
+        } catch (error) {
+            console.error("API Completion Error:", error);
+            sendError(res, 500, 'Failed to get a response from the chatbot.', { type: "server_error" });
+        } finally {
+            try {
+                await chatbot.deleteThread(threadId);
+            } catch (error) {
+                console.error("Error deleting the completion thread:", error);
+            }
+        }
+    });
+
+    return router;
+}
+
+export { createOpenAIRouter };
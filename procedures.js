@@ -0,0 +1,140 @@
+import { HumanMessage } from "@langchain/core/messages";
+import { z } from "zod";
+
+// Answer formats a client may ask for
+const ANSWER_FORMATS = ["text", "procedure"];
+// Last line of the extraction prompt; the model completes it
+const PROCEDURE_JSON_LABEL = "JSON:";
+const MAX_STEPS = 30;
+
+// Questions asking how to do something, e.g. "How do I cancel a booking?" or "Steps to set up Kanban"
+const HOW_TO_QUESTION = /^\s*(?:(?:and|so|ok|okay|please)[\s,]+)*(?:how\s+(?:do|can|should|would|could|to)\b|how\s+is\s+\w+\s+(?:done|set\s+up|configured)|what\s+are\s+the\s+steps\b|(?:what\s+is\s+the\s+)?(?:steps|process|procedure)\s+(?:to|for)\b|walk\s+me\s+through\b|guide\s+me\b|show\s+me\s+how\b|(?:can|could)\s+you\s+(?:tell|show)\s+me\s+how\b|where\s+do\s+i\s+(?:go|click|find)\s+to\b)/i;
+
+const ProcedureSchema = z.object({
+    title: z.string().min(1).describe("what the procedure achieves, e.g. Cancel a booking"),
+    prerequisites: z.array(z.string().min(1)).describe("what must be in place before starting"),
+    steps: z.array(z.object({
+        number: z.number().int().positive(),
+        instruction: z.string().min(1),
+        navigation: z.string().min(1).nullable().describe("where the step happens, e.g. Bookings > Booking List"),
+    })).min(1).max(MAX_STEPS),
+    navigation: z.array(z.string().min(1)).describe("related navigation paths, e.g. Settings > Rules"),
+    source: z.object({
+        document: z.string(),
+        citation: z.number().int().positive(),
+    }).nullable().describe("the article the steps come from"),
+});
+
+const buildProcedurePrompt = (question, answer, context) => `Turn the answer to the user's how-to question into a structured procedure.
+- Use only the answer and the document context below. Never add steps, screens or settings they do not mention.
+- Keep the steps in order, one action per step, without citation markers.
+- "navigation" of a step is the menu path where it happens (e.g. "Bookings > Booking List"), or null.
+- "navigation" of the procedure lists the menu paths it involves.
+- If the answer does not describe a procedure, return {"steps": []}.
+- Reply with a JSON object only: {"title": string, "prerequisites": string[], "steps": [{"instruction": string, "navigation": string | null}], "navigation": string[]}
+
+Question: ${question}
+
+Answer:
+${answer}
+
+Document context:
+${context}
+
+${PROCEDURE_JSON_LABEL}`;
+
+/**
+ * Tells whether a question asks how to do something.
+ * @param {string} question - The user's question.
+ * @returns {boolean} True for how-to questions.
+ */
+function isHowToQuestion(question) {
+    return HOW_TO_QUESTION.test(question);
+}
+
+/**
+ * Parses the JSON object in a model reply, ignoring code fences and text around it.
+ * @param {string} text - The model reply.
+ * @returns {object | null} The object, or null when the reply holds none.
+ */
+function parseJsonObject(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end < start) return null;
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extracts the structured procedure of a how-to answer: title, prerequisites,
+ * ordered steps and navigation paths, plus the article most of the cited sources
+ * come from. The result is validated against ProcedureSchema.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} llm - The chat model.
+ * @param {object} answer
+ * @param {string} answer.question - The user's question.
+ * @param {string} answer.text - The answer text.
+ * @param {string} answer.context - The document context the answer was written from.
+ * @param {Array<object>} answer.sources - The sources the answer cites.
+ * @param {object} [runConfig] - Run config (callbacks, signal) for the model call.
+ * @returns {Promise<object | null>} The procedure, or null when the answer does not describe one.
+ */
+async function extractProcedure(llm, { question, text, context, sources }, runConfig) {
+    const response = await llm.invoke([new HumanMessage(buildProcedurePrompt(question, text, context))], runConfig);
+    const extracted = parseJsonObject(String(response.content));
+    if (!Array.isArray(extracted?.steps) || extracted.steps.length === 0) return null;
+
+    // The source article is the document cited most, first cited on a tie
+    const counts = new Map();
+    for (const source of sources) {
+        counts.set(source.document, (counts.get(source.document) ?? 0) + 1);
+    }
+    const [document] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+    const citation = sources.find(source => source.document === document)?.citation;
+
+    const result = ProcedureSchema.safeParse({
+        title: extracted.title || question.trim(),
+        prerequisites: extracted.prerequisites ?? [],
+        steps: extracted.steps.map((step, i) => ({
+            number: i + 1,
+            instruction: typeof step === "string" ? step : step?.instruction,
+            navigation: step?.navigation || null,
+        })),
+        navigation: extracted.navigation ?? [],
+        source: document ? { document, citation } : null,
+    });
+    if (!result.success) {
+        console.error("Discarding an invalid procedure:", result.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`).join("; "));
+        return null;
+    }
+    return result.data;
+}
+
+/**
+ * Formats a procedure as a numbered list for terminal output.
+ * @param {object} procedure - The procedure.
+ * @returns {string} The formatted procedure.
+ */
+function formatProcedureForCli(procedure) {
+    const lines = [` ${procedure.title}`];
+    if (procedure.prerequisites.length > 0) {
+        lines.push("", " Before you start:", ...procedure.prerequisites.map(prerequisite => `  - ${prerequisite}`));
+    }
+    lines.push("", ...procedure.steps.map(({ number, instruction, navigation }) =>
+        `  ${number}. ${instruction}${navigation ? ` (${navigation})` : ""}`));
+    if (procedure.navigation.length > 0) {
+        lines.push("", ` Related: ${procedure.navigation.join("; ")}`);
+    }
+    return lines.join("\n");
+}
+
+export {
+    ANSWER_FORMATS,
+    PROCEDURE_JSON_LABEL,
+    ProcedureSchema,
+    isHowToQuestion,
+    extractProcedure,
+    formatProcedureForCli,
+};
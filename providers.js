@@ -0,0 +1,225 @@
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
+import { Embeddings } from "@langchain/core/embeddings";
+
+// Azure AI Inference API version sent with every request
+const AZURE_API_VERSION = "2024-05-01-preview";
+// Endpoint of OpenAI clients configured without a base URL
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Supported model providers. Every provider except Hugging Face embeddings is
+ * reached through its OpenAI-compatible API, so one client covers them all.
+ */
+const PROVIDERS = {
+    openai: {
+        label: "OpenAI",
+        apiKeyEnv: "OPENAI_API_KEY",
+        chatModel: "gpt-4o-mini",
+        embeddingModel: "text-embedding-3-small",
+    },
+    github: {
+        label: "GitHub Models",
+        apiKeyEnv: "GITHUB_TOKEN",
+        baseURLEnv: "GITHUB_MODELS_ENDPOINT",
+        baseURL: "https://models.github.ai/inference",
+        chatModel: "openai/gpt-4.1",
+        embeddingModel: "openai/text-embedding-3-small",
+    },
+    azure: {
+        label: "Azure AI Inference",
+        apiKeyEnv: "AZURE_INFERENCE_KEY",
+        baseURLEnv: "AZURE_INFERENCE_ENDPOINT",
+        chatModel: "gpt-4o-mini",
+        embeddingModel: "text-embedding-3-small",
+    },
+    huggingface: {
+        label: "Hugging Face",
+        apiKeyEnv: "HF_TOKEN",
+        baseURL: "https://router.huggingface.co/v1",
+        chatModel: "meta-llama/Llama-3.1-8B-Instruct",
+        embeddingModel: "sentence-transformers/all-MiniLM-L6-v2",
+    },
+    local: {
+        label: "OpenAI-compatible server",
+        baseURLEnv: "LOCAL_LLM_BASE_URL",
+        baseURL: "http://localhost:11434/v1",
+        chatModel: "llama3.1",
+        embeddingModel: "nomic-embed-text",
+    },
+};
+
+/**
+ * Looks up a provider definition.
+ * @param {string} provider - The provider name.
+ * @returns {object} The provider definition.
+ */
+function getProvider(provider) {
+    const definition = PROVIDERS[provider];
+    if (!definition) {
+        throw new Error(`Unsupported provider "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}.`);
+    }
+    return definition;
+}
+
+/**
+ * Returns the default model of a provider.
+ * @param {string} provider - The provider name.
+ * @param {"chat"|"embeddings"} kind - The kind of model.
+ * @returns {string} The default model name.
+ */
+function getDefaultModel(provider, kind) {
+    const definition = getProvider(provider);
+    return kind === "chat" ? definition.chatModel : definition.embeddingModel;
+}
+
+/**
+ * Resolves the model, endpoint and credentials for a provider configuration.
+ * @param {{provider: string, model?: string, baseURL?: string, apiKey?: string}} config - The provider configuration.
+ * @param {"chat"|"embeddings"} kind - The kind of model.
+ * @returns {{provider: string, model: string, baseURL?: string, apiKey: string}} The resolved settings.
+ */
+function resolveProviderSettings(config, kind) {
+    const definition = getProvider(config.provider);
+    const apiKey = config.apiKey ?? (definition.apiKeyEnv ? process.env[definition.apiKeyEnv] : "not-needed");
+    if (!apiKey) {
+        throw new Error(`${definition.apiKeyEnv} is required to use ${definition.label}.`);
+    }
+
+    const baseURL = config.baseURL ?? (definition.baseURLEnv && process.env[definition.baseURLEnv]) ?? definition.baseURL;
+    if (config.provider === "azure" && !baseURL) {
+        throw new Error(`${definition.baseURLEnv} is required to use ${definition.label}.`);
+    }
+
+    return {
+        provider: config.provider,
+        model: config.model || getDefaultModel(config.provider, kind),
+        baseURL,
+        apiKey,
+    };
+}
+
+/**
+ * Builds the OpenAI client options for an OpenAI-compatible endpoint.
+ * @param {{provider: string, baseURL?: string, apiKey: string}} settings - The resolved settings.
+ * @returns {object | undefined} The client configuration.
+ */
+function clientConfiguration({ provider, baseURL, apiKey }) {
+    if (provider === "azure") {
+        return {
+            baseURL,
+            defaultHeaders: { "api-key": apiKey },
+            defaultQuery: { "api-version": AZURE_API_VERSION },
+        };
+    }
+    return baseURL ? { baseURL } : undefined;
+}
+
+/**
+ * Creates the chat model for a provider configuration.
+ * @param {{provider: string, model?: string, baseURL?: string, apiKey?: string, temperature?: number}} config - The chat configuration.
+ * @returns {ChatOpenAI} The chat model.
+ */
+function createChatModel(config) {
+    const settings = resolveProviderSettings(config, "chat");
+    console.log(`Using ${getProvider(settings.provider).label} for chat (${settings.model}).`);
+
+    return new ChatOpenAI({
+        model: settings.model,
+        temperature: config.temperature ?? 0,
+        apiKey: settings.apiKey,
+        configuration: clientConfiguration(settings),
+    });
+}
+
+/**
+ * Scales a vector to unit length.
+ * @param {number[]} vector - The vector.
+ * @returns {number[]} The unit vector; a zero vector is returned as is.
+ */
+function normalizeVector(vector) {
+    const norm = Math.hypot(...vector);
+    return norm > 0 ? vector.map(x => x / norm) : vector;
+}
+
+/**
+ * Wraps an embedder so every vector it returns has unit length. FAISS then ranks
+ * by cosine similarity whatever the model, and its squared L2 distances convert
+ * to relevance scores (see distanceToRelevance in citations.js).
+ */
+class NormalizedEmbeddings extends Embeddings {
+    constructor(embeddings) {
+        super({});
+        this.embeddings = embeddings;
+    }
+
+    async embedQuery(text) {
+        return normalizeVector(await this.embeddings.embedQuery(text));
+    }
+
+    async embedDocuments(texts) {
+        return (await this.embeddings.embedDocuments(texts)).map(normalizeVector);
+    }
+}
+
+/**
+ * Creates the embeddings client for a provider configuration. Its vectors are
+ * normalized to unit length; OpenAI's already are, so their stores are unchanged.
+ * @param {{provider: string, model?: string, baseURL?: string, apiKey?: string}} config - The embeddings configuration.
+ * @returns {import("@langchain/core/embeddings").Embeddings} The embeddings client.
+ */
+function createEmbeddings(config) {
+    const settings = resolveProviderSettings(config, "embeddings");
+
+    if (settings.provider === "huggingface") {
+        return new NormalizedEmbeddings(new HuggingFaceInferenceEmbeddings({
+            apiKey: settings.apiKey,
+            model: settings.model,
+        }));
+    }
+    return new NormalizedEmbeddings(new OpenAIEmbeddings({
+        model: settings.model,
+        apiKey: settings.apiKey,
+        configuration: clientConfiguration(settings),
+    }));
+}
+
+/**
+ * Checks that a chat model's endpoint is up and accepts its credentials by listing
+ * the models, which uses no tokens. Endpoints without a model list still count as
+ * up: only rejected credentials, server errors and unreachable endpoints fail.
+ * @param {{apiKey: string, baseURL?: string, defaultHeaders?: object, defaultQuery?: object}} clientConfig - The client configuration of the chat model.
+ * @param {number} [timeoutSeconds] - How long to wait for the endpoint.
+ * @returns {Promise<{ready: boolean, error?: string}>} The outcome.
+ */
+async function checkChatModel({ apiKey, baseURL = OPENAI_BASE_URL, defaultHeaders, defaultQuery }, timeoutSeconds = 5) {
+    const url = new URL(`${baseURL.replace(/\/+$/, "")}/models`);
+    for (const [name, value] of Object.entries(defaultQuery ?? {})) {
+        url.searchParams.set(name, value);
+    }
+
+    try {
+        const response = await fetch(url, {
+            headers: { Authorization: `Bearer ${apiKey}`, ...defaultHeaders },
+            signal: AbortSignal.timeout(timeoutSeconds * 1000),
+        });
+        if (response.status === 401 || response.status === 403) {
+            return { ready: false, error: `The model endpoint rejected the credentials (${response.status}).` };
+        }
+        if (response.status >= 500) {
+            return { ready: false, error: `The model endpoint answered ${response.status}.` };
+        }
+        return { ready: true };
+    } catch (error) {
+        return { ready: false, error: `The model endpoint is unreachable: ${error.message}` };
+    }
+}
+
+export {
+    PROVIDERS,
+    NormalizedEmbeddings,
+    getDefaultModel,
+    createChatModel,
+    createEmbeddings,
+    checkChatModel,
+};
@@ -0,0 +1,70 @@
+import { HumanMessage, isAIMessage } from "@langchain/core/messages";
+
+// Characters of each earlier answer shown to the rewriter
+const MAX_ANSWER_CHARS = 600;
+// Last line of the rewriting prompt; the model completes it
+const STANDALONE_QUERY_LABEL = "Standalone query:";
+
+const buildRewritePrompt = (conversation, question) => `Rewrite the user's latest question as a standalone search query for the help center.
+- Use the conversation only to resolve what the question refers to (e.g. "it", "that booking", "the same for agents").
+- Keep the user's wording where possible. Do not answer the question and do not add facts.
+- If the question already stands on its own, return it unchanged.
+- Reply with the query only.
+
+Conversation:
+${conversation}
+
+Latest question: ${question}
+
+${STANDALONE_QUERY_LABEL}`;
+
+/**
+ * Returns the last completed turns of a conversation: each question with the
+ * answer shown to the user. Tool calls and retrieved context are left out.
+ * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The thread's messages, without the latest question.
+ * @param {number} count - The number of turns to return.
+ * @returns {Array<{question: string, answer: string}>} The turns, oldest first.
+ */
+function recentTurns(messages, count) {
+    const turns = [];
+    for (const message of messages) {
+        if (message instanceof HumanMessage) {
+            turns.push({ question: message.content, answer: "" });
+        } else if (isAIMessage(message) && !message.tool_calls?.length && message.content && turns.length > 0) {
+            turns[turns.length - 1].answer = message.content;
+        }
+    }
+    return count > 0 ? turns.slice(-count) : [];
+}
+
+/**
+ * Rewrites the latest question of a thread into a standalone search query, using
+ * the recent turns to resolve follow-ups such as "and how do I cancel it?". The
+ * first question of a thread is returned as is, without a model call.
+ * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} llm - The chat model.
+ * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The thread's messages, ending with the latest question.
+ * @param {number} historyTurns - How many earlier turns the rewriter sees.
+ * @returns {Promise<string>} The standalone query.
+ */
+async function rewriteQuery(llm, messages, historyTurns) {
+    const question = messages[messages.length - 1].content;
+    const turns = recentTurns(messages.slice(0, -1), historyTurns);
+    if (turns.length === 0) return question;
+
+    const conversation = turns
+        .map(({ question: earlier, answer }) => {
+            const shortAnswer = answer.length > MAX_ANSWER_CHARS ? `${answer.slice(0, MAX_ANSWER_CHARS)}...` : answer;
+            return `User: ${earlier}\nAssistant: ${shortAnswer}`;
+        })
+        .join("\n\n");
+    const response = await llm.invoke([new HumanMessage(buildRewritePrompt(conversation, question))]);
+
+    // Models sometimes repeat the label or quote the query
+    const query = String(response.content)
+        .split("\n")
+        .map(line => line.replace(STANDALONE_QUERY_LABEL, "").trim().replace(/^["'“]|["'”]$/g, "").trim())
+        .find(Boolean);
+    return query || question;
+}
+
+export { rewriteQuery, recentTurns, STANDALONE_QUERY_LABEL };
@@ -0,0 +1,808 @@
+import { randomUUID } from "crypto";
+import { HumanMessage, AIMessage, ToolMessage, isAIMessage } from "@langchain/core/messages";
+import { StateGraph, END } from "@langchain/langgraph";
+import { loadConfig, refreshConfig } from "./config.js";
+import { createChatModel, checkChatModel } from "./providers.js";
+import { loadVectorStore } from "./vectorstore-manifest.js";
+import { loadKeywordIndex } from "./keyword-index.js";
+import { createCheckpointer, startThreadPurge } from "./checkpointer.js";
+import { createCitationRetrieverTool, collectTurnSources, collectThreadSources, selectCitedSources } from "./citations.js";
+import { createArticleTools } from "./article-tools.js";
+import { normalizeAudiences, resolveRequestAudiences } from "./audiences.js";
+import { rewriteQuery } from "./query-rewriter.js";
+import { ANSWER_FORMATS, isHowToQuestion, extractProcedure } from "./procedures.js";
+import { collectScreenshots } from "./images.js";
+import { DEFAULT_LANGUAGE, resolveLanguage, isLikelyEnglish, translateQuery, translateText, answerLanguageGuideline } from "./languages.js";
+import { HANDOFF_OFFER, HANDOFF_DECLINED, handoffConfirmation, parseHandoffReply } from "./escalation.js";
+import { RunRecorder } from "./telemetry.js";
+
+// How long the outcome of a model endpoint check is reported before checking again
+const MODEL_CHECK_TTL_MS = 60 * 1000;
+// Graph nodes whose output is the answer shown to the user
+const ANSWER_NODES = new Set(["agent", "generate", "fallback"]);
+// Starts the answers saying the documents do not cover the question, whatever their
+// language, as the guidelines ask the model to. It is removed before the answer is shown.
+const NOT_AVAILABLE_MARKER = "[NOT_AVAILABLE]";
+
+const GUIDELINES = `IMPORTANT GUIDELINES:
+- Use only the context retrieved from the documents.
+- If the retrieved context does not contain the answer, you MUST start your answer with ${NOT_AVAILABLE_MARKER} and then state that the information is not available in the provided documents.
+- Do not use any outside knowledge to answer the question. Earlier turns of the conversation only tell you what the question refers to; they are never a source of facts.
+- Greet the user warmly whenever they say hello, and follow up by asking what they're looking for.
+- Format your answer clearly and concisely, using bullet points or short paragraphs if helpful.
+- Cite the numbered context entries you use with inline markers such as [1] or [2][3], placed right after the statement they support.`;
+
+const buildAgentPrompt = (intro, standaloneQuestion, language) => `${intro}
+
+${GUIDELINES}${answerLanguageGuideline(language)}
+- The document context is provided in the output of your tools. Search with retrieve_document_context. When the answer needs a whole article (for example every status, option or step it lists), open it with get_article; list_articles shows which articles exist and search_article searches inside one.
+- You may call several tools at once when the question has several parts.${standaloneQuestion ? `
+- As a standalone English search query, the latest question reads: "${standaloneQuestion}". Search for that.` : ""}
+
+Answer based solely on the document context provided.`;
+
+const buildSimplePrompt = (intro, contextText, language) => `${intro} Keep the answer concise and relevant.
+
+${GUIDELINES}${answerLanguageGuideline(language)}
+
+Answer based solely on the document context provided.
+Context:
+${contextText}`;
+
+/**
+ * Removes the "not available" marker from the start of a model answer and flags the
+ * answer with `notAvailable` in its response metadata instead.
+ * @param {AIMessage} response - The model's answer.
+ * @returns {AIMessage} The same message.
+ */
+function flagNotAvailable(response) {
+    if (typeof response.content !== "string" || !response.content.trimStart().startsWith(NOT_AVAILABLE_MARKER)) return response;
+    response.content = response.content.trimStart().slice(NOT_AVAILABLE_MARKER.length).trimStart();
+    response.response_metadata = { ...response.response_metadata, notAvailable: true };
+    return response;
+}
+
+/**
+ * Holds back the start of each streamed answer until it is known not to be the
+ * "not available" marker, which is dropped.
+ * @returns {{push: (id: string, text: string) => string, flush: () => string}} Pushes a token of
+ * the answer written by the node run with the id and returns the text to show; flush returns
+ * the text still held back.
+ */
+function createMarkerFilter() {
+    const settled = new Set();
+    let heldId = null;
+    let held = "";
+
+    return {
+        push(id, text) {
+            if (settled.has(id)) return text;
+            held = heldId === id ? held + text : text;
+            heldId = id;
+            const start = held.trimStart();
+            if (NOT_AVAILABLE_MARKER.startsWith(start)) return "";
+
+            settled.add(id);
+            const shown = start.startsWith(NOT_AVAILABLE_MARKER) ? start.slice(NOT_AVAILABLE_MARKER.length).trimStart() : held;
+            held = "";
+            heldId = null;
+            return shown;
+        },
+        flush() {
+            const rest = held.trimStart() === NOT_AVAILABLE_MARKER ? "" : held;
+            held = "";
+            heldId = null;
+            return rest;
+        },
+    };
+}
+
+/**
+ * Returns the user and assistant messages of a conversation, without tool calls and results.
+ * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The conversation messages.
+ * @returns {Array<{role: string, content: string}>} The transcript.
+ */
+function toTranscript(messages) {
+    return messages
+        .filter(message => (message instanceof HumanMessage || isAIMessage(message)) && message.content)
+        .map(message => ({
+            role: message instanceof HumanMessage ? "user" : "assistant",
+            content: message.content,
+        }));
+}
+
+/**
+ * RAG chatbot core shared by the CLI and the API servers.
+ *
+ * Two flows are available:
+ * - "agent": the model decides when to call the retrieval tool (LangGraph agent loop).
+ * - "simple": every question is retrieved for first, then answered in one model call.
+ */
+class RAGChatbot {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.knowledgeBase] - The configured knowledge base to serve; defaults to the top-level one.
+     * @param {string} [options.dbPath] - The vector store folder; defaults to the configured path.
+     * @param {"agent"|"simple"} [options.mode] - The answering flow.
+     * @param {object} [options.chat] - Chat model settings overriding the configuration.
+     * @param {object} [options.retrieval] - Retrieval settings overriding the configuration.
+     * @param {object} [options.queryRewriting] - Follow-up rewriting settings overriding the configuration.
+     * @param {import("@langchain/core/language_models/chat_models").BaseChatModel} [options.llm] - A ready-made chat model, used instead of the configured one.
+     * @param {import("@langchain/community/vectorstores/faiss").FaissStore} [options.vectorStore] - A ready-made vector store, used instead of loading dbPath.
+     * @param {import("./keyword-index.js").KeywordIndex} [options.keywordIndex] - The keyword index of a ready-made vector store.
+     * @param {object} [options.checkpointer] - A checkpointer, used instead of the configured one.
+     * @param {string[] | null} [options.audiences] - Document audiences this chatbot may answer from, overriding the configuration; null for all.
+     * @param {import("./feedback-store.js").FeedbackStore} [options.feedbackStore] - Records every answer so users can rate it.
+     * @param {import("./telemetry.js").Telemetry} [options.telemetry] - Logs and measures every request.
+     * @param {object} [options.answerCaching] - Answer cache settings overriding the configuration.
+     * @param {import("./answer-cache.js").AnswerCache} [options.answerCache] - Serves near-identical first questions without a run.
+     * @param {object} [options.escalation] - Handoff settings overriding the configuration.
+     * @param {import("./escalation.js").Escalations} [options.escalations] - Creates and delivers the support tickets of handoffs.
+     */
+    constructor({ knowledgeBase, dbPath, mode = "agent", chat, retrieval, queryRewriting, answerCaching, escalation, llm, vectorStore, keywordIndex = null, checkpointer = null, audiences, feedbackStore = null, telemetry = null, answerCache = null, escalations = null } = {}) {
+        const config = loadConfig(knowledgeBase);
+        // Switching provider must not inherit the configured provider's model or endpoint
+        const chatConfig = chat?.provider && chat.provider !== config.chat.provider
+            ? chat
+            : { ...config.chat, ...chat };
+
+        this.knowledgeBase = config.knowledgeBase;
+        this.llm = llm ?? createChatModel(chatConfig);
+        this.modelName = this.llm.model ?? this.llm._llmType();
+        this.pricing = config.pricing[this.modelName] ?? null;
+        this.dbPath = dbPath ?? config.vectorStorePath;
+        this.mode = mode;
+        this.prompt = config.prompt;
+        this.retrieval = { ...config.retrieval, ...retrieval };
+        this.queryRewriting = { ...config.queryRewriting, ...queryRewriting };
+        this.answerCaching = { ...config.answerCaching, ...answerCaching };
+        this.escalation = { ...config.escalation, ...escalation };
+        const allowedAudiences = audiences !== undefined ? audiences : config.audiences;
+        this.audiences = allowedAudiences ? normalizeAudiences(allowedAudiences) : null;
+        this.notCoveredMessage = config.notCoveredMessage;
+        this.vectorStore = vectorStore ?? null;
+        this.keywordIndex = keywordIndex;
+        // The build of the vector store (its manifest's builtAt); ready-made stores have none
+        this.storeVersion = null;
+        this.app = null;
+        this.checkpointer = checkpointer;
+        this.feedbackStore = feedbackStore;
+        this.telemetry = telemetry;
+        this.answerCache = answerCache;
+        this.escalations = escalations;
+    }
+
+    async init() {
+        try {
+            if (!this.vectorStore) {
+                ({ vectorStore: this.vectorStore, keywordIndex: this.keywordIndex, storeVersion: this.storeVersion } = await this._loadStore(this.dbPath));
+            }
+            this._invalidateAnswerCache();
+            this.checkpointer ??= createCheckpointer(this.knowledgeBase);
+            this.app = this._buildGraph(this.vectorStore, this.keywordIndex);
+            startThreadPurge(this.checkpointer);
+        } catch (error) {
+            console.error("Error initializing chatbot:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolves the audiences a request may retrieve for (see resolveRequestAudiences).
+     * @param {string | string[] | undefined} requested - The audience(s) named by the request.
+     * @returns {string[] | null} The audiences, or null for no restriction.
+     * @throws {Error} When a requested audience is not served by this chatbot.
+     */
+    resolveAudiences(requested) {
+        return resolveRequestAudiences(requested, this.audiences);
+    }
+
+    /**
+     * Reports whether the vector store and the chat model are ready to answer. The
+     * model's endpoint is checked at most once a minute (see checkChatModel); models
+     * without an endpoint, such as the offline ones, are always ready.
+     * @returns {Promise<{knowledgeBase: string, ready: boolean, vectorStore: {ready: boolean, chunks: number}, model: {ready: boolean, name: string, error?: string}}>} The health.
+     */
+    async health() {
+        const chunks = this.vectorStore?.index?.ntotal() ?? 0;
+        const vectorStore = { ready: Boolean(this.app) && chunks > 0, chunks };
+        const { ready, error } = await this._checkModel();
+        const model = { ready, name: this.modelName, ...(error && { error }) };
+        return { knowledgeBase: this.knowledgeBase, ready: vectorStore.ready && model.ready, vectorStore, model };
+    }
+
+    _checkModel() {
+        if (!this.llm.clientConfig) return { ready: true };
+        // Concurrent health checks share the request in flight
+        if (!this.modelCheck || Date.now() - this.modelCheck.checkedAt > MODEL_CHECK_TTL_MS) {
+            this.modelCheck = { checkedAt: Date.now(), result: checkChatModel(this.llm.clientConfig) };
+        }
+        return this.modelCheck.result;
+    }
+
+    /**
+     * Estimates the cost of a request from the configured model prices.
+     * @param {number} promptTokens - Tokens sent to the model.
+     * @param {number} completionTokens - Tokens generated by the model.
+     * @returns {number | null} The cost in US dollars, or null when the model has no price.
+     */
+    estimateCost(promptTokens, completionTokens) {
+        if (!this.pricing) return null;
+        return (promptTokens * this.pricing.input + completionTokens * this.pricing.output) / 1_000_000;
+    }
+
+    /**
+     * Reloads the vector store from disk and swaps in a graph built on it.
+     * Requests already running keep the graph they started with; conversation
+     * threads carry over because the checkpointer is shared. The config file
+     * is read again, e.g. for knowledge bases added since the server started.
+     * Cached answers given from an earlier build of the store are dropped.
+     */
+    async reload() {
+        refreshConfig();
+        const { vectorStore, keywordIndex, storeVersion } = await this._loadStore(this.dbPath);
+        const app = this._buildGraph(vectorStore, keywordIndex);
+
+        this.vectorStore = vectorStore;
+        this.keywordIndex = keywordIndex;
+        this.storeVersion = storeVersion;
+        this.app = app;
+        console.log("Vector database reloaded.");
+        this._invalidateAnswerCache();
+    }
+
+    /**
+     * Loads the vector store with the embedder recorded in its manifest, and its keyword index.
+     */
+    async _loadStore(dbPath) {
+        console.log("Loading vector database...");
+        const { vectorStore, manifest } = await loadVectorStore(dbPath, this.knowledgeBase);
+        return { vectorStore, keywordIndex: loadKeywordIndex(dbPath), storeVersion: manifest.builtAt ?? null };
+    }
+
+    /**
+     * Drops the cached answers given from any other build of the vector store.
+     */
+    _invalidateAnswerCache() {
+        if (!this.answerCache) return;
+        try {
+            const dropped = this.answerCache.invalidate(this.knowledgeBase, this.storeVersion ?? "");
+            if (dropped > 0) console.log(`Dropped ${dropped} cached answer(s) of an earlier vector store.`);
+        } catch (error) {
+            console.error("Error invalidating the answer cache:", error);
+        }
+    }
+
+    /**
+     * Returns the answer cache key of a question, or null when its answer must not
+     * be cached: caching is off, or the question follows up on earlier turns and
+     * its answer depends on them.
+     * @param {string} question - The question.
+     * @param {string} threadId - The conversation thread.
+     * @param {string[] | null} audiences - The resolved audiences.
+     * @param {string} format - The answer format.
+     * @param {string | null} language - The answer language, or null when it is not known before the run.
+     * @returns {Promise<object | null>} The key (see AnswerCache.lookup).
+     */
+    async _answerCacheKey(question, threadId, audiences, format, language) {
+        if (!this.answerCache || !this.answerCaching.enabled || !language) return null;
+        if (await this.getThreadMessages(threadId)) return null;
+
+        return {
+            knowledgeBase: this.knowledgeBase,
+            storeVersion: this.storeVersion ?? "",
+            scope: `${format}:${language}:${audiences ? [...audiences].sort().join(",") : "*"}`,
+            embedding: await this.vectorStore.embeddings.embedQuery(question.trim()),
+        };
+    }
+
+    /**
+     * Whether "not covered" answers offer a handoff to the support team: tickets
+     * need a webhook to go to and a service to create them.
+     * @returns {boolean} True when handoffs are offered.
+     */
+    _offersHandoff() {
+        return Boolean(this.escalations && this.escalation.webhookUrl);
+    }
+
+    /**
+     * Reads a question as the reply to the handoff offered by the thread's last answer.
+     * @param {string} question - The question.
+     * @param {string} threadId - The conversation thread.
+     * @returns {Promise<{reply: object, values: object} | null>} The reply (see parseHandoffReply) and the thread's state, or null when the question is not such a reply.
+     */
+    async _readHandoffReply(question, threadId) {
+        if (!this._offersHandoff()) return null;
+        const { values } = await this.app.getState({ configurable: { thread_id: threadId } });
+        const lastMessage = values?.messages?.at(-1);
+        if (!lastMessage || !isAIMessage(lastMessage) || !lastMessage.response_metadata?.handoffOffered) return null;
+
+        const reply = parseHandoffReply(question);
+        return reply && { reply, values };
+    }
+
+    /**
+     * Answers the reply to a handoff offer: opens a ticket with the conversation and the
+     * sources retrieved for it when the user left a contact, and confirms it in the
+     * conversation's language.
+     * @param {string} question - The reply.
+     * @param {string} threadId - The conversation thread.
+     * @param {{reply: object, values: object}} handoffReply - The reply and the thread's state (see _readHandoffReply).
+     * @param {object} runConfig - Run config for the translation.
+     * @returns {Promise<{content: string, handoff: {ticketId: string, status: string} | null}>} The answer and the ticket, or null when the user declined.
+     */
+    async _answerHandoffReply(question, threadId, { reply, values }, runConfig) {
+        let content = HANDOFF_DECLINED;
+        let handoff = null;
+        if (!reply.declined) {
+            const unanswered = [...values.messages].reverse().find(message => message instanceof HumanMessage).content;
+            const ticket = this.escalations.open({
+                knowledgeBase: this.knowledgeBase,
+                threadId,
+                contact: reply.contact,
+                summary: reply.summary ?? unanswered,
+                question: unanswered,
+                language: values.language,
+                transcript: [...toTranscript(values.messages), { role: "user", content: question }],
+                sources: collectThreadSources(values.messages),
+            }, this.escalation);
+            content = handoffConfirmation(ticket);
+            handoff = { ticketId: ticket.id, status: ticket.status };
+        }
+
+        return { content: await this._inLanguage(content, values.language, runConfig), handoff };
+    }
+
+    /**
+     * Translates a fixed message, such as the "not covered" answer, into the answer
+     * language. English messages, and messages that fail to translate, are returned as they are.
+     * @param {string} text - The English message.
+     * @param {string} language - The answer language code.
+     * @param {object} [runConfig] - Run config for the model call.
+     * @returns {Promise<string>} The message in the answer language.
+     */
+    async _inLanguage(text, language, runConfig) {
+        if (!language || language === DEFAULT_LANGUAGE) return text;
+        try {
+            return await translateText(this.llm, text, language, runConfig);
+        } catch (error) {
+            if (runConfig?.signal?.aborted) throw error;
+            console.error("Error translating a fixed message:", error);
+            return text;
+        }
+    }
+
+    /**
+     * Adds messages given without a graph run to the thread, as if the answering
+     * node had given them, so follow-ups work.
+     * @param {object} configurable - The run's configurable values, with the thread id.
+     * @param {Array<import("@langchain/core/messages").BaseMessage>} messages - The messages.
+     */
+    async _appendMessages(configurable, messages) {
+        await this.app.updateState({ configurable }, { messages }, this.mode === "agent" ? "agent" : "generate");
+    }
+
+    /**
+     * Builds the conversational graph for the configured flow.
+     */
+    _buildGraph(vectorStore, keywordIndex) {
+        // --- 1. Create the Retriever Tool (hybrid keyword + vector search, numbers each chunk for citation) ---
+        const tool = createCitationRetrieverTool(vectorStore, { keywordIndex, retrieval: this.retrieval });
+
+        // --- 2. Construct the Graph ---
+        const workflow = new StateGraph({
+            channels: {
+                messages: { reducer: (x, y) => x.concat(y), default: () => [] },
+                // The latest question as a standalone English search query
+                searchQuery: { reducer: (x, y) => y, default: () => "" },
+                // The language the latest question is answered in
+                language: { reducer: (x, y) => y, default: () => DEFAULT_LANGUAGE },
+            },
+        });
+
+        // Rewrites follow-ups such as "and how do I cancel it?" using the recent turns,
+        // then translates questions asked in another language into English for retrieval.
+        // The answer language is the one requested (`configurable.language`) or detected.
+        workflow.addNode("rewrite", async (state, config) => {
+            const { enabled, historyTurns } = this.queryRewriting;
+            const question = state.messages[state.messages.length - 1].content;
+            let searchQuery = enabled ? await rewriteQuery(this.llm, state.messages, historyTurns) : question;
+            let language = DEFAULT_LANGUAGE;
+            if (!isLikelyEnglish(searchQuery)) {
+                ({ language, query: searchQuery } = await translateQuery(this.llm, searchQuery));
+            }
+            return { searchQuery, language: config.configurable.language ?? language };
+        });
+        workflow.setEntryPoint("rewrite");
+
+        // Answers with the fixed "not covered" message when retrieval finds nothing relevant,
+        // offering a handoff to the support team when tickets can be delivered, translated
+        // when the question is answered in another language
+        workflow.addNode("fallback", async (state, config) => {
+            const handoffOffered = config.configurable.handoffs !== false && this._offersHandoff();
+            const message = handoffOffered ? `${this.notCoveredMessage}\n\n${HANDOFF_OFFER}` : this.notCoveredMessage;
+            // Only the translated message is shown, not the translation as it streams
+            const content = await this._inLanguage(message, state.language, { tags: ["nostream"] });
+            return { messages: [new AIMessage({ content, response_metadata: { notCovered: true, handoffOffered } })] };
+        });
+        workflow.addEdge("fallback", END);
+
+        if (this.mode === "simple") {
+            this._addSimpleNodes(workflow, tool);
+        } else {
+            this._addAgentNodes(workflow, [tool, ...createArticleTools(vectorStore, { keywordIndex, retrieval: this.retrieval })]);
+        }
+
+        // --- 3. Add Memory (configured backend) ---
+        return workflow.compile({ checkpointer: this.checkpointer });
+    }
+
+    _addAgentNodes(workflow, tools) {
+        const llmWithTools = this.llm.bindTools(tools);
+        const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+        const callModel = async (state) => {
+            const question = [...state.messages].reverse().find(message => message instanceof HumanMessage);
+            const standaloneQuestion = state.searchQuery && state.searchQuery !== question.content ? state.searchQuery : null;
+            const messagesWithPrompt = [new HumanMessage(buildAgentPrompt(this.prompt, standaloneQuestion, state.language)), ...state.messages];
+            const response = await llmWithTools.invoke(messagesWithPrompt);
+            return { messages: [flagNotAvailable(response)] };
+        };
+
+        // Runs every tool call of the model's message in parallel, answering each with a ToolMessage
+        const callToolNode = async (state, config) => {
+            const lastMessage = state.messages[state.messages.length - 1];
+            // Continue citation numbering from earlier tool calls in this turn
+            const citationCounter = { count: collectTurnSources(state.messages).length };
+            const { audiences } = config.configurable;
+
+            const toolMessages = await Promise.all(lastMessage.tool_calls.map(async (toolCall) => {
+                const selected = toolsByName.get(toolCall.name);
+                if (!selected) {
+                    return new ToolMessage({ content: `Unknown tool "${toolCall.name}".`, name: toolCall.name, tool_call_id: toolCall.id, status: "error" });
+                }
+                try {
+                    return await selected.invoke(toolCall, { configurable: { citationCounter, audiences } });
+                } catch (error) {
+                    if (config.signal?.aborted) throw error;
+                    // One failing tool must not lose the others' results; the model sees the error instead
+                    console.error(`Error running tool ${toolCall.name}:`, error);
+                    return new ToolMessage({ content: `The ${toolCall.name} tool failed: ${error.message}`, name: toolCall.name, tool_call_id: toolCall.id, status: "error" });
+                }
+            }));
+            return { messages: toolMessages };
+        };
+
+        const shouldContinue = (state) => {
+            const lastMessage = state.messages[state.messages.length - 1];
+            return !isAIMessage(lastMessage) || !lastMessage.tool_calls?.length ? "end" : "continue";
+        };
+
+        workflow.addNode("agent", callModel);
+        workflow.addNode("action", callToolNode);
+
+        // No tool found anything relevant in this turn: skip the answering model call
+        const routeAfterAction = (state) => {
+            for (let i = state.messages.length - 1; i >= 0 && !(state.messages[i] instanceof HumanMessage); i--) {
+                if (state.messages[i].artifact?.covered) return "agent";
+            }
+            return "fallback";
+        };
+
+        workflow.addEdge("rewrite", "agent");
+        workflow.addConditionalEdges("agent", shouldContinue, { continue: "action", end: END });
+        workflow.addConditionalEdges("action", routeAfterAction, { agent: "agent", fallback: "fallback" });
+    }
+
+    _addSimpleNodes(workflow, tool) {
+        // Records the retrieval as a tool call so sources and history look the same as in the agent flow
+        const retrieve = async (state, config) => {
+            const toolCall = { name: tool.name, args: { query: state.searchQuery }, id: `retrieve-${Date.now()}`, type: "tool_call" };
+            const toolMessage = await tool.invoke(toolCall, { configurable: { audiences: config.configurable.audiences } });
+            return { messages: [new AIMessage({ content: "", tool_calls: [toolCall] }), toolMessage] };
+        };
+
+        // Answers the standalone question, so follow-ups make sense without the history
+        const generate = async (state) => {
+            const context = state.messages[state.messages.length - 1];
+            const response = await this.llm.invoke([
+                new HumanMessage(buildSimplePrompt(this.prompt, context.content, state.language)),
+                new HumanMessage(state.searchQuery),
+            ]);
+            return { messages: [flagNotAvailable(response)] };
+        };
+
+        workflow.addNode("retrieve", retrieve);
+        workflow.addNode("generate", generate);
+
+        const routeAfterRetrieve = (state) => (state.messages[state.messages.length - 1].artifact?.covered ? "generate" : "fallback");
+
+        workflow.addEdge("rewrite", "retrieve");
+        workflow.addConditionalEdges("retrieve", routeAfterRetrieve, { generate: "generate", fallback: "fallback" });
+        workflow.addEdge("generate", END);
+    }
+
+    /**
+     * Answers a question and returns the sources it cites. `notCovered` is true when
+     * nothing relevant was found and the fixed "not covered" message was returned.
+     * `answerId` identifies the answer for feedback. `rewrittenQuery` is the
+     * standalone English form of a follow-up or non-English question, or null when
+     * it was not rewritten. `language` is the language the answer is written in.
+     * `procedure` is the structured form of a how-to answer (see streamAnswer).
+     * `screenshots` are the images next to the cited chunks (see collectScreenshots).
+     * `cached` is true when the answer came from the answer cache (see streamAnswer).
+     * `handoffOffered` is true when the answer offers a handoff to the support team,
+     * and `handoff` is the ticket opened by the reply to that offer (see streamAnswer).
+     * `usage` counts the chat model tokens used to answer.
+     * Without a threadId the question is answered in a thread of its own.
+     * @param {string | string[]} [audiences] - Audience(s) to answer for; defaults to every audience this chatbot serves.
+     * @param {object} [options]
+     * @param {"text"|"procedure"} [options.format] - "procedure" also returns how-to answers as structured steps.
+     * @param {string} [options.language] - The answer language code; defaults to the question's language.
+     * @param {Array<{role: "user"|"assistant", content: string}>} [options.history] - Earlier turns to write into the thread first (see streamAnswer).
+     * @returns {Promise<{answerId: string | null, answer: string, sources: Array<object>, notCovered: boolean, rewrittenQuery: string | null, language: string | null, procedure: object | null, screenshots: Array<object>, cached: boolean, handoffOffered: boolean, handoff: {ticketId: string, status: string} | null, usage: {promptTokens: number, completionTokens: number}}>}
+     */
+    async getAnswer(question, threadId = randomUUID(), audiences, options = {}) {
+        const empty = { answerId: null, answer: "", sources: [], notCovered: false, rewrittenQuery: null, language: null, procedure: null, screenshots: [], cached: false, handoffOffered: false, handoff: null, usage: { promptTokens: 0, completionTokens: 0 } };
+        if (!question.trim()) return empty;
+
+        let result = empty;
+        try {
+            for await (const { event, data } of this.streamAnswer(question, threadId, undefined, audiences, options)) {
+                if (event === "done") result = data;
+            }
+        } catch (error) {
+            console.error("Error during getAnswer:", error);
+        }
+        return result;
+    }
+
+    /**
+     * Streams an answer as events: "rewritten" with the standalone English query
+     * when a follow-up or non-English question was rewritten, "retrieving" with the tool and its query
+     * whenever a tool reads the documents, "sources" with the retrieved chunks,
+     * "token" for each piece of the answer and "done" with the answer id, the full
+     * answer, the sources it cites, the notCovered flag, the rewritten query, the
+     * answer language, the procedure, the screenshots of the cited sources, the cached flag,
+     * the handoff fields and the token usage. The
+     * procedure is only extracted in the "procedure" format, for covered how-to
+     * questions; otherwise it is null.
+     * The first question of a thread is looked up in the answer cache, when there is
+     * one: a question similar enough to one answered from the same build of the
+     * vector store, for the same format, language and audiences, gets the cached
+     * answer without a run. Covered answers to first questions are cached, unless
+     * their language is only known once the question is translated.
+     * Questions in other languages are searched in English and answered in their
+     * language, or in the requested one.
+     * When tickets can be delivered, "not covered" answers, and answers the model
+     * flags as not available in the documents, offer a handoff to the support team
+     * (handoffOffered); such answers are not cached. A reply to the offer with an email address or
+     * phone number opens a ticket with the conversation and its retrieved sources,
+     * delivered to the webhook in the background, and is answered with its id
+     * (handoff: the ticket id and status) instead of a run; a refusal is acknowledged.
+     * Clients that keep the conversation themselves pass its earlier turns as
+     * `history`; they are written into the thread before the question is answered.
+     * Their history does not tell which answer offered a handoff, so they pass
+     * `handoff: false` to answer without offers.
+     * Aborting the signal cancels the graph run and the model call. Only documents
+     * tagged for the audiences are retrieved. Each request is reported to the
+     * telemetry with its node timings, token usage, retrieved chunks and cache result.
+     * @param {string | string[]} [audiences] - Audience(s) to answer for; defaults to every audience this chatbot serves.
+     * @param {object} [options]
+     * @param {"text"|"procedure"} [options.format] - "procedure" also returns how-to answers as structured steps.
+     * @param {string} [options.language] - The answer language code; defaults to the question's language.
+     * @param {Array<{role: "user"|"assistant", content: string}>} [options.history] - Earlier turns of the conversation, oldest first.
+     * @param {boolean} [options.handoff] - false never offers a handoff, even when tickets can be delivered.
+     * @returns {AsyncGenerator<{event: string, data: object}>}
+     * @throws {Error} When an audience is not served by this chatbot, or the format or language is not supported.
+     */
+    async *streamAnswer(question, threadId = randomUUID(), signal, audiences, { format = "text", language, history = [], handoff: handoffs = true } = {}) {
+        if (!ANSWER_FORMATS.includes(format)) {
+            throw new Error(`Unsupported format "${format}". Expected one of: ${ANSWER_FORMATS.join(", ")}.`);
+        }
+        const requestedLanguage = language ? resolveLanguage(language).code : null;
+        // Token usage is reported with every answer, measured or not
+        const recorder = this.telemetry?.createRecorder() ?? new RunRecorder();
+        const resolvedAudiences = this.resolveAudiences(audiences);
+        const config = {
+            configurable: { thread_id: threadId, audiences: resolvedAudiences, language: requestedLanguage, handoffs },
+            streamMode: ["updates", "messages"],
+            signal,
+            callbacks: [recorder],
+        };
+        const answerId = randomUUID();
+        let finalAnswer = "";
+        let notCovered = false;
+        let rewrittenQuery = null;
+        // English questions are known to be English before the run; others once translated
+        let answerLanguage = requestedLanguage ?? (isLikelyEnglish(question) ? DEFAULT_LANGUAGE : null);
+        const sources = [];
+        const contexts = [];
+        // Stays "aborted" when the caller stops reading before the answer is done
+        let outcome = "aborted";
+        let failure;
+        let cacheKey = null;
+        let cacheResult = null;
+        let handoffOffered = false;
+        let notAvailable = false;
+        const markerFilter = createMarkerFilter();
+
+        const usage = () => ({ promptTokens: recorder.promptTokens, completionTokens: recorder.completionTokens });
+
+        try {
+            if (history.length > 0) {
+                await this._appendMessages(config.configurable, history.map(turn => (turn.role === "user" ? new HumanMessage(turn.content) : new AIMessage(turn.content))));
+            }
+
+            // A reply to a handoff offer is answered without a run
+            const handoffReply = handoffs ? await this._readHandoffReply(question, threadId) : null;
+            if (handoffReply) {
+                const { content, handoff } = await this._answerHandoffReply(question, threadId, handoffReply, { callbacks: config.callbacks, signal });
+                await this._appendMessages(config.configurable, [new HumanMessage(question), new AIMessage({ content, response_metadata: handoff ? { handoff } : {} })]);
+                answerLanguage = handoffReply.values.language;
+                outcome = handoff ? "handed_off" : "answered";
+                yield { event: "token", data: { text: content } };
+                yield { event: "done", data: { answerId: null, answer: content, sources: [], notCovered: false, rewrittenQuery: null, language: answerLanguage, procedure: null, screenshots: [], cached: false, handoffOffered: false, handoff, usage: usage() } };
+                return;
+            }
+
+            try {
+                cacheKey = await this._answerCacheKey(question, threadId, resolvedAudiences, format, answerLanguage);
+                const hit = cacheKey && this.answerCache.lookup(cacheKey, this.answerCaching.similarityThreshold);
+                cacheResult = cacheKey ? (hit ? "hit" : "miss") : null;
+                if (hit) {
+                    const cached = hit.answer;
+                    sources.push(...cached.sources);
+                    // The thread gets the turn as if it had been answered, so follow-ups work
+                    await this._appendMessages(config.configurable, [new HumanMessage(question), new AIMessage(cached.answer)]);
+                    this._recordAnswer({ id: answerId, threadId, question, answer: cached.answer, sources: cached.sources, notCovered: false });
+                    outcome = "answered";
+                    yield { event: "sources", data: { sources: cached.sources } };
+                    yield { event: "token", data: { text: cached.answer } };
+                    yield { event: "done", data: { answerId, ...cached, notCovered: false, rewrittenQuery: null, language: answerLanguage, cached: true, handoffOffered: false, handoff: null, usage: usage() } };
+                    return;
+                }
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                // Without the cache the question is still answered by a full run
+                console.error("Error reading the answer cache:", error);
+                cacheKey = null;
+            }
+
+            const stream = await this.app.stream({ messages: [new HumanMessage(question)] }, config);
+            for await (const [mode, payload] of stream) {
+                if (mode === "messages") {
+                    const [messageChunk, metadata] = payload;
+                    if (ANSWER_NODES.has(metadata.langgraph_node) && typeof messageChunk.content === "string" && messageChunk.content) {
+                        const text = markerFilter.push(metadata.langgraph_checkpoint_ns, messageChunk.content);
+                        if (text) yield { event: "token", data: { text } };
+                    }
+                    continue;
+                }
+
+                for (const value of Object.values(payload)) {
+                    if (value?.language) answerLanguage = value.language;
+                    if (value?.searchQuery && value.searchQuery !== question) {
+                        rewrittenQuery = value.searchQuery;
+                        yield { event: "rewritten", data: { query: rewrittenQuery } };
+                    }
+                    for (const message of value?.messages ?? []) {
+                        if (isAIMessage(message)) {
+                            if (message.content) finalAnswer += message.content;
+                            if (message.response_metadata?.notCovered) notCovered = true;
+                            if (message.response_metadata?.handoffOffered) handoffOffered = true;
+                            if (message.response_metadata?.notAvailable) notAvailable = true;
+                            for (const toolCall of message.tool_calls ?? []) {
+                                const { query, title, topic } = toolCall.args;
+                                yield { event: "retrieving", data: { tool: toolCall.name, query: query ?? title ?? topic ?? null } };
+                            }
+                        }
+                        if (message instanceof ToolMessage && message.artifact?.sources) {
+                            contexts.push(message.content);
+                            sources.push(...message.artifact.sources);
+                            yield { event: "sources", data: { sources: message.artifact.sources } };
+                        }
+                    }
+                }
+            }
+            const held = markerFilter.flush();
+            if (held) yield { event: "token", data: { text: held } };
+
+            // The model found the documents do not answer the question either: offer the
+            // handoff after its answer, as a message of its own the reply is read against
+            if (notAvailable && handoffs && this._offersHandoff()) {
+                const offer = await this._inLanguage(HANDOFF_OFFER, answerLanguage, { callbacks: config.callbacks, signal });
+                await this._appendMessages(config.configurable, [new AIMessage({ content: offer, response_metadata: { handoffOffered: true } })]);
+                finalAnswer += `\n\n${offer}`;
+                handoffOffered = true;
+                yield { event: "token", data: { text: `\n\n${offer}` } };
+            }
+
+            const citedSources = notCovered ? [] : selectCitedSources(finalAnswer, sources);
+            let procedure = null;
+            if (format === "procedure" && !notCovered && !notAvailable && isHowToQuestion(rewrittenQuery ?? question)) {
+                try {
+                    procedure = await extractProcedure(
+                        this.llm,
+                        { question: rewrittenQuery ?? question, text: finalAnswer, context: contexts.join("\n\n"), sources: citedSources },
+                        { callbacks: config.callbacks, signal },
+                    );
+                } catch (error) {
+                    if (signal?.aborted) throw error;
+                    // The text answer still stands without its structured form
+                    console.error("Error extracting the procedure:", error);
+                }
+            }
+            // Answers the model flags as not available are knowledge gaps as much as "not covered" ones
+            this._recordAnswer({ id: answerId, threadId, question, answer: finalAnswer, sources: citedSources, notCovered: notCovered || notAvailable });
+            outcome = notCovered ? "not_covered" : "answered";
+            const screenshots = collectScreenshots(citedSources);
+            if (cacheKey && !notCovered && !handoffOffered) {
+                try {
+                    this.answerCache.store(cacheKey, question, { answer: finalAnswer, sources: citedSources, procedure, screenshots }, this.answerCaching.ttlSeconds);
+                } catch (error) {
+                    console.error("Error caching the answer:", error);
+                }
+            }
+            yield { event: "done", data: { answerId, answer: finalAnswer, sources: citedSources, notCovered, rewrittenQuery, language: answerLanguage, procedure, screenshots, cached: false, handoffOffered, handoff: null, usage: usage() } };
+        } catch (error) {
+            if (!signal?.aborted) {
+                outcome = "error";
+                failure = error.message;
+            }
+            throw error;
+        } finally {
+            if (this.telemetry) {
+                this.telemetry.recordAnswer({
+                    id: answerId,
+                    knowledgeBase: this.knowledgeBase,
+                    threadId,
+                    mode: this.mode,
+                    model: this.modelName,
+                    latencyMs: recorder.elapsed(),
+                    nodes: recorder.nodes,
+                    promptTokens: recorder.promptTokens,
+                    completionTokens: recorder.completionTokens,
+                    costUsd: this.estimateCost(recorder.promptTokens, recorder.completionTokens),
+                    chunkIds: sources.map(source => source.chunkId),
+                    cache: cacheResult,
+                    outcome,
+                    error: failure,
+                });
+            }
+        }
+    }
+
+    /**
+     * Records an answer so users can rate it; losing the record must not lose the answer.
+     * @param {object} answer - The answer (see FeedbackStore.recordAnswer), without the knowledge base.
+     */
+    _recordAnswer(answer) {
+        try {
+            this.feedbackStore?.recordAnswer({ ...answer, knowledgeBase: this.knowledgeBase });
+        } catch (error) {
+            console.error("Error recording the answer:", error);
+        }
+    }
+
+    async listThreads() {
+        return this.checkpointer.listThreads();
+    }
+
+    /**
+     * Returns the user and assistant messages of a thread, or null when it does not exist.
+     * @returns {Promise<Array<{role: string, content: string}> | null>}
+     */
+    async getThreadMessages(threadId) {
+        const state = await this.app.getState({ configurable: { thread_id: threadId } });
+        const messages = state.values?.messages;
+        if (!messages?.length) return null;
+        return toTranscript(messages);
+    }
+
+    async deleteThread(threadId) {
+        return this.checkpointer.deleteThread(threadId);
+    }
+}
+
+export { RAGChatbot, NOT_AVAILABLE_MARKER };
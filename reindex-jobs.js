@@ -0,0 +1,137 @@
+import { spawn } from "child_process";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { DEFAULT_KNOWLEDGE_BASE } from "./config.js";
+
+// The ingestion script run by every job
+const CREATE_DB_SCRIPT = fileURLToPath(new URL("./create-db.js", import.meta.url));
+
+// Output lines kept per job and finished jobs kept for polling
+const MAX_LOG_LINES = 200;
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Runs create-db.js as a background job, one at a time, and calls back once the
+ * new vector store is on disk so the server can swap it in.
+ */
+class ReindexJobs {
+    /**
+     * @param {object} options
+     * @param {string} [options.knowledgeBase] - The knowledge base to index.
+     * @param {string} options.docsPath - The documents folder to index.
+     * @param {string} options.dbPath - The vector store folder to write.
+     * @param {() => Promise<void>} options.onIndexed - Called after a successful run, e.g. to reload the store.
+     * @param {string} [options.script] - The ingestion script to run; create-db.js by default.
+     */
+    constructor({ knowledgeBase = DEFAULT_KNOWLEDGE_BASE, docsPath, dbPath, onIndexed, script = CREATE_DB_SCRIPT }) {
+        this.knowledgeBase = knowledgeBase;
+        this.docsPath = docsPath;
+        this.dbPath = dbPath;
+        this.onIndexed = onIndexed;
+        this.script = script;
+        this.jobs = new Map();
+    }
+
+    /**
+     * Returns the job that is running or reloading the store, if any.
+     * @returns {object | null} The active job.
+     */
+    active() {
+        return [...this.jobs.values()].find(job => job.status === "running" || job.status === "reloading") ?? null;
+    }
+
+    /**
+     * Starts a reindexing job.
+     * @param {object} [options]
+     * @param {boolean} [options.full] - Rebuild the whole store instead of only changed documents.
+     * @returns {object} The new job.
+     */
+    start({ full = false } = {}) {
+        if (this.active()) {
+            throw new Error("A reindexing job is already running.");
+        }
+
+        const job = {
+            id: randomUUID(),
+            status: "running",
+            full,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null,
+            log: [],
+        };
+        this.jobs.set(job.id, job);
+        this._prune();
+        this._run(job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) ?? null;
+    }
+
+    /**
+     * Lists the jobs, most recent first.
+     * @returns {Array<object>} The jobs without their logs.
+     */
+    list() {
+        return [...this.jobs.values()].reverse().map(({ log, ...job }) => job);
+    }
+
+    _run(job) {
+        const args = [
+            this.script,
+            ...(this.knowledgeBase !== DEFAULT_KNOWLEDGE_BASE ? ["--kb", this.knowledgeBase] : []),
+            ...(job.full ? ["--full"] : []),
+        ];
+        const child = spawn(process.execPath, args, {
+            env: { ...process.env, DOCS_PATH: this.docsPath, VECTORSTORE_PATH: this.dbPath },
+            stdio: ["ignore", "pipe", "pipe"],
+        });
+
+        const appendOutput = (chunk) => {
+            const lines = chunk.toString().split("\n").map(line => line.trimEnd()).filter(Boolean);
+            job.log.push(...lines);
+            job.log.splice(0, Math.max(0, job.log.length - MAX_LOG_LINES));
+        };
+        child.stdout.on("data", appendOutput);
+        child.stderr.on("data", appendOutput);
+
+        child.on("error", (error) => this._finish(job, error.message));
+        child.on("close", async (code) => {
+            if (job.finishedAt) return;
+            if (code !== 0) {
+                this._finish(job, `create-db.js exited with code ${code}.`);
+                return;
+            }
+
+            job.status = "reloading";
+            try {
+                await this.onIndexed();
+                this._finish(job, null);
+            } catch (error) {
+                this._finish(job, `Indexing succeeded but the new vector store could not be loaded: ${error.message}`);
+            }
+        });
+    }
+
+    _finish(job, error) {
+        job.status = error ? "failed" : "succeeded";
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        if (error) {
+            console.error(`Reindexing job ${job.id} failed: ${error}`);
+        } else {
+            console.log(`Reindexing job ${job.id} finished.`);
+        }
+    }
+
+    _prune() {
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+export { ReindexJobs };
@@ -0,0 +1,408 @@
+import express from 'express';
+import dotenv from "dotenv";
+import { randomUUID } from "crypto";
+import { KnowledgeBases } from "./knowledge-bases.js";
+import { FeedbackStore, RATINGS } from "./feedback-store.js";
+import { ANSWER_FORMATS } from "./procedures.js";
+import { resolveLanguage } from "./languages.js";
+import { UsageStore } from "./usage-store.js";
+import { AnswerCache } from "./answer-cache.js";
+import { TicketStore } from "./ticket-store.js";
+import { Escalations } from "./escalation.js";
+import { Telemetry } from "./telemetry.js";
+import { streamEvents } from "./sse.js";
+import { createAdminRouter } from "./admin-api.js";
+import { createApiAccess } from "./api-auth.js";
+import { createOpenAIRouter } from "./openai-api.js";
+import { resolveImagePath } from "./images.js";
+import { DEFAULT_KNOWLEDGE_BASE, loadConfig, loadServerConfig } from "./config.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Validates a chat request before any model call: the question and thread id
+ * sizes, the answer format and language, the number of questions already in the thread and the audience.
+ * Responds with the error when the request is rejected. A request without a
+ * thread id starts a thread of its own, so callers never share a conversation.
+ * @param {import("express").Request} req - The request.
+ * @param {import("express").Response} res - The response, with the chatbot in res.locals.
+ * @param {object} limits - The request limits (see loadServerConfig).
+ * @returns {Promise<{question: string, threadId: string, audiences: string[] | null, format: string, language: string | undefined} | null>} The request, or null when it was rejected.
+ */
+async function readChatRequest(req, res, limits) {
+    const { chatbot } = res.locals;
+    const { question, threadId, format = "text", language } = req.body;
+
+    if (typeof question !== "string" || !question.trim()) {
+        res.status(400).json({ error: 'Question is required.' });
+        return null;
+    }
+    if (question.length > limits.maxQuestionLength) {
+        res.status(400).json({ error: `Question is longer than ${limits.maxQuestionLength} characters.` });
+        return null;
+    }
+    if (threadId !== undefined && (typeof threadId !== "string" || !threadId || threadId.length > limits.maxThreadIdLength)) {
+        res.status(400).json({ error: `threadId must be a string of 1 to ${limits.maxThreadIdLength} characters.` });
+        return null;
+    }
+    if (!ANSWER_FORMATS.includes(format)) {
+        res.status(400).json({ error: `format must be one of: ${ANSWER_FORMATS.join(", ")}.` });
+        return null;
+    }
+    if (language !== undefined) {
+        try {
+            if (typeof language !== "string") throw new Error("language must be a language code such as en, de or pt-BR.");
+            resolveLanguage(language);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+            return null;
+        }
+    }
+
+    // Deployments restricted to some audiences reject requests for any other
+    let audiences;
+    try {
+        audiences = chatbot.resolveAudiences(req.body.audience);
+    } catch (error) {
+        res.status(403).json({ error: error.message });
+        return null;
+    }
+
+    if (threadId !== undefined) {
+        const messages = await chatbot.getThreadMessages(threadId);
+        const questions = messages?.filter(message => message.role === "user").length ?? 0;
+        if (questions >= limits.maxThreadTurns) {
+            res.status(409).json({ error: `Thread has reached ${limits.maxThreadTurns} questions. Start a new thread.` });
+            return null;
+        }
+    }
+    return { question, threadId: threadId ?? randomUUID(), audiences, format, language };
+}
+
+/**
+ * Adds the URL each screenshot of an answer is served at (see createApp).
+ * @param {Array<object>} screenshots - The screenshots of the answer.
+ * @param {string} knowledgeBase - The knowledge base that answered.
+ * @returns {Array<object>} The screenshots with their url.
+ */
+function withImageUrls(screenshots, knowledgeBase) {
+    return screenshots.map(screenshot => ({
+        ...screenshot,
+        url: `/kb/${encodeURIComponent(knowledgeBase)}/images/${screenshot.imageId}`,
+    }));
+}
+
+/**
+ * Creates the chat and thread routes. The knowledge base comes from the route
+ * prefix (/kb/:name), or else from the `knowledgeBase` body or query field, and
+ * is loaded on first use.
+ * @param {KnowledgeBases} knowledgeBases - The knowledge bases served.
+ * @param {object} limits - The request limits (see loadServerConfig).
+ * @param {import("express").RequestHandler} chargeQuota - Counts a chat request against the client's daily quota.
+ * @returns {import("express").Router} The chat router.
+ */
+function createChatRouter(knowledgeBases, limits, chargeQuota) {
+    const router = express.Router({ mergeParams: true });
+
+    router.use(async (req, res, next) => {
+        const name = req.params.name ?? req.body?.knowledgeBase ?? req.query.knowledgeBase ?? DEFAULT_KNOWLEDGE_BASE;
+        if (!knowledgeBases.has(name)) {
+            return res.status(404).json({ error: `Knowledge base "${name}" not found.` });
+        }
+
+        try {
+            res.locals.chatbot = await knowledgeBases.get(name);
+        } catch (error) {
+            console.error(`Failed to load knowledge base "${name}":`, error.message);
+            return res.status(503).json({ error: `Knowledge base "${name}" is not available.` });
+        }
+        next();
+    });
+
+    // Chat requests are validated before they count against the quota
+    const readRequest = async (req, res, next) => {
+        try {
+            res.locals.request = await readChatRequest(req, res, limits);
+        } catch (error) {
+            console.error("API Chat Error:", error);
+            return res.status(500).json({ error: 'Failed to get a response from the chatbot.' });
+        }
+        if (res.locals.request) next();
+    };
+
+    router.post('/chat', readRequest, chargeQuota, async (req, res) => {
+        const { chatbot, request } = res.locals;
+
+        try {
+            const { question, threadId, audiences, format, language } = request;
+            console.log(`Received question: "${question}"`);
+
+            const { answerId, answer, sources, notCovered, rewrittenQuery, language: answerLanguage, procedure, screenshots, cached, handoffOffered, handoff } = await chatbot.getAnswer(question, threadId, audiences, { format, language });
+            // Clients asking for procedures get the field even when the answer has none
+            res.json({
+                threadId,
+                answerId,
+                answer,
+                sources,
+                notCovered,
+                rewrittenQuery,
+                language: answerLanguage,
+                screenshots: withImageUrls(screenshots, chatbot.knowledgeBase),
+                cached,
+                handoffOffered,
+                handoff,
+                ...(format === "procedure" && { procedure }),
+            });
+        } catch (error) {
+            console.error("API Chat Error:", error);
+            res.status(500).json({ error: 'Failed to get a response from the chatbot.' });
+        }
+    });
+
+    router.post('/chat/stream', readRequest, chargeQuota, async (req, res) => {
+        const { chatbot, request } = res.locals;
+        const { question, threadId, audiences, format, language } = request;
+
+        console.log(`Received streaming question: "${question}"`);
+        await streamEvents(res, async function* (signal) {
+            for await (const { event, data } of chatbot.streamAnswer(question, threadId, signal, audiences, { format, language })) {
+                yield { event, data: event === "done" ? { ...data, threadId, screenshots: withImageUrls(data.screenshots, chatbot.knowledgeBase) } : data };
+            }
+        });
+    });
+
+    router.get('/threads', async (req, res) => {
+        const { chatbot } = res.locals;
+        try {
+            res.json({ threads: await chatbot.listThreads() });
+        } catch (error) {
+            console.error("API Threads Error:", error);
+            res.status(500).json({ error: 'Failed to list threads.' });
+        }
+    });
+
+    router.get('/threads/:threadId', async (req, res) => {
+        const { chatbot } = res.locals;
+        try {
+            const messages = await chatbot.getThreadMessages(req.params.threadId);
+            if (!messages) {
+                return res.status(404).json({ error: 'Thread not found.' });
+            }
+            res.json({ threadId: req.params.threadId, messages });
+        } catch (error) {
+            console.error("API Threads Error:", error);
+            res.status(500).json({ error: 'Failed to load the thread.' });
+        }
+    });
+
+    router.delete('/threads/:threadId', async (req, res) => {
+        const { chatbot } = res.locals;
+        try {
+            if (!(await chatbot.deleteThread(req.params.threadId))) {
+                return res.status(404).json({ error: 'Thread not found.' });
+            }
+            res.status(204).end();
+        } catch (error) {
+            console.error("API Threads Error:", error);
+            res.status(500).json({ error: 'Failed to delete the thread.' });
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Creates the admin router of a knowledge base (see admin-api.js).
+ * @param {KnowledgeBases} knowledgeBases - The knowledge bases served.
+ * @param {string} name - The knowledge base name.
+ * @param {FeedbackStore | null} feedbackStore - The recorded answers and feedback.
+ * @param {UsageStore | null} usageStore - The recorded token usage and cost.
+ * @returns {import("express").Router} The admin router.
+ */
+function createKnowledgeBaseAdminRouter(knowledgeBases, name, feedbackStore, usageStore) {
+    const { docsPath, vectorStorePath } = loadConfig(name);
+    return createAdminRouter({
+        knowledgeBase: name,
+        docsPath,
+        dbPath: vectorStorePath,
+        reload: async () => (await knowledgeBases.get(name)).reload(),
+        feedbackStore,
+        usageStore,
+    });
+}
+
+/**
+ * Creates the Express app exposing the knowledge bases over HTTP. The default
+ * knowledge base is served at the root and every knowledge base under /kb/:name.
+ * /healthz and /metrics report on the server itself, /kb/:name/images/:imageId
+ * serves the screenshots answers refer to and /tickets/:ticketId reports whether
+ * the support ticket of a handoff was delivered. /v1 speaks the OpenAI Chat
+ * Completions protocol, with each knowledge base as a model (see openai-api.js).
+ * @param {KnowledgeBases} knowledgeBases - The knowledge bases served.
+ * @param {object} [services]
+ * @param {FeedbackStore} [services.feedbackStore] - Where feedback on answers is stored; the chatbots must record their answers in it.
+ * @param {Telemetry} [services.telemetry] - Request logs and metrics; the chatbots must report their answers to it.
+ * @param {Escalations} [services.escalations] - The support tickets of handoffs; the chatbots must open them with it.
+ * @param {object} [services.serverConfig] - Access control and request limits; defaults to loadServerConfig().
+ * @returns {import("express").Express} The Express app.
+ */
+function createApp(knowledgeBases, { feedbackStore = null, telemetry = null, escalations = null, serverConfig = loadServerConfig() } = {}) {
+    const app = express();
+    const access = createApiAccess(serverConfig);
+    const { limits } = serverConfig;
+    const chatRouter = createChatRouter(knowledgeBases, limits, access.chargeQuota);
+
+    // Admin routers own their reindexing jobs, so each one is created once
+    const adminRouters = new Map();
+    const routeToAdmin = (name, req, res, next) => {
+        if (!knowledgeBases.has(name)) {
+            return res.status(404).json({ error: `Knowledge base "${name}" not found.` });
+        }
+        if (!adminRouters.has(name)) {
+            adminRouters.set(name, createKnowledgeBaseAdminRouter(knowledgeBases, name, feedbackStore, telemetry?.usageStore ?? null));
+        }
+        adminRouters.get(name)(req, res, next);
+    };
+
+    app.set('trust proxy', serverConfig.trustProxy);
+    if (telemetry) app.use(telemetry.httpMiddleware());
+    app.use(access.cors);
+
+    // Probes and scrapers are neither authenticated nor rate limited
+    app.get('/healthz', async (req, res) => {
+        const health = await knowledgeBases.health();
+        res.status(health.ready ? 200 : 503).json({ status: health.ready ? 'ok' : 'unavailable', ...health });
+    });
+
+    app.get('/metrics', (req, res) => {
+        if (!telemetry) {
+            return res.status(404).json({ error: 'Metrics are not collected by this server.' });
+        }
+        res.type('text/plain; version=0.0.4').send(telemetry.render());
+    });
+
+    app.use(access.limitIp);
+
+    // Image ids are content hashes only handed out in answers, so <img> tags load
+    // them without credentials
+    const serveImage = (name, req, res) => {
+        if (!knowledgeBases.has(name)) {
+            return res.status(404).json({ error: `Knowledge base "${name}" not found.` });
+        }
+        const file = resolveImagePath(loadConfig(name).vectorStorePath, req.params.imageId);
+        if (!file) {
+            return res.status(404).json({ error: 'Image not found.' });
+        }
+        // The same id always names the same image
+        res.sendFile(file, { maxAge: '365d', immutable: true });
+    };
+    app.get('/images/:imageId', (req, res) => serveImage(DEFAULT_KNOWLEDGE_BASE, req, res));
+    app.get('/kb/:name/images/:imageId', (req, res) => serveImage(req.params.name, req, res));
+
+    // Mounted before the JSON parser: document uploads are raw file bodies. The
+    // admin API has its own key.
+    app.use('/admin', (req, res, next) => routeToAdmin(DEFAULT_KNOWLEDGE_BASE, req, res, next));
+    app.use('/kb/:name/admin', (req, res, next) => routeToAdmin(req.params.name, req, res, next));
+    app.use(access.authenticate, access.limitClient);
+    app.use(express.json({ limit: limits.maxBodySize }));
+
+    app.post('/feedback', (req, res) => {
+        const { answerId, rating, comment } = req.body;
+
+        if (!feedbackStore) {
+            return res.status(503).json({ error: 'Feedback is not recorded by this server.' });
+        }
+        if (!answerId || !RATINGS.includes(rating)) {
+            return res.status(400).json({ error: `answerId and a rating of ${RATINGS.join(" or ")} are required.` });
+        }
+        if (comment !== undefined && typeof comment !== "string") {
+            return res.status(400).json({ error: 'Comment must be a string.' });
+        }
+
+        try {
+            const feedback = feedbackStore.recordFeedback(answerId, { rating, comment });
+            if (!feedback) {
+                return res.status(404).json({ error: 'Answer not found.' });
+            }
+            res.status(feedback.replaced ? 200 : 201).json({ feedback });
+        } catch (error) {
+            console.error("API Feedback Error:", error);
+            res.status(500).json({ error: 'Failed to record the feedback.' });
+        }
+    });
+
+    app.get('/tickets/:ticketId', (req, res) => {
+        if (!escalations) {
+            return res.status(503).json({ error: 'Support tickets are not created by this server.' });
+        }
+        try {
+            const ticket = escalations.status(req.params.ticketId);
+            if (!ticket) {
+                return res.status(404).json({ error: 'Ticket not found.' });
+            }
+            res.json({ ticket });
+        } catch (error) {
+            console.error("API Tickets Error:", error);
+            res.status(500).json({ error: 'Failed to load the ticket.' });
+        }
+    });
+
+    app.get('/kb', (req, res) => {
+        res.json({ knowledgeBases: knowledgeBases.list() });
+    });
+    app.use('/v1', createOpenAIRouter(knowledgeBases, limits, access.chargeQuota));
+    app.use('/kb/:name', chatRouter);
+    app.use('/', chatRouter);
+
+    // Body parser errors (oversized or malformed JSON) are answered as JSON too
+    app.use((error, req, res, next) => {
+        if (res.headersSent) return next(error);
+        const status = error.status ?? error.statusCode ?? 500;
+        if (status >= 500) console.error("API Error:", error);
+        res.status(status).json({ error: status === 413 ? 'Request body is too large.' : status < 500 ? error.message : 'Internal server error.' });
+    });
+
+    return app;
+}
+
+/**
+ * Loads the default knowledge base and serves every knowledge base on PORT (default 3000).
+ * The other knowledge bases are loaded on their first request.
+ * @param {object} options - Options passed to every RAGChatbot constructor.
+ */
+async function startServer(options) {
+    try {
+        // Every answer is recorded so users can rate it, and logged and measured;
+        // first questions are answered from the answer cache when possible, and
+        // handoffs open support tickets delivered to the configured webhooks
+        const serverConfig = loadServerConfig();
+        if (serverConfig.apiKeys.length === 0 && !serverConfig.jwt) {
+            console.warn("Warning: no API keys or JWT secret configured; the chat API is open to every caller. Set API_KEYS or API_JWT_SECRET.");
+        }
+        const feedbackStore = new FeedbackStore();
+        const telemetry = new Telemetry({ usageStore: new UsageStore() });
+        const answerCache = new AnswerCache();
+        const escalations = new Escalations({ ticketStore: new TicketStore() });
+        const knowledgeBases = new KnowledgeBases({ ...options, feedbackStore, telemetry, answerCache, escalations });
+        await knowledgeBases.get();
+        console.log("Chatbot initialized successfully.");
+
+        // Tickets still pending when the server stopped are delivered again
+        const resumed = escalations.resumePending(name => loadConfig(name).escalation);
+        if (resumed > 0) console.log(`Resuming the delivery of ${resumed} support ticket(s).`);
+
+        const app = createApp(knowledgeBases, { feedbackStore, telemetry, escalations, serverConfig });
+        const port = process.env.PORT || 3000;
+
+        app.listen(port, () => {
+            console.log(`Server is running at http://localhost:${port}`);
+        });
+
+    } catch (error) {
+        console.error("Failed to start chatbot server:", error.message);
+        process.exit(1);
+    }
+}
+
+export { createApp, startServer };
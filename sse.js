@@ -0,0 +1,68 @@
+/**
+ * Opens a Server-Sent Events stream on an Express response.
+ * The returned signal aborts when the client disconnects before the stream ends,
+ * so it can be passed straight to the LangChain/LangGraph run. `send` writes a
+ * named event; `sendData` writes unnamed data, as OpenAI-style streams do.
+ * @param {import("express").Response} res - The response to stream on.
+ * @returns {{send: (event: string, data: object) => void, sendData: (data: object | string) => void, end: () => void, signal: AbortSignal}} The stream helpers.
+ */
+function openEventStream(res) {
+    const controller = new AbortController();
+
+    res.status(200);
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // Stop proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    res.on("close", () => {
+        if (!res.writableEnded) {
+            console.log("Client disconnected, aborting the stream.");
+            controller.abort();
+        }
+    });
+
+    const send = (event, data) => {
+        if (res.writableEnded || controller.signal.aborted) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const sendData = (data) => {
+        if (res.writableEnded || controller.signal.aborted) return;
+        res.write(`data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`);
+    };
+
+    const end = () => {
+        if (!res.writableEnded) res.end();
+    };
+
+    return { send, sendData, end, signal: controller.signal };
+}
+
+/**
+ * Pipes the events of an answer stream to the client as SSE events.
+ * Errors become an "error" event unless the client has already gone away.
+ * @param {import("express").Response} res - The response to stream on.
+ * @param {(signal: AbortSignal) => AsyncIterable<{event: string, data: object}>} createStream - Starts the answer stream.
+ */
+async function streamEvents(res, createStream) {
+    const { send, end, signal } = openEventStream(res);
+
+    try {
+        for await (const { event, data } of createStream(signal)) {
+            send(event, data);
+        }
+    } catch (error) {
+        if (!signal.aborted) {
+            console.error("Streaming Error:", error);
+            send("error", { error: "Failed to get a response from the chatbot." });
+        }
+    } finally {
+        end();
+    }
+}
+
+export { openEventStream, streamEvents };
@@ -0,0 +1,264 @@
+import { performance } from "perf_hooks";
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+
+// Latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Writes one structured log line to stdout.
+ * @param {string} event - What happened, e.g. "chat_request".
+ * @param {object} fields - The details of the event.
+ */
+function logEvent(event, fields) {
+    console.log(JSON.stringify({ time: new Date().toISOString(), event, ...fields }));
+}
+
+/**
+ * Renders a label set in the Prometheus text format.
+ * @param {object} labels - The label names and values.
+ * @returns {string} The labels, e.g. {route="/chat",status="200"}, or an empty string.
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+/**
+ * A Prometheus counter with labels.
+ */
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map();
+    }
+
+    /**
+     * Adds to the counter of a label set.
+     * @param {object} labels - The label names and values.
+     * @param {number} [value] - The amount to add.
+     */
+    inc(labels, value = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) ?? 0) + value);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const [labels, value] of this.values) {
+            lines.push(`${this.name}${labels} ${value}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+/**
+ * A Prometheus histogram with labels.
+ */
+class Histogram {
+    constructor(name, help, buckets = LATENCY_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    /**
+     * Records an observation for a label set.
+     * @param {object} labels - The label names and values.
+     * @param {number} value - The observed value.
+     */
+    observe(labels, value) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+/**
+ * Collects what happens during one graph run: how long each graph node took and
+ * the tokens the chat model used. Pass it in the run's callbacks.
+ */
+class RunRecorder extends BaseCallbackHandler {
+    name = "run_recorder";
+
+    constructor() {
+        super();
+        this.startedAt = performance.now();
+        this.nodes = [];
+        this.running = new Map();
+        this.promptTokens = 0;
+        this.completionTokens = 0;
+    }
+
+    handleChainStart(chain, inputs, runId, parentRunId, tags, metadata, runType, runName) {
+        // Graph nodes are the runs named after their node on a graph step; the
+        // graph's own channel writes and branches carry the node metadata too,
+        // and its internal nodes are named "__start__" and the like
+        const isNode = runName && runName === metadata?.langgraph_node && !runName.startsWith("__")
+            && tags?.some(tag => tag.startsWith("graph:step:"));
+        if (isNode) {
+            this.running.set(runId, { node: runName, startedAt: performance.now() });
+        }
+    }
+
+    handleChainEnd(outputs, runId) {
+        this._endNode(runId);
+    }
+
+    handleChainError(error, runId) {
+        this._endNode(runId);
+    }
+
+    handleLLMEnd(output) {
+        const usage = output.generations?.[0]?.[0]?.message?.usage_metadata;
+        const tokenUsage = output.llmOutput?.tokenUsage;
+        this.promptTokens += usage?.input_tokens ?? tokenUsage?.promptTokens ?? 0;
+        this.completionTokens += usage?.output_tokens ?? tokenUsage?.completionTokens ?? 0;
+    }
+
+    _endNode(runId) {
+        const run = this.running.get(runId);
+        if (!run) return;
+        this.running.delete(runId);
+        this.nodes.push({ node: run.node, ms: Math.round(performance.now() - run.startedAt) });
+    }
+
+    /**
+     * Milliseconds since the run started.
+     * @returns {number} The elapsed time.
+     */
+    elapsed() {
+        return Math.round(performance.now() - this.startedAt);
+    }
+}
+
+/**
+ * Request logging, usage accounting and Prometheus metrics of a server. Chatbots
+ * report every answer to it; the HTTP middleware reports every request.
+ */
+class Telemetry {
+    /**
+     * @param {object} [options]
+     * @param {import("./usage-store.js").UsageStore} [options.usageStore] - Persists token usage and cost per request.
+     */
+    constructor({ usageStore = null } = {}) {
+        this.usageStore = usageStore;
+        this.httpRequests = new Counter("http_requests_total", "HTTP requests by method, route and status.");
+        this.httpDuration = new Histogram("http_request_duration_seconds", "HTTP request latency.");
+        this.answers = new Counter("chatbot_answers_total", "Chat requests by knowledge base and outcome.");
+        this.answerDuration = new Histogram("chatbot_answer_duration_seconds", "Chat request latency.");
+        this.nodeDuration = new Histogram("chatbot_node_duration_seconds", "Latency of each graph node.");
+        this.tokens = new Counter("chatbot_tokens_total", "Chat model tokens by model and type.");
+        this.cost = new Counter("chatbot_cost_usd_total", "Estimated chat model cost in US dollars.");
+        this.cacheLookups = new Counter("chatbot_answer_cache_lookups_total", "Answer cache lookups by knowledge base and result.");
+    }
+
+    /**
+     * Creates the callback handler collecting the node timings and token usage of one run.
+     * @returns {RunRecorder} The recorder.
+     */
+    createRecorder() {
+        return new RunRecorder();
+    }
+
+    /**
+     * Logs, counts and stores a chat request.
+     * @param {object} request
+     * @param {string} request.id - The answer id.
+     * @param {string} request.knowledgeBase - The knowledge base that answered.
+     * @param {string} [request.threadId] - The conversation thread.
+     * @param {string} request.mode - The answering flow.
+     * @param {string} request.model - The chat model.
+     * @param {number} request.latencyMs - The time to answer.
+     * @param {Array<{node: string, ms: number}>} request.nodes - The graph nodes run, in order.
+     * @param {number} request.promptTokens - Tokens sent to the model.
+     * @param {number} request.completionTokens - Tokens generated by the model.
+     * @param {number | null} request.costUsd - The estimated cost, or null when the model has no price.
+     * @param {string[]} request.chunkIds - The retrieved chunks.
+     * @param {"hit"|"miss"|null} request.cache - The answer cache result; null when the cache was not used.
+     * @param {"answered"|"not_covered"|"handed_off"|"aborted"|"error"} request.outcome - How the request ended; "handed_off" when a support ticket was opened.
+     * @param {string} [request.error] - The error message, when it failed.
+     */
+    recordAnswer(request) {
+        const { knowledgeBase, model, latencyMs, nodes, promptTokens, completionTokens, costUsd, cache, outcome } = request;
+        logEvent("chat_request", { level: outcome === "error" ? "error" : "info", ...request });
+
+        this.answers.inc({ knowledge_base: knowledgeBase, outcome });
+        this.answerDuration.observe({ knowledge_base: knowledgeBase }, latencyMs / 1000);
+        for (const { node, ms } of nodes) {
+            this.nodeDuration.observe({ knowledge_base: knowledgeBase, node }, ms / 1000);
+        }
+        this.tokens.inc({ model, type: "prompt" }, promptTokens);
+        this.tokens.inc({ model, type: "completion" }, completionTokens);
+        if (costUsd !== null) this.cost.inc({ model }, costUsd);
+        if (cache) this.cacheLookups.inc({ knowledge_base: knowledgeBase, result: cache });
+
+        try {
+            this.usageStore?.record(request);
+        } catch (error) {
+            // Losing the usage record must not fail the request
+            console.error("Error recording usage:", error);
+        }
+    }
+
+    /**
+     * Express middleware counting and timing every request by its matched route.
+     * @returns {import("express").RequestHandler} The middleware.
+     */
+    httpMiddleware() {
+        return (req, res, next) => {
+            const startedAt = performance.now();
+            res.on("finish", () => {
+                // Unmatched requests share one label so probes cannot create endless series
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+                const seconds = (performance.now() - startedAt) / 1000;
+                this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+                this.httpDuration.observe({ method: req.method, route }, seconds);
+                logEvent("http_request", {
+                    level: res.statusCode >= 500 ? "error" : "info",
+                    method: req.method,
+                    path: req.originalUrl,
+                    status: res.statusCode,
+                    client: res.locals.client?.id,
+                    latencyMs: Math.round(seconds * 1000),
+                });
+            });
+            next();
+        };
+    }
+
+    /**
+     * Renders every metric in the Prometheus text format.
+     * @returns {string} The metrics.
+     */
+    render() {
+        return [this.httpRequests, this.httpDuration, this.answers, this.answerDuration, this.nodeDuration, this.tokens, this.cost, this.cacheLookups]
+            .map(metric => metric.render())
+            .join("\n\n") + "\n";
+    }
+}
+
+export { Telemetry, RunRecorder, logEvent };
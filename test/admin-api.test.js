@@ -0,0 +1,203 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createAdminRouter } from "../admin-api.js";
+import { ReindexJobs } from "../reindex-jobs.js";
+import { FeedbackStore } from "../feedback-store.js";
+import { refreshConfig } from "../config.js";
+
+const ADMIN_KEY = "admin-secret";
+// A .docx file is a ZIP archive; the signature is all the upload checks
+const DOCX = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from("rest of the archive")]);
+
+/**
+ * Serves the admin router of a temporary documents folder, runs the test and cleans up.
+ */
+async function withAdminApi(run, { feedbackStore } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+    const docsPath = path.join(directory, "docs");
+    fs.mkdirSync(docsPath);
+    const app = express();
+    app.use('/admin', createAdminRouter({ knowledgeBase: "default", docsPath, dbPath: path.join(directory, "db"), reload: async () => {}, feedbackStore }));
+    const server = app.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+    const request = (route, { headers = { "x-api-key": ADMIN_KEY }, ...options } = {}) =>
+        fetch(`${baseUrl}${route}`, { ...options, headers });
+
+    const adminKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    const { log } = console;
+    console.log = () => {};
+    try {
+        await run({ request, docsPath });
+    } finally {
+        console.log = log;
+        if (adminKey === undefined) delete process.env.ADMIN_API_KEY;
+        else process.env.ADMIN_API_KEY = adminKey;
+        server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Waits until a reindexing job has finished.
+ */
+async function finished(job) {
+    while (!job.finishedAt) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return job;
+}
+
+test("the admin API requires the admin key", async () => {
+    await withAdminApi(async ({ request }) => {
+        assert.equal((await request('/documents', { headers: { "x-api-key": "wrong" } })).status, 401);
+        assert.equal((await request('/documents', { headers: {} })).status, 401);
+        assert.equal((await request('/documents', { headers: { authorization: `Bearer ${ADMIN_KEY}` } })).status, 200);
+
+        delete process.env.ADMIN_API_KEY;
+        assert.equal((await request('/documents')).status, 503);
+    });
+});
+
+test("documents are uploaded, replaced, listed and deleted", async () => {
+    await withAdminApi(async ({ request, docsPath }) => {
+        const created = await request('/documents/Guide.docx', { method: 'PUT', body: DOCX });
+        assert.equal(created.status, 201);
+        assert.deepEqual(await created.json(), { name: "Guide.docx", size: DOCX.length, replaced: false });
+        assert.deepEqual(fs.readFileSync(path.join(docsPath, "Guide.docx")), DOCX);
+        assert.equal((await request('/documents/Guide.docx', { method: 'PUT', body: DOCX })).status, 200);
+
+        const { documents } = await (await request('/documents')).json();
+        assert.deepEqual(documents.map(({ name, size, indexed }) => ({ name, size, indexed })), [{ name: "Guide.docx", size: DOCX.length, indexed: false }]);
+
+        assert.equal((await request('/documents/Guide.docx', { method: 'DELETE' })).status, 204);
+        assert.equal(fs.existsSync(path.join(docsPath, "Guide.docx")), false);
+        assert.equal((await request('/documents/Guide.docx', { method: 'DELETE' })).status, 404);
+    });
+});
+
+test("documents can be uploaded to and deleted from subfolders", async () => {
+    await withAdminApi(async ({ request, docsPath }) => {
+        const created = await request('/documents/billing/Credit Notes.md', { method: 'PUT', body: "# Credit Notes" });
+        assert.equal(created.status, 201);
+        assert.equal((await created.json()).name, "billing/Credit Notes.md");
+        assert.equal(fs.readFileSync(path.join(docsPath, "billing", "Credit Notes.md"), "utf8"), "# Credit Notes");
+
+        const { documents } = await (await request('/documents')).json();
+        assert.deepEqual(documents.map(({ name }) => name), ["billing/Credit Notes.md"]);
+        assert.equal((await request('/documents/billing/Credit Notes.md', { method: 'DELETE' })).status, 204);
+    });
+});
+
+test("uploads must be supported documents with a plain path", async () => {
+    await withAdminApi(async ({ request, docsPath }) => {
+        assert.equal((await request('/documents/notes.xyz', { method: 'PUT', body: DOCX })).status, 400);
+        assert.equal((await request('/documents/.hidden.docx', { method: 'PUT', body: DOCX })).status, 400);
+        assert.equal((await request('/documents/..%2Fescape.docx', { method: 'PUT', body: DOCX })).status, 400);
+        assert.equal((await request('/documents/.private/Guide.docx', { method: 'PUT', body: DOCX })).status, 400);
+        assert.equal((await request('/documents/Guide.docx', { method: 'PUT', body: "plain text" })).status, 400);
+        assert.equal((await request('/documents/Guide.docx', { method: 'PUT' })).status, 400);
+        assert.deepEqual(fs.readdirSync(docsPath), []);
+    });
+});
+
+test("documents of a knowledge base nested in the documents folder cannot be uploaded or deleted", async () => {
+    await withAdminApi(async ({ request, docsPath }) => {
+        const { CHATBOT_CONFIG, DOCS_PATH } = process.env;
+        const configPath = path.join(path.dirname(docsPath), "chatbot.config.json");
+        fs.writeFileSync(configPath, JSON.stringify({ docsPath, knowledgeBases: { "customer-portal": { docsPath: path.join(docsPath, "customer-portal") } } }));
+        process.env.CHATBOT_CONFIG = configPath;
+        delete process.env.DOCS_PATH;
+        refreshConfig();
+        try {
+            fs.mkdirSync(path.join(docsPath, "customer-portal"));
+            fs.writeFileSync(path.join(docsPath, "customer-portal", "Portal.md"), "# Portal");
+
+            assert.equal((await request('/documents/customer-portal/Guide.md', { method: 'PUT', body: "# Guide" })).status, 400);
+            assert.equal((await request('/documents/customer-portal/Portal.md', { method: 'DELETE' })).status, 400);
+            assert.deepEqual(fs.readdirSync(path.join(docsPath, "customer-portal")), ["Portal.md"]);
+            // A folder whose name merely starts with the knowledge base's is the default knowledge base's own
+            assert.equal((await request('/documents/customer-portal-old/Guide.md', { method: 'PUT', body: "# Guide" })).status, 201);
+        } finally {
+            if (CHATBOT_CONFIG === undefined) delete process.env.CHATBOT_CONFIG;
+            else process.env.CHATBOT_CONFIG = CHATBOT_CONFIG;
+            if (DOCS_PATH !== undefined) process.env.DOCS_PATH = DOCS_PATH;
+            refreshConfig();
+        }
+    });
+});
+
+test("the knowledge-gap report covers the knowledge base's recorded answers", async () => {
+    const feedbackStore = new FeedbackStore(":memory:");
+    const answer = { threadId: "t1", answer: "Sorry, this topic is not covered.", sources: [], notCovered: true };
+    feedbackStore.recordAnswer({ ...answer, id: "a1", knowledgeBase: "default", question: "How do I issue a credit note?" });
+    feedbackStore.recordAnswer({ ...answer, id: "a2", knowledgeBase: "customer-portal", question: "How do I reset my password?" });
+
+    await withAdminApi(async ({ request }) => {
+        const report = await (await request('/feedback/report')).json();
+        assert.equal(report.knowledgeBase, "default");
+        assert.equal(report.totals.answers, 1);
+        assert.deepEqual(report.clusters.map(cluster => cluster.questions), [["How do I issue a credit note?"]]);
+        assert.equal((await request('/feedback/report?since=yesterday')).status, 400);
+    }, { feedbackStore });
+
+    await withAdminApi(async ({ request }) => {
+        assert.equal((await request('/feedback/report')).status, 503);
+    });
+});
+
+test("ReindexJobs runs the ingestion script and reloads the store after a successful run", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+    const script = path.join(directory, "ingest.mjs");
+    fs.writeFileSync(script, 'console.log(`indexing ${process.env.DOCS_PATH} into ${process.env.VECTORSTORE_PATH} ${process.argv.slice(2).join(" ")}`);\n');
+    let reloads = 0;
+    const jobs = new ReindexJobs({ docsPath: "/docs", dbPath: "/db", onIndexed: async () => { reloads++; }, script });
+    const { log } = console;
+    console.log = () => {};
+    try {
+        const job = jobs.start({ full: true });
+        assert.equal(jobs.active(), job);
+        assert.throws(() => jobs.start(), /already running/);
+
+        await finished(job);
+        assert.equal(job.status, "succeeded");
+        assert.deepEqual(job.log, ["indexing /docs into /db --full"]);
+        assert.equal(reloads, 1);
+        assert.equal(jobs.active(), null);
+        assert.deepEqual(jobs.list().map(({ id, status }) => ({ id, status })), [{ id: job.id, status: "succeeded" }]);
+
+        const portal = new ReindexJobs({ knowledgeBase: "customer-portal", docsPath: "/portal", dbPath: "/portal-db", onIndexed: async () => {}, script });
+        assert.deepEqual((await finished(portal.start())).log, ["indexing /portal into /portal-db --kb customer-portal"]);
+    } finally {
+        console.log = log;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("ReindexJobs reports failed runs and stores that cannot be reloaded", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+    const failing = path.join(directory, "failing.mjs");
+    const passing = path.join(directory, "passing.mjs");
+    fs.writeFileSync(failing, 'console.error("No .docx files found"); process.exit(1);\n');
+    fs.writeFileSync(passing, "\n");
+    const { error } = console;
+    console.error = () => {};
+    try {
+        const failed = await finished(new ReindexJobs({ docsPath: "/docs", dbPath: "/db", onIndexed: async () => {}, script: failing }).start());
+        assert.equal(failed.status, "failed");
+        assert.equal(failed.error, "create-db.js exited with code 1.");
+        assert.deepEqual(failed.log, ["No .docx files found"]);
+
+        const broken = new ReindexJobs({ docsPath: "/docs", dbPath: "/db", onIndexed: async () => { throw new Error("bad store"); }, script: passing });
+        const unloaded = await finished(broken.start());
+        assert.equal(unloaded.status, "failed");
+        assert.match(unloaded.error, /could not be loaded: bad store/);
+    } finally {
+        console.error = error;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AnswerCache, cosineSimilarity } from "../answer-cache.js";
+
+const KEY = { knowledgeBase: "default", storeVersion: "build-1", scope: "text:*", embedding: [1, 0, 0] };
+const ANSWER = { answer: "Open Bookings > Booking List [1]", sources: [{ citation: 1 }] };
+
+test("cosineSimilarity compares vectors of the same length", () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test("AnswerCache returns the answer to the most similar question above the threshold", () => {
+    const cache = new AnswerCache(":memory:");
+    cache.store(KEY, "How do I cancel a booking?", ANSWER, 60);
+    cache.store({ ...KEY, embedding: [0.6, 0.8, 0] }, "How do I add a user?", { answer: "Other" }, 60);
+
+    const hit = cache.lookup({ ...KEY, embedding: [0.99, 0.1, 0] }, 0.9);
+    assert.equal(hit.question, "How do I cancel a booking?");
+    assert.deepEqual(hit.answer, ANSWER);
+    assert.ok(hit.similarity > 0.99);
+    assert.equal(cache.lookup({ ...KEY, embedding: [0, 0, 1] }, 0.9), null);
+});
+
+test("AnswerCache keeps answers to their build, scope and TTL", () => {
+    const cache = new AnswerCache(":memory:");
+    cache.store(KEY, "How do I cancel a booking?", ANSWER, 60);
+    cache.store({ ...KEY, scope: "text:customer" }, "How can a customer cancel a booking?", ANSWER, -1);
+
+    assert.equal(cache.lookup({ ...KEY, scope: "procedure:*" }, 0.9), null);
+    assert.equal(cache.lookup({ ...KEY, scope: "text:customer" }, 0.9), null);
+    assert.equal(cache.lookup({ ...KEY, knowledgeBase: "portal" }, 0.9), null);
+
+    assert.equal(cache.invalidate("default", "build-2"), 1);
+    assert.equal(cache.lookup(KEY, 0.9), null);
+});
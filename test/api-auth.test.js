@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { RateLimiter, createApiAccess, verifyJwt } from "../api-auth.js";
+
+const SECRET = "jwt-secret";
+
+/**
+ * Signs claims into an HS256 token.
+ */
+function signJwt(claims, { secret = SECRET, algorithm = "HS256" } = {}) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const unsigned = `${encode({ alg: algorithm, typ: "JWT" })}.${encode(claims)}`;
+    return `${unsigned}.${createHmac("sha256", secret).update(unsigned).digest("base64url")}`;
+}
+
+/**
+ * Runs a middleware against a fake request and returns the response it left.
+ */
+function run(middleware, headers = {}, locals = {}) {
+    const response = { statusCode: 200, headers: {}, body: null, nextCalled: false, locals };
+    const req = { ip: "127.0.0.1", get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        locals,
+        set(name, value) {
+            Object.assign(response.headers, typeof name === "string" ? { [name]: value } : name);
+            return this;
+        },
+        status(code) {
+            response.statusCode = code;
+            return this;
+        },
+        json(body) {
+            response.body = body;
+            return this;
+        },
+    };
+    middleware(req, res, () => { response.nextCalled = true; });
+    return response;
+}
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test("verifyJwt returns the claims of a valid token", () => {
+    const claims = { sub: "client-1", exp: inAnHour(), iss: "portal", aud: ["chatbot"] };
+    assert.deepEqual(verifyJwt(signJwt(claims), { secret: SECRET, issuer: "portal", audience: "chatbot" }), claims);
+});
+
+test("verifyJwt rejects bad signatures, algorithms and claims", () => {
+    const options = { secret: SECRET, issuer: "portal", audience: "chatbot" };
+    const valid = { sub: "client-1", exp: inAnHour(), iss: "portal", aud: "chatbot" };
+
+    assert.throws(() => verifyJwt("not-a-token", options), /Malformed token/);
+    assert.throws(() => verifyJwt(signJwt(valid, { secret: "other" }), options), /Invalid token signature/);
+    assert.throws(() => verifyJwt(signJwt(valid, { algorithm: "none" }), options), /Unsupported token algorithm/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, exp: undefined }), options), /no expiry/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, exp: 1 }), options), /expired/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, nbf: inAnHour() }), options), /not valid yet/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, sub: "" }), options), /no subject/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, iss: "other" }), options), /issued by someone else/);
+    assert.throws(() => verifyJwt(signJwt({ ...valid, aud: "other" }), options), /another audience/);
+});
+
+test("RateLimiter counts requests per key within a window", () => {
+    const limiter = new RateLimiter();
+    const rule = { limit: 2, windowSeconds: 60 };
+
+    assert.deepEqual([limiter.hit("a", rule).allowed, limiter.hit("a", rule).allowed, limiter.hit("a", rule).allowed], [true, true, false]);
+    const other = limiter.hit("b", rule);
+    assert.equal(other.allowed, true);
+    assert.equal(other.remaining, 1);
+    assert.ok(other.resetAt > Date.now() && other.resetAt <= Date.now() + 60 * 1000);
+});
+
+test("authenticate accepts API keys and signed tokens only", () => {
+    const access = createApiAccess({
+        apiKeys: [{ name: "web", key: "key-123" }],
+        jwt: { secret: SECRET },
+        allowedOrigins: [],
+        rateLimit: { perIp: {}, perKey: {} },
+        dailyQuota: 0,
+    });
+
+    assert.equal(run(access.authenticate, { "x-api-key": "key-123" }).locals.client.id, "key:web");
+    const token = signJwt({ sub: "client-1", exp: inAnHour() });
+    assert.equal(run(access.authenticate, { authorization: `Bearer ${token}` }).locals.client.id, "jwt:client-1");
+
+    assert.equal(run(access.authenticate).statusCode, 401);
+    assert.equal(run(access.authenticate, { "x-api-key": "wrong" }).statusCode, 401);
+    const expired = run(access.authenticate, { authorization: `Bearer ${signJwt({ sub: "client-1", exp: 1 })}` });
+    assert.equal(expired.statusCode, 401);
+    assert.equal(expired.headers["WWW-Authenticate"], 'Bearer error="invalid_token"');
+});
+
+test("limitClient and chargeQuota answer 429 once the limit is reached", () => {
+    const access = createApiAccess({
+        apiKeys: [],
+        jwt: null,
+        allowedOrigins: [],
+        rateLimit: { perIp: { limit: 0, windowSeconds: 60 }, perKey: { limit: 2, windowSeconds: 60 } },
+        dailyQuota: 1,
+    });
+    const client = () => ({ client: { id: "key:web" } });
+
+    assert.equal(run(access.limitClient, {}, client()).nextCalled, true);
+    assert.equal(run(access.limitClient, {}, client()).headers["RateLimit-Remaining"], "0");
+    const limited = run(access.limitClient, {}, client());
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers["Retry-After"]) > 0);
+
+    assert.equal(run(access.chargeQuota, {}, client()).nextCalled, true);
+    assert.equal(run(access.chargeQuota, {}, client()).statusCode, 429);
+    // Without a client, e.g. when no keys are configured, nothing is counted
+    assert.equal(run(access.chargeQuota).nextCalled, true);
+    assert.equal(run(access.limitIp).nextCalled, true);
+});
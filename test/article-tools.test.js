@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createArticleTools, findArticle, getArticleCatalog } from "../article-tools.js";
+
+/**
+ * An in-memory stand-in for a FaissStore holding [id, vector, text, metadata] chunks.
+ */
+function fakeStore(chunks) {
+    const docs = new Map(chunks.map(([id, , pageContent, metadata]) => [id, { pageContent, metadata }]));
+    return {
+        embeddings: { embedQuery: async (query) => chunks.find(([, , text]) => text.toLowerCase().includes(query.toLowerCase()))?.[1] ?? [0, 0] },
+        index: {
+            ntotal: () => chunks.length,
+            search: (vector, k) => {
+                const ranked = chunks
+                    .map(([, stored], label) => ({ label, distance: stored.reduce((sum, x, i) => sum + (x - vector[i]) ** 2, 0) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, k);
+                return { labels: ranked.map(entry => entry.label), distances: ranked.map(entry => entry.distance) };
+            },
+        },
+        getMapping: () => Object.fromEntries(chunks.map(([id], label) => [label, id])),
+        getDocstore: () => ({ _docs: docs, search: (id) => docs.get(id) }),
+    };
+}
+
+const STATUSES = { source: "Booking Statuses.docx", title: "Booking Statuses" };
+const CANCEL = { source: "Cancel Booking.docx", title: "Cancel Booking" };
+const PORTAL = { source: "portal/Change Password.docx", title: "Change Password", audiences: ["customer", "internal"] };
+const STORE = fakeStore([
+    ["s1", [1, 0], "Booking Statuses > Confirmed\n\nThe booking is paid.", { ...STATUSES, section: "Booking Statuses > Confirmed" }],
+    ["c1", [0, 1], "Cancel Booking > Steps\n\nClick Cancel.", { ...CANCEL, section: "Cancel Booking > Steps", audiences: ["internal"] }],
+    ["s2", [0.9, 0.1], "Booking Statuses > Cancelled\n\nThe booking was cancelled.", { ...STATUSES, section: "Booking Statuses > Cancelled" }],
+    ["p1", [0.5, 0.5], "Open your profile and change the password.", PORTAL],
+]);
+const RETRIEVAL = { k: 3, fetchK: 3, vectorWeight: 1, keywordWeight: 0, titleBoost: 2, rrfK: 60, minScore: 0, mmr: false, mmrLambda: 0.5 };
+
+/**
+ * Invokes one of the article tools as the agent would.
+ */
+async function invoke(name, args, configurable = {}) {
+    const selected = createArticleTools(STORE, { retrieval: RETRIEVAL }).find(tool => tool.name === name);
+    return selected.invoke({ name, args, id: "call-1", type: "tool_call" }, { configurable });
+}
+
+test("getArticleCatalog groups the chunks of each document, by title", () => {
+    const catalog = getArticleCatalog(STORE);
+    assert.deepEqual(catalog.map(article => [article.title, article.chunks.map(chunk => chunk.id)]), [
+        ["Booking Statuses", ["s1", "s2"]],
+        ["Cancel Booking", ["c1"]],
+        ["Change Password", ["p1"]],
+    ]);
+    assert.equal(getArticleCatalog(STORE), catalog);
+});
+
+test("findArticle matches titles and file names loosely, or suggests the closest ones", () => {
+    const catalog = getArticleCatalog(STORE);
+    assert.equal(findArticle(catalog, "booking statuses").article.title, "Booking Statuses");
+    assert.equal(findArticle(catalog, "Change Password.docx").article.title, "Change Password");
+    assert.equal(findArticle(catalog, "statuses").article.title, "Booking Statuses");
+    assert.deepEqual(findArticle(catalog, "booking"), { article: null, suggestions: ["Booking Statuses", "Cancel Booking"] });
+    assert.deepEqual(findArticle(catalog, "invoices"), { article: null, suggestions: [] });
+});
+
+test("list_articles lists the titles the audiences may read, optionally about a topic", async () => {
+    assert.match((await invoke("list_articles", {})).content, /^Articles:\n- Booking Statuses\n- Cancel Booking\n- Change Password$/);
+    assert.equal((await invoke("list_articles", {}, { audiences: ["customer"] })).content, "Articles:\n- Change Password");
+    assert.equal((await invoke("list_articles", { topic: "cancel" })).content, "Articles about \"cancel\":\n- Cancel Booking");
+
+    const none = await invoke("list_articles", { topic: "invoices" });
+    assert.equal(none.content, "No articles about \"invoices\" were found.");
+    assert.deepEqual(none.artifact, { sources: [], covered: false });
+});
+
+test("get_article returns every chunk of an article, numbered after earlier citations", async () => {
+    const citationCounter = { count: 1 };
+    const message = await invoke("get_article", { title: "Booking Statuses" }, { citationCounter });
+
+    assert.match(message.content, /^Article: Booking Statuses\n\n\[2\] Source: Booking Statuses\.docx \(Booking Statuses > Confirmed\)\n/);
+    assert.match(message.content, /\[3\] Source: Booking Statuses\.docx \(Booking Statuses > Cancelled\)/);
+    assert.deepEqual(message.artifact.sources.map(source => [source.citation, source.chunkId, source.match]), [[2, "s1", "article"], [3, "s2", "article"]]);
+    assert.equal(citationCounter.count, 3);
+});
+
+test("get_article hides articles from other audiences", async () => {
+    const message = await invoke("get_article", { title: "Cancel Booking" }, { audiences: ["customer"] });
+    assert.equal(message.content, "No article titled \"Cancel Booking\" was found. Use list_articles to see every title.");
+    assert.equal(message.artifact.covered, false);
+});
+
+test("search_article only searches the requested article", async () => {
+    const message = await invoke("search_article", { title: "Booking Statuses", query: "Click Cancel" });
+    assert.deepEqual(message.artifact.sources.map(source => source.chunkId), ["s2", "s1"]);
+    assert.equal(message.artifact.covered, true);
+
+    const missing = await invoke("search_article", { title: "Invoices", query: "print" });
+    assert.match(missing.content, /^No article titled "Invoices" was found\./);
+});
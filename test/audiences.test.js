@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { DEFAULT_AUDIENCES, isVisibleTo, normalizeAudiences, readAudienceMap, resolveDocumentAudiences, resolveRequestAudiences } from "../audiences.js";
+
+test("normalizeAudiences trims, lowercases and removes duplicates", () => {
+    assert.deepEqual(normalizeAudiences(" Customer "), ["customer"]);
+    assert.deepEqual(normalizeAudiences(["Internal", "internal", "", "customer"]), ["internal", "customer"]);
+});
+
+test("readAudienceMap reads the map, or tags everything internal without one", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "audiences-"));
+    try {
+        assert.deepEqual(readAudienceMap(directory), { default: DEFAULT_AUDIENCES, paths: {} });
+
+        fs.writeFileSync(path.join(directory, "audiences.json"), JSON.stringify({ paths: { "portal/": "Customer" } }));
+        assert.deepEqual(readAudienceMap(directory), { default: DEFAULT_AUDIENCES, paths: { "portal/": ["customer"] } });
+
+        fs.writeFileSync(path.join(directory, "audiences.json"), "{ not json");
+        assert.throws(() => readAudienceMap(directory), /Could not parse audience map/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("resolveDocumentAudiences prefers the exact path, then the longest folder prefix", () => {
+    const map = {
+        default: ["internal"],
+        paths: {
+            "portal/": ["customer"],
+            "portal/agents/": ["agent"],
+            "portal/agents/FAQ.md": ["customer", "agent"],
+        },
+    };
+    assert.deepEqual(resolveDocumentAudiences("portal/Login.md", map), ["customer"]);
+    assert.deepEqual(resolveDocumentAudiences("portal/agents/Commission.md", map), ["agent"]);
+    assert.deepEqual(resolveDocumentAudiences("portal/agents/FAQ.md", map), ["customer", "agent"]);
+    assert.deepEqual(resolveDocumentAudiences("portals.md", map), ["internal"]);
+});
+
+test("resolveRequestAudiences defaults to the deployment's audiences and rejects the others", () => {
+    assert.deepEqual(resolveRequestAudiences(undefined, ["customer"]), ["customer"]);
+    assert.equal(resolveRequestAudiences("", null), null);
+    assert.deepEqual(resolveRequestAudiences("Customer", ["customer", "internal"]), ["customer"]);
+    assert.deepEqual(resolveRequestAudiences(["internal"], null), ["internal"]);
+    assert.throws(() => resolveRequestAudiences("internal", ["customer"]), /Audience "internal" is not available/);
+});
+
+test("isVisibleTo treats untagged chunks as internal", () => {
+    assert.equal(isVisibleTo({ metadata: { audiences: ["customer", "internal"] } }, ["customer"]), true);
+    assert.equal(isVisibleTo({ metadata: { audiences: ["internal"] } }, ["customer"]), false);
+    assert.equal(isVisibleTo({ metadata: {} }, ["internal"]), true);
+    assert.equal(isVisibleTo({ metadata: {} }, ["customer"]), false);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { StateGraph, END } from "@langchain/langgraph";
+import { FileSaver, createCheckpointer } from "../checkpointer.js";
+
+/**
+ * Builds a graph appending every input to a list, checkpointed by the given saver.
+ */
+function buildGraph(checkpointer) {
+    const workflow = new StateGraph({
+        channels: { items: { reducer: (x, y) => x.concat(y), default: () => [] } },
+    });
+    workflow.addNode("echo", async (state) => ({ items: [`echo ${state.items.length}`] }));
+    workflow.setEntryPoint("echo");
+    workflow.addEdge("echo", END);
+    return workflow.compile({ checkpointer });
+}
+
+test("FileSaver continues a thread restored after a restart", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "threads-"));
+    const config = { configurable: { thread_id: "restored" } };
+    try {
+        await buildGraph(new FileSaver(directory)).invoke({ items: ["first"] }, config);
+
+        const reopened = new FileSaver(directory);
+        const state = await buildGraph(reopened).invoke({ items: ["second"] }, config);
+        assert.deepEqual(state.items, ["first", "echo 1", "second", "echo 3"]);
+
+        // The thread is saved again after the new turn, and restores once more
+        const again = await buildGraph(new FileSaver(directory)).getState(config);
+        assert.deepEqual(again.values.items, ["first", "echo 1", "second", "echo 3"]);
+        assert.equal((await reopened.listThreads())[0].threadId, "restored");
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("FileSaver deletes a thread and its file", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "threads-"));
+    try {
+        const saver = new FileSaver(directory);
+        await buildGraph(saver).invoke({ items: ["first"] }, { configurable: { thread_id: "gone" } });
+        assert.equal(await saver.deleteThread("gone"), true);
+        assert.deepEqual(fs.readdirSync(directory), []);
+        assert.deepEqual(await new FileSaver(directory).listThreads(), []);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("FileSaver only keeps the latest checkpoint of a thread", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "threads-"));
+    const config = { configurable: { thread_id: "long" } };
+    try {
+        const saver = new FileSaver(directory);
+        const graph = buildGraph(saver);
+        for (const item of ["first", "second", "third"]) {
+            await graph.invoke({ items: [item] }, config);
+        }
+
+        const { storage, writes } = JSON.parse(fs.readFileSync(path.join(directory, "long.json"), "utf8"));
+        assert.equal(Object.keys(storage[""]).length, 1);
+        const [latestId] = Object.keys(storage[""]);
+        assert.ok(Object.keys(writes).every(key => JSON.parse(key)[2] === latestId));
+        assert.equal((await graph.getState(config)).values.items.length, 6);
+        assert.equal((await buildGraph(new FileSaver(directory)).getState(config)).values.items.at(-1), "echo 5");
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("createCheckpointer keeps each knowledge base's threads in its own place", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "threads-"));
+    const { log } = console;
+    console.log = () => {};
+    try {
+        const settings = { checkpointer: "file", path: directory };
+        assert.equal(createCheckpointer("default", settings).directory, directory);
+        assert.equal(createCheckpointer("customer-portal", settings).directory, path.join(directory, "customer-portal"));
+        assert.equal(createCheckpointer("default", { checkpointer: "memory", path: null }).constructor.name, "ThreadMemorySaver");
+        assert.throws(() => createCheckpointer("default", { checkpointer: "redis", path: null }), /Unsupported checkpointer "redis"/);
+    } finally {
+        console.log = log;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
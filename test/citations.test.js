@@ -0,0 +1,190 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+import { buildSources, collectTurnSources, createCitationRetrieverTool, formatContext, formatSourcesForCli, hybridSearch, reserveCitations, retrieveChunks, searchWithScores, selectCitedSources } from "../citations.js";
+import { KeywordIndex } from "../keyword-index.js";
+
+/**
+ * An in-memory stand-in for a FaissStore holding the given vectors and chunks.
+ */
+function fakeStore(entries, queryVectors = {}) {
+    const docs = new Map(entries.map(({ id, document }) => [id, document]));
+    const embedded = [];
+    return {
+        embedded,
+        embeddings: {
+            embedQuery: async (query) => {
+                embedded.push(query);
+                return queryVectors[query] ?? entries.find(entry => entry.document.pageContent.includes(query))?.vector ?? [0, 0];
+            },
+        },
+        index: {
+            ntotal: () => entries.length,
+            getDimension: () => 2,
+            // A flat index serializes to a header followed by its vectors
+            toBuffer: () => Buffer.concat([Buffer.from("IxF2 header"), Buffer.from(new Float32Array(entries.flatMap(({ vector }) => vector)).buffer)]),
+            search: (vector, k) => {
+                const ranked = entries
+                    .map(({ vector: stored }, label) => ({ label, distance: stored.reduce((sum, x, i) => sum + (x - vector[i]) ** 2, 0) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, k);
+                return { labels: ranked.map(entry => entry.label), distances: ranked.map(entry => entry.distance) };
+            },
+        },
+        getMapping: () => Object.fromEntries(entries.map(({ id }, label) => [label, id])),
+        getDocstore: () => ({ search: (id) => docs.get(id) }),
+    };
+}
+
+const CANCEL = { id: "c1", vector: [1, 0], document: { pageContent: "Cancel Booking > Steps\n\nClick Cancel booking.", metadata: { source: "Cancel Booking.docx", section: "Cancel Booking > Steps" } } };
+const INVOICE = { id: "i1", vector: [0, 1], document: { pageContent: "Print the invoice from the booking.", metadata: { source: "Invoices.docx" } } };
+const RETRIEVAL = { k: 1, fetchK: 1, vectorWeight: 1, keywordWeight: 0, titleBoost: 2, rrfK: 60, minScore: 0.25, mmr: false, mmrLambda: 0.5 };
+
+test("searchWithScores returns the nearest chunks with a relevance score", async () => {
+    const results = await searchWithScores(fakeStore([CANCEL, INVOICE]), "Click Cancel", 5);
+    assert.deepEqual(results.map(({ id, score }) => [id, score]), [["c1", 1], ["i1", 0]]);
+    assert.equal(results[0].document, CANCEL.document);
+    assert.deepEqual(await searchWithScores(fakeStore([]), "anything", 5), []);
+});
+
+test("hybridSearch fuses the vector and keyword rankings", async () => {
+    const refunds = { id: "r1", vector: [1, 0], document: { pageContent: "Refunds are paid back to the card.", metadata: { source: "Refunds.docx" } } };
+    const creditNote = { id: "n1", vector: [0.8, 0.6], document: { pageContent: "Open the credit note from the booking.", metadata: { source: "Credit Note.docx", title: "Credit Note" } } };
+    const numbering = { id: "n2", vector: [0, 1], document: { pageContent: "Credit note numbers follow the invoice sequence.", metadata: { source: "Numbering.docx" } } };
+    const payments = { id: "p1", vector: [0.5, 0.5], document: { pageContent: "Cards can be charged again.", metadata: { source: "Payments.docx" } } };
+    const entries = [refunds, creditNote, numbering, payments];
+    const store = fakeStore(entries, { "credit note": [1, 0] });
+    const keywordIndex = KeywordIndex.fromDocuments(entries.map(({ id, document }) => [id, document]));
+    const retrieval = { k: 3, fetchK: 3, vectorWeight: 1, keywordWeight: 1, titleBoost: 2, rrfK: 60 };
+
+    // The credit note article is second by vector search and first by keyword search, so it wins the fusion;
+    // the chunk only keyword search found has no relevance score
+    const results = await hybridSearch(store, keywordIndex, "credit note", retrieval);
+    assert.deepEqual(results.map(({ id, score }) => [id, score]), [["n1", 0.8], ["r1", 1], ["n2", null]]);
+
+    const vectorOnly = await hybridSearch(store, keywordIndex, "credit note", { ...retrieval, keywordWeight: 0 });
+    assert.deepEqual(vectorOnly.map(({ id }) => id), ["r1", "n1", "p1"]);
+    assert.deepEqual((await hybridSearch(store, null, "credit note", retrieval)).map(({ id }) => id), ["r1", "n1", "p1"]);
+});
+
+test("retrieveChunks returns nothing unless a chunk passes the relevance cutoff", async () => {
+    const refunds = { id: "r1", vector: [1, 0], document: { pageContent: "Refunds are paid back to the card.", metadata: { source: "Refunds.docx" } } };
+    const creditNote = { id: "n1", vector: [0, 1], document: { pageContent: "Open the credit note from the booking.", metadata: { source: "Credit Note.docx" } } };
+    const entries = [refunds, creditNote];
+    const store = fakeStore(entries, { "credit note": [1, 0], "unrelated": [-1, 0] });
+    const keywordIndex = KeywordIndex.fromDocuments(entries.map(({ id, document }) => [id, document]));
+    const retrieval = { ...RETRIEVAL, k: 2, fetchK: 2, keywordWeight: 1 };
+
+    assert.deepEqual(await retrieveChunks(store, keywordIndex, "unrelated", retrieval), []);
+    // Once the question is covered, the keyword match is kept (and ranked first) despite its low vector relevance
+    assert.deepEqual((await retrieveChunks(store, keywordIndex, "credit note", retrieval)).map(({ id }) => id), ["n1", "r1"]);
+    assert.deepEqual((await retrieveChunks(store, keywordIndex, "credit note", { ...retrieval, keywordWeight: 0 })).map(({ id }) => id), ["r1"]);
+});
+
+test("retrieveChunks only returns chunks the audiences may see", async () => {
+    const internal = { id: "i1", vector: [1, 0], document: { pageContent: "Credit notes are issued by accounts.", metadata: { source: "Accounts.docx", audiences: ["internal"] } } };
+    const untagged = { id: "u1", vector: [0.9, 0.1], document: { pageContent: "Credit note numbering.", metadata: { source: "Numbering.docx" } } };
+    const customer = { id: "c1", vector: [0.8, 0.2], document: { pageContent: "Ask us for a credit note.", metadata: { source: "Customer FAQs.docx", audiences: ["customer", "internal"] } } };
+    const entries = [internal, untagged, customer];
+    const store = fakeStore(entries, { "credit note": [1, 0] });
+    const keywordIndex = KeywordIndex.fromDocuments(entries.map(({ id, document }) => [id, document]));
+    const retrieval = { ...RETRIEVAL, k: 3, fetchK: 3, keywordWeight: 1, minScore: 0 };
+
+    assert.deepEqual((await retrieveChunks(store, keywordIndex, "credit note", retrieval, ["customer"])).map(({ id }) => id), ["c1"]);
+    assert.deepEqual((await retrieveChunks(store, keywordIndex, "credit note", retrieval, ["internal"])).map(({ id }) => id).sort(), ["c1", "i1", "u1"]);
+    assert.equal((await retrieveChunks(store, keywordIndex, "credit note", retrieval)).length, 3);
+});
+
+test("retrieveChunks diversifies with the stored vectors instead of embedding the chunks again", async () => {
+    const steps = { id: "s1", vector: [1, 0], document: { pageContent: "Click Cancel booking.", metadata: { source: "Cancel Booking.docx" } } };
+    const duplicate = { id: "s2", vector: [0.99, 0.141], document: { pageContent: "Click Cancel booking, then confirm.", metadata: { source: "Cancel Booking.docx" } } };
+    const refund = { id: "r1", vector: [0.8, -0.6], document: { pageContent: "The refund is paid back to the card.", metadata: { source: "Refunds.docx" } } };
+    const store = fakeStore([steps, duplicate, refund], { "cancel booking": [1, 0] });
+    const retrieval = { ...RETRIEVAL, k: 2, fetchK: 3 };
+
+    const similar = await retrieveChunks(store, null, "cancel booking", retrieval);
+    assert.deepEqual(similar.map(({ id }) => id), ["s1", "s2"]);
+
+    const diverse = await retrieveChunks(store, null, "cancel booking", { ...retrieval, mmr: true, mmrLambda: 0.3 });
+    assert.deepEqual(diverse.map(({ id }) => id), ["s1", "r1"]);
+    // The query was embedded once per retrieval, and the chunks not at all
+    assert.deepEqual(store.embedded, ["cancel booking", "cancel booking"]);
+});
+
+test("the retriever tool reports whether any chunk was relevant", async () => {
+    const retriever = createCitationRetrieverTool(fakeStore([CANCEL], { unrelated: [-1, 0] }), { retrieval: RETRIEVAL });
+    const message = await retriever.invoke({ name: "retrieve_document_context", args: { query: "unrelated" }, id: "call-1", type: "tool_call" });
+    assert.equal(message.content, "No relevant document context was found.");
+    assert.deepEqual(message.artifact, { sources: [], covered: false });
+});
+
+test("buildSources numbers the chunks and leaves the heading path out of the snippet", () => {
+    const long = { id: "l1", document: { pageContent: "x".repeat(250), metadata: { source: "Long.docx" } }, score: 0.5 };
+    const sources = buildSources([{ ...CANCEL, score: 0.9 }, long], 2);
+
+    assert.deepEqual(sources[0], {
+        citation: 3,
+        document: "Cancel Booking.docx",
+        section: "Cancel Booking > Steps",
+        chunkId: "c1",
+        score: 0.9,
+        match: "vector",
+        snippet: "Click Cancel booking.",
+        images: [],
+    });
+    assert.equal(sources[1].citation, 4);
+    assert.equal(sources[1].section, null);
+    assert.equal(sources[1].snippet, `${"x".repeat(200)}…`);
+});
+
+test("formatContext numbers each chunk with its source", () => {
+    const results = [{ ...CANCEL, score: 1 }];
+    assert.equal(
+        formatContext(results, buildSources(results)),
+        "[1] Source: Cancel Booking.docx (Cancel Booking > Steps)\nCancel Booking > Steps\n\nClick Cancel booking."
+    );
+    assert.equal(formatContext([], []), "No relevant document context was found.");
+});
+
+test("the retriever tool continues the numbering of earlier retrievals in the turn", async () => {
+    const retriever = createCitationRetrieverTool(fakeStore([CANCEL, INVOICE]), { retrieval: RETRIEVAL });
+    const citationCounter = { count: 2 };
+    const message = await retriever.invoke(
+        { name: "retrieve_document_context", args: { query: "Print the invoice" }, id: "call-1", type: "tool_call" },
+        { configurable: { citationCounter } }
+    );
+    assert.match(message.content, /^\[3\] Source: Invoices\.docx\n/);
+    assert.deepEqual(message.artifact.sources.map(source => source.citation), [3]);
+    assert.equal(citationCounter.count, 3);
+});
+
+test("reserveCitations gives tool calls sharing a counter distinct numbers", () => {
+    const config = { configurable: { citationCounter: { count: 1 } } };
+    assert.equal(reserveCitations(config, 2), 1);
+    assert.equal(reserveCitations(config, 3), 3);
+    assert.equal(config.configurable.citationCounter.count, 6);
+    assert.equal(reserveCitations({}, 2), 0);
+});
+
+test("collectTurnSources only collects the sources retrieved since the last question", () => {
+    const earlier = new ToolMessage({ content: "", tool_call_id: "a", artifact: { sources: [{ citation: 1, document: "Old.docx" }] } });
+    const first = new ToolMessage({ content: "", tool_call_id: "b", artifact: { sources: [{ citation: 1, document: "A.docx" }] } });
+    const second = new ToolMessage({ content: "", tool_call_id: "c", artifact: { sources: [{ citation: 2, document: "B.docx" }] } });
+    const messages = [new HumanMessage("first"), earlier, new AIMessage("answer"), new HumanMessage("second"), first, second];
+    assert.deepEqual(collectTurnSources(messages).map(source => source.document), ["A.docx", "B.docx"]);
+});
+
+test("selectCitedSources keeps the cited sources, or all of them without markers", () => {
+    const sources = [{ citation: 1 }, { citation: 2 }, { citation: 3 }];
+    assert.deepEqual(selectCitedSources("Open the list [1] and click Cancel [3][1].", sources), [{ citation: 1 }, { citation: 3 }]);
+    assert.deepEqual(selectCitedSources("No markers here.", sources), sources);
+});
+
+test("formatSourcesForCli prints one line per source", () => {
+    const text = formatSourcesForCli([
+        { citation: 1, document: "Cancel Booking.docx", section: "Steps", score: 0.8 },
+        { citation: 2, document: "Invoices.docx", section: null, score: null },
+        { citation: 3, document: "Statuses.docx", section: null, score: null, match: "article" },
+    ]);
+    assert.equal(text, "  [1] Cancel Booking.docx — Steps (relevance 0.8)\n  [2] Invoices.docx (keyword match)\n  [3] Statuses.docx (full article)");
+});
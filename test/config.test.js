@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { listKnowledgeBases, loadConfig, loadThreadConfig, nestedDocsPaths, refreshConfig } from "../config.js";
+
+const ENV_KEYS = ["CHATBOT_CONFIG", "DOCS_PATH", "VECTORSTORE_PATH", "RETRIEVAL_K", "EMBEDDING_PROVIDER", "EMBEDDING_MODEL", "CHECKPOINTER", "CHECKPOINT_PATH", "THREAD_TTL_HOURS"];
+
+/**
+ * Points CHATBOT_CONFIG at a temporary config file holding the settings, runs the test
+ * and restores the environment.
+ */
+function withConfigFile(settings, run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+    const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.CHATBOT_CONFIG = path.join(directory, "chatbot.config.json");
+    fs.writeFileSync(process.env.CHATBOT_CONFIG, JSON.stringify(settings));
+    refreshConfig();
+    try {
+        run(process.env.CHATBOT_CONFIG);
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        refreshConfig();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+const SETTINGS = {
+    docsPath: "./docs",
+    embeddings: { provider: "openai" },
+    retrieval: { k: 5 },
+    knowledgeBases: {
+        "customer-portal": { docsPath: "./docs/customer-portal", prompt: "You are the portal assistant.", retrieval: { k: 3 } },
+        partners: { embeddings: { provider: "ollama", model: "nomic-embed-text" } },
+    },
+};
+
+test("a knowledge base overlays its entry on the top-level settings", () => {
+    withConfigFile(SETTINGS, () => {
+        assert.deepEqual(listKnowledgeBases(), ["default", "customer-portal", "partners"]);
+
+        const portal = loadConfig("customer-portal");
+        assert.equal(portal.knowledgeBase, "customer-portal");
+        assert.equal(portal.docsPath, "./docs/customer-portal");
+        assert.equal(portal.vectorStorePath, "./vectorstore/customer-portal");
+        assert.equal(portal.prompt, "You are the portal assistant.");
+        assert.equal(portal.retrieval.k, 3);
+        assert.deepEqual(portal.embeddings, { provider: "openai" });
+
+        const partners = loadConfig("partners");
+        assert.equal(partners.docsPath, "./docs/partners");
+        assert.deepEqual(partners.embeddings, { provider: "ollama", model: "nomic-embed-text" });
+        assert.equal(loadConfig().retrieval.k, 5);
+    });
+});
+
+test("DOCS_PATH and VECTORSTORE_PATH only apply to the default knowledge base", () => {
+    withConfigFile(SETTINGS, () => {
+        process.env.DOCS_PATH = "/srv/docs";
+        process.env.VECTORSTORE_PATH = "/srv/store";
+        assert.equal(loadConfig().docsPath, "/srv/docs");
+        assert.equal(loadConfig().vectorStorePath, "/srv/store");
+        assert.equal(loadConfig("customer-portal").docsPath, "./docs/customer-portal");
+    });
+});
+
+test("loadConfig rejects unknown knowledge bases", () => {
+    withConfigFile(SETTINGS, () => {
+        assert.throws(() => loadConfig("missing"), /Unknown knowledge base "missing"/);
+        assert.throws(() => loadConfig("../docs"), /Unknown knowledge base/);
+    });
+});
+
+test("nestedDocsPaths returns the other knowledge bases' folders inside a knowledge base's own", () => {
+    withConfigFile(SETTINGS, () => {
+        assert.deepEqual(nestedDocsPaths(), [path.resolve("./docs/customer-portal"), path.resolve("./docs/partners")]);
+        assert.deepEqual(nestedDocsPaths("customer-portal"), []);
+    });
+});
+
+test("loadThreadConfig reads the threads section, overridden by the environment", () => {
+    withConfigFile({}, () => {
+        assert.deepEqual(loadThreadConfig(), { checkpointer: "memory", path: null, ttlHours: 168 });
+    });
+    withConfigFile({ threads: { checkpointer: "file", path: "/srv/threads", ttlHours: 24 } }, () => {
+        assert.deepEqual(loadThreadConfig(), { checkpointer: "file", path: "/srv/threads", ttlHours: 24 });
+
+        process.env.CHECKPOINTER = " SQLite ";
+        process.env.CHECKPOINT_PATH = "/srv/threads.sqlite";
+        process.env.THREAD_TTL_HOURS = "0";
+        assert.deepEqual(loadThreadConfig(), { checkpointer: "sqlite", path: "/srv/threads.sqlite", ttlHours: 0 });
+    });
+});
+
+test("the config file is read once until refreshConfig", () => {
+    withConfigFile(SETTINGS, (configPath) => {
+        assert.equal(loadConfig().retrieval.k, 5);
+        fs.writeFileSync(configPath, JSON.stringify({ ...SETTINGS, retrieval: { k: 8 } }));
+        assert.equal(loadConfig().retrieval.k, 5);
+        refreshConfig();
+        assert.equal(loadConfig().retrieval.k, 8);
+    });
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { DEFAULT_CHUNKING, extractSectionsFromMarkdown, listDocuments, loadDocument } from "../document-loaders.js";
+
+/**
+ * Creates a documents folder holding the files, runs the test and removes the folder.
+ */
+async function withDocuments(files, run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "docs-"));
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+            fs.writeFileSync(path.join(directory, file), content);
+        }
+        await run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test("extractSectionsFromMarkdown follows the headings and strips inline syntax", () => {
+    const sections = extractSectionsFromMarkdown("Intro with a [link](http://x).\n\n# Bookings\n\nOpen **Booking List**.\n\n## Cancel\n\nClick <b>Cancel</b>.");
+    assert.deepEqual(sections, [
+        { headings: [], blocks: ["Intro with a link."] },
+        { headings: ["Bookings"], blocks: ["Open Booking List."] },
+        { headings: ["Bookings", "Cancel"], blocks: ["Click Cancel."] },
+    ]);
+});
+
+test("extractSectionsFromMarkdown keeps fenced code as written", () => {
+    const code = "```js\nconst x = \"<b>keep</b>\";\n\n# not a heading\nlet y = a ** 2 ** b;\n```";
+    const sections = extractSectionsFromMarkdown(`# Example\nSee **this**:\n${code}\nAfter the code.`);
+    assert.deepEqual(sections, [{ headings: ["Example"], blocks: ["See this:", code, "After the code."] }]);
+});
+
+test("listDocuments walks subfolders, leaves out excluded ones and reports skipped files", async () => {
+    await withDocuments({
+        "a.md": "# A",
+        "billing/b.txt": "B",
+        "billing/~$b.docx": "",
+        "notes.xyz": "",
+        ".hidden/c.md": "# C",
+        "audiences.json": "{}",
+        "portal/d.md": "# D",
+    }, async (directory) => {
+        // portal/ is the documents folder of another knowledge base
+        const { files, skipped } = listDocuments(directory, [path.join(directory, "portal")]);
+        assert.deepEqual(files, ["a.md", "billing/b.txt"]);
+        assert.deepEqual(skipped, [
+            { file: "billing/~$b.docx", reason: "temporary Office file" },
+            { file: "notes.xyz", reason: "unsupported file type" },
+        ]);
+    });
+});
+
+test("loadDocument titles chunks with the title the document records", async () => {
+    await withDocuments({
+        "guide.md": "---\ntitle: \"Booking Guide\"\n---\n# Overview\nText.\n\n## Details\nMore text.",
+        "page.html": "<html><head><title>Page Title</title></head><body><h1>First heading</h1><p>Hello</p></body></html>",
+        "Plain Notes.txt": "First paragraph.\n\nSecond paragraph.",
+    }, async (directory) => {
+        const guide = await loadDocument(directory, "guide.md", DEFAULT_CHUNKING, ["public"]);
+        assert.deepEqual(guide.map(chunk => [chunk.metadata.title, chunk.metadata.section]), [["Booking Guide", "Overview"], ["Booking Guide", "Overview > Details"]]);
+        assert.equal(guide[0].metadata.type, "markdown");
+        assert.deepEqual(guide[0].metadata.audiences, ["public"]);
+
+        const [page] = await loadDocument(directory, "page.html", DEFAULT_CHUNKING);
+        assert.equal(page.metadata.title, "Page Title");
+        assert.deepEqual(page.metadata.audiences, ["internal"]);
+
+        const [notes] = await loadDocument(directory, "Plain Notes.txt", DEFAULT_CHUNKING);
+        assert.equal(notes.metadata.title, "Plain Notes");
+        assert.equal(notes.pageContent, "Plain Notes\n\nFirst paragraph.\n\nSecond paragraph.");
+    });
+});
+
+test("loadDocument chunks .docx articles by section", async () => {
+    const chunks = await loadDocument("./docs", "Cancel Booking.docx", DEFAULT_CHUNKING);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.equal(chunk.metadata.source, "Cancel Booking.docx");
+        assert.equal(chunk.metadata.type, "docx");
+        assert.ok(chunk.pageContent.startsWith(chunk.metadata.section));
+    }
+});
+
+test("loadDocument rejects unsupported and empty documents", async () => {
+    await withDocuments({ "empty.md": "", "data.csv": "a,b" }, async (directory) => {
+        await assert.rejects(loadDocument(directory, "data.csv", DEFAULT_CHUNKING), /Unsupported file type/);
+        await assert.rejects(loadDocument(directory, "empty.md", DEFAULT_CHUNKING), /No text could be extracted/);
+    });
+});
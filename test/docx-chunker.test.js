@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chunkSections, extractSectionsFromDocx, extractSectionsFromHtml } from "../docx-chunker.js";
+
+/**
+ * Extracts an article from the docs folder and chunks it, titled after its file name.
+ */
+async function chunkArticle(file, options) {
+    const { sections } = await extractSectionsFromDocx(`./docs/${file}`);
+    return chunkSections(sections, { source: file, title: file.replace(/\.docx$/i, ""), ...options });
+}
+
+test("extractSectionsFromDocx nests sections under their headings and drops the table of contents", async () => {
+    const { sections } = await extractSectionsFromDocx("./docs/Accommodation Details.docx");
+    const paths = sections.map(section => section.headings.join(" > "));
+
+    assert.equal(paths[0], "Accommodation Details");
+    assert.ok(paths.includes("Accommodation Details > Add Hotel > Basic Information"));
+    assert.ok(paths.includes("Accommodation Details > Summary"));
+    assert.ok(!paths.some(heading => /table of contents/i.test(heading)));
+});
+
+test("extractSectionsFromDocx keeps a list with the sentence introducing it", async () => {
+    const { sections } = await extractSectionsFromDocx("./docs/Cancel Booking.docx");
+    const howTo = sections.find(section => section.headings.at(-1) === "How to Cancel a Booking");
+    assert.match(howTo.blocks[0], /^- To cancel a booking, you have two options:\n - Option 1:/);
+});
+
+test("chunkSections prefixes each chunk with its heading path and tags its section", async () => {
+    const chunks = await chunkArticle("Cancel Booking.docx", { chunkSize: 1000, maxChunkSize: 2500 });
+    assert.equal(chunks.length, 6);
+    for (const chunk of chunks) {
+        assert.equal(chunk.metadata.source, "Cancel Booking.docx");
+        assert.equal(chunk.metadata.title, "Cancel Booking");
+        assert.equal(chunk.metadata.section, chunk.metadata.headings.join(" > "));
+        assert.ok(chunk.pageContent.startsWith(`${chunk.metadata.section}\n\n`));
+    }
+});
+
+test("chunkSections only splits blocks larger than maxChunkSize", async () => {
+    const chunks = await chunkArticle("Cancel Booking.docx", { chunkSize: 100, maxChunkSize: 300 });
+    const howTo = chunks.filter(chunk => chunk.metadata.section === "Cancel Booking > How to Cancel a Booking");
+    assert.deepEqual(howTo.map(chunk => chunk.metadata.chunk), [0, 1, 2, 3, 4, 5]);
+    // The overview paragraph is longer than chunkSize but below maxChunkSize, so it stays whole
+    const overview = chunks.filter(chunk => chunk.metadata.section === "Cancel Booking > Cancel Booking Overview");
+    assert.equal(overview.length, 1);
+});
+
+test("extractSectionsFromDocx rejects a file it cannot read", async () => {
+    await assert.rejects(extractSectionsFromDocx("./docs/missing.docx"), /ENOENT/);
+});
+
+test("extractSectionsFromDocx extracts the screenshots each section links to", async () => {
+    const { sections, images } = await extractSectionsFromDocx("./docs/Configuring Itinerary Templates.docx");
+    assert.equal(images.size, 18);
+    for (const [id] of images) assert.match(id, /^[0-9a-f]{16}\.png$/);
+
+    const deleting = sections.find(section => section.headings.at(-1) === "Deleting a Template");
+    assert.equal(deleting.images.length, 1);
+    assert.ok(images.has(deleting.images[0].id));
+});
+
+test("extractSectionsFromHtml links images to the block they follow, and gallery pictures by number", () => {
+    const sections = extractSectionsFromHtml([
+        "<h1>Guide</h1>",
+        '<p><img src="embedded-image:aaaaaaaaaaaaaaaa.png" alt="Menu" /></p>',
+        "<p>Open the menu.</p>",
+        '<p>Click Save. <img src="embedded-image:bbbbbbbbbbbbbbbb.png" /></p>',
+        "<p>Check the list (Screenshot 2).</p>",
+        "<h1>Related Images</h1>",
+        '<p><img src="embedded-image:cccccccccccccccc.png" /><img src="embedded-image:dddddddddddddddd.png" /></p>',
+        '<p><img src="https://example.com/logo.png" /></p>',
+    ].join(""));
+
+    assert.deepEqual(sections, [{
+        headings: ["Guide"],
+        blocks: ["Open the menu.", "Click Save.", "Check the list (Screenshot 2)."],
+        images: [
+            { id: "aaaaaaaaaaaaaaaa.png", alt: "Menu", block: 0 },
+            { id: "bbbbbbbbbbbbbbbb.png", block: 1 },
+            { id: "dddddddddddddddd.png", block: 2 },
+        ],
+    }]);
+});
+
+test("chunkSections lists the images of the blocks in each chunk", async () => {
+    const sections = [{
+        headings: ["Guide"],
+        blocks: ["Open the menu.", "Click Save."],
+        images: [{ id: "a.png", alt: "Menu", block: 0 }, { id: "b.png", block: 1 }, { id: "a.png", block: 1 }],
+    }];
+    const whole = await chunkSections(sections, { source: "Guide.docx", title: "Guide", chunkSize: 1000, maxChunkSize: 2500 });
+    assert.deepEqual(whole[0].metadata.images, [{ id: "a.png", alt: "Menu" }, { id: "b.png" }]);
+
+    const split = await chunkSections(sections, { source: "Guide.docx", title: "Guide", chunkSize: 10, maxChunkSize: 2500 });
+    assert.deepEqual(split.map(chunk => chunk.metadata.images), [[{ id: "a.png", alt: "Menu" }], [{ id: "b.png" }, { id: "a.png" }]]);
+});
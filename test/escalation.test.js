@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Escalations, parseHandoffReply } from "../escalation.js";
+import { TicketStore } from "../ticket-store.js";
+
+const WEBHOOK = { webhookUrl: "http://helpdesk.test/tickets", webhookSecret: "secret", maxAttempts: 3, retryDelaySeconds: 0.001, timeoutSeconds: 1 };
+const TICKET = { knowledgeBase: "default", contact: "jane@example.com", summary: "Invoices do not print", question: "How do I print an invoice?", language: "en", transcript: [], sources: [] };
+
+test("parseHandoffReply reads an email address and the description around it", () => {
+    assert.deepEqual(parseHandoffReply("Sure: jane.doe@acme.co.uk — invoices do not print"), { contact: "jane.doe@acme.co.uk", summary: "Sure invoices do not print" });
+    assert.deepEqual(parseHandoffReply("jane@example.com"), { contact: "jane@example.com", summary: null });
+});
+
+test("parseHandoffReply reads phone numbers of at least 7 digits", () => {
+    assert.deepEqual(parseHandoffReply("+44 20 7946 0958 please call me"), { contact: "+44 20 7946 0958", summary: "please call me" });
+    assert.equal(parseHandoffReply("call 123"), null);
+});
+
+test("parseHandoffReply tells refusals from new questions", () => {
+    assert.deepEqual(parseHandoffReply("No thanks!"), { declined: true });
+    assert.deepEqual(parseHandoffReply("never mind"), { declined: true });
+    assert.equal(parseHandoffReply("How do I cancel a booking?"), null);
+});
+
+test("Escalations retries failed deliveries until the webhook accepts the ticket", async () => {
+    const requests = [];
+    const statuses = [503, 429, 201];
+    const fetch = async (url, options) => {
+        requests.push(options);
+        return new Response(null, { status: statuses[requests.length - 1] });
+    };
+    const escalations = new Escalations({ ticketStore: new TicketStore(":memory:"), fetch });
+
+    const ticket = escalations.open(TICKET, WEBHOOK);
+    assert.equal(ticket.status, "pending");
+    await escalations.drain();
+
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0].headers["Idempotency-Key"], ticket.id);
+    assert.match(requests[0].headers["X-Signature-256"], /^sha256=[0-9a-f]{64}$/);
+    const status = escalations.status(ticket.id);
+    assert.equal(status.status, "delivered");
+    assert.equal(status.attempts, 3);
+    assert.equal(status.contact, undefined);
+});
+
+test("Escalations gives up on client errors and once the attempts run out", async () => {
+    const ticketStore = new TicketStore(":memory:");
+    const rejected = new Escalations({ ticketStore, fetch: async () => new Response(null, { status: 400 }) });
+    const failing = new Escalations({ ticketStore, fetch: async () => new Response(null, { status: 500 }) });
+    const errors = [];
+    const { error } = console;
+    console.error = (...args) => errors.push(args);
+    try {
+        const first = rejected.open(TICKET, WEBHOOK);
+        const second = failing.open(TICKET, WEBHOOK);
+        await Promise.all([rejected.drain(), failing.drain()]);
+
+        assert.deepEqual([rejected.status(first.id).status, rejected.status(first.id).attempts], ["failed", 1]);
+        assert.deepEqual([failing.status(second.id).status, failing.status(second.id).attempts], ["failed", 3]);
+        assert.equal(ticketStore.get(second.id).lastError, "Webhook answered 500.");
+        assert.equal(errors.length, 2);
+    } finally {
+        console.error = error;
+    }
+});
+
+test("Escalations resumes the deliveries left pending", async () => {
+    const ticketStore = new TicketStore(":memory:");
+    ticketStore.create({ ...TICKET, id: "left-pending" });
+    const escalations = new Escalations({ ticketStore, fetch: async () => new Response(null, { status: 200 }) });
+
+    assert.equal(escalations.resumePending(() => WEBHOOK), 1);
+    await escalations.drain();
+    assert.equal(escalations.status("left-pending").status, "delivered");
+    assert.equal(escalations.status("unknown"), null);
+});
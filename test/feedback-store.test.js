@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FeedbackStore } from "../feedback-store.js";
+
+const ANSWER = {
+    id: "a1",
+    knowledgeBase: "default",
+    threadId: "t1",
+    question: "How do I cancel a booking?",
+    answer: "Click Cancel [1].",
+    sources: [{ citation: 1, document: "Cancel Booking.docx" }],
+    notCovered: false,
+};
+
+test("FeedbackStore lists recorded answers with their feedback", () => {
+    const store = new FeedbackStore(":memory:");
+    store.recordAnswer(ANSWER);
+    store.recordAnswer({ ...ANSWER, id: "a2", knowledgeBase: "customer-portal", threadId: undefined, notCovered: true });
+
+    const [answer] = store.listAnswers({ knowledgeBase: "default" });
+    assert.deepEqual({ ...answer, createdAt: undefined }, { ...ANSWER, createdAt: undefined, rating: null, comment: null });
+    assert.equal(store.listAnswers().length, 2);
+    assert.equal(store.listAnswers({ knowledgeBase: "customer-portal" })[0].threadId, null);
+    assert.deepEqual(store.listAnswers({ since: new Date(Date.now() + 60_000).toISOString() }), []);
+});
+
+test("FeedbackStore records, then replaces, the feedback on an answer", () => {
+    const store = new FeedbackStore(":memory:");
+    store.recordAnswer(ANSWER);
+
+    const first = store.recordFeedback("a1", { rating: "down", comment: "  Outdated steps " });
+    assert.equal(first.replaced, false);
+    assert.equal(first.comment, "Outdated steps");
+    assert.equal(store.recordFeedback("a1", { rating: "up" }).replaced, true);
+
+    const [answer] = store.listAnswers();
+    assert.equal(answer.rating, "up");
+    assert.equal(answer.comment, null);
+});
+
+test("FeedbackStore rejects unknown ratings and answers", () => {
+    const store = new FeedbackStore(":memory:");
+    assert.throws(() => store.recordFeedback("a1", { rating: "meh" }), /Unsupported rating "meh"/);
+    assert.equal(store.recordFeedback("missing", { rating: "up" }), null);
+});
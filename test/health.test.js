@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as http from "http";
+import { checkChatModel } from "../providers.js";
+import { RAGChatbot } from "../rag-chatbot.js";
+import { ThreadMemorySaver } from "../checkpointer.js";
+
+/**
+ * Serves a model list endpoint answering with the given status, runs the test and stops the server.
+ * The test receives the base URL and the requests the server received.
+ */
+async function withModelEndpoint(status, run) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ data: [] }));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}/v1/`, requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test("checkChatModel reports an endpoint accepting the credentials as ready", async () => {
+    await withModelEndpoint(200, async (baseURL, requests) => {
+        assert.deepEqual(await checkChatModel({ apiKey: "key", baseURL, defaultQuery: { "api-version": "1" } }), { ready: true });
+        assert.deepEqual(requests, [{ url: "/v1/models?api-version=1", authorization: "Bearer key" }]);
+    });
+    // Endpoints without a model list are up as well
+    await withModelEndpoint(404, async (baseURL) => {
+        assert.deepEqual(await checkChatModel({ apiKey: "key", baseURL }), { ready: true });
+    });
+});
+
+test("checkChatModel reports rejected credentials and server errors", async () => {
+    for (const status of [401, 403]) {
+        await withModelEndpoint(status, async (baseURL) => {
+            assert.deepEqual(await checkChatModel({ apiKey: "wrong", baseURL }), {
+                ready: false,
+                error: `The model endpoint rejected the credentials (${status}).`,
+            });
+        });
+    }
+    await withModelEndpoint(502, async (baseURL) => {
+        assert.deepEqual(await checkChatModel({ apiKey: "key", baseURL }), { ready: false, error: "The model endpoint answered 502." });
+    });
+});
+
+test("checkChatModel reports an unreachable endpoint", async () => {
+    let baseURL;
+    await withModelEndpoint(200, async (url) => {
+        baseURL = url;
+    });
+    const { ready, error } = await checkChatModel({ apiKey: "key", baseURL });
+    assert.equal(ready, false);
+    assert.match(error, /^The model endpoint is unreachable: /);
+});
+
+test("RAGChatbot.health reports the model endpoint check, repeated at most once a minute", async () => {
+    await withModelEndpoint(401, async (baseURL, requests) => {
+        const llm = { model: "gpt-4o-mini", clientConfig: { apiKey: "wrong", baseURL } };
+        const vectorStore = { index: { ntotal: () => 3 } };
+        const chatbot = new RAGChatbot({ llm, vectorStore, checkpointer: new ThreadMemorySaver() });
+
+        const health = await chatbot.health();
+        assert.equal(health.ready, false);
+        assert.deepEqual(health.vectorStore, { ready: false, chunks: 3 });
+        assert.deepEqual(health.model, { ready: false, name: "gpt-4o-mini", error: "The model endpoint rejected the credentials (401)." });
+
+        await chatbot.health();
+        assert.equal(requests.length, 1);
+    });
+});
+
+test("RAGChatbot.health treats models without an endpoint as ready", async () => {
+    const chatbot = new RAGChatbot({ llm: { model: "offline" }, vectorStore: { index: { ntotal: () => 0 } }, checkpointer: new ThreadMemorySaver() });
+    const health = await chatbot.health();
+    assert.deepEqual(health.model, { ready: true, name: "offline" });
+    assert.equal(health.ready, false);
+});
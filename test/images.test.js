@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { collectScreenshots, formatScreenshotsForCli, imageId, referencedImageIds, resolveImagePath, writeImages } from "../images.js";
+
+test("imageId is a content hash with the extension of the image type", () => {
+    const png = Buffer.from("png bytes");
+    assert.match(imageId(png, "image/png"), /^[0-9a-f]{16}\.png$/);
+    assert.equal(imageId(png, "image/png"), imageId(Buffer.from("png bytes"), "image/png"));
+    assert.notEqual(imageId(png, "image/png"), imageId(Buffer.from("other bytes"), "image/png"));
+    assert.match(imageId(png, "image/jpeg"), /\.jpg$/);
+    assert.match(imageId(png, "image/svg+xml"), /\.svg$/);
+    assert.match(imageId(png, "image/x-emf"), /\.emf$/);
+    assert.match(imageId(png, "application"), /\.bin$/);
+});
+
+test("referencedImageIds collects the images linked to any chunk", () => {
+    const entries = [
+        ["1", { pageContent: "a", metadata: { images: [{ id: "a.png" }, { id: "b.png" }] } }],
+        ["2", { pageContent: "b", metadata: { images: [{ id: "a.png" }] } }],
+        ["3", { pageContent: "c", metadata: {} }],
+    ];
+    assert.deepEqual([...referencedImageIds(entries)], ["a.png", "b.png"]);
+});
+
+test("writeImages writes new images and carries the others over from the previous build", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    const previous = path.join(directory, "previous");
+    const next = path.join(directory, "next");
+    fs.mkdirSync(path.join(previous, "images"), { recursive: true });
+    fs.writeFileSync(path.join(previous, "images", "old.png"), "old");
+    fs.writeFileSync(path.join(previous, "images", "unused.png"), "unused");
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+        const written = writeImages(next, new Set(["new.png", "old.png", "lost.png"]), new Map([["new.png", Buffer.from("new")]]), previous);
+        assert.equal(written, 2);
+        assert.deepEqual(fs.readdirSync(path.join(next, "images")).sort(), ["new.png", "old.png"]);
+        assert.equal(fs.readFileSync(path.join(next, "images", "old.png"), "utf8"), "old");
+    } finally {
+        console.warn = warn;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("resolveImagePath only resolves well-formed ids of existing images", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    fs.mkdirSync(path.join(directory, "images"));
+    fs.writeFileSync(path.join(directory, "images", "0123456789abcdef.png"), "png");
+    try {
+        assert.equal(resolveImagePath(directory, "0123456789abcdef.png"), path.resolve(directory, "images", "0123456789abcdef.png"));
+        assert.equal(resolveImagePath(directory, "fedcba9876543210.png"), null);
+        assert.equal(resolveImagePath(directory, "../manifest.json"), null);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("collectScreenshots lists each image of the cited sources once, in citation order", () => {
+    const screenshots = collectScreenshots([
+        { citation: 1, document: "A.docx", section: "A > Steps", images: [{ id: "a.png", alt: "Menu" }, { id: "b.png" }] },
+        { citation: 2, document: "B.docx", section: null },
+        { citation: 3, document: "C.docx", section: null, images: [{ id: "a.png" }] },
+    ]);
+    assert.deepEqual(screenshots, [
+        { imageId: "a.png", alt: "Menu", citation: 1, document: "A.docx", section: "A > Steps" },
+        { imageId: "b.png", alt: null, citation: 1, document: "A.docx", section: "A > Steps" },
+    ]);
+    assert.equal(
+        formatScreenshotsForCli(screenshots, "db"),
+        `  [1] ${path.join("db", "images", "a.png")} — Menu\n  [1] ${path.join("db", "images", "b.png")}`
+    );
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { KeywordIndex, loadKeywordIndex, tokenize, writeKeywordIndex } from "../keyword-index.js";
+
+/**
+ * Builds a keyword index over chunks given as [id, text, metadata] triples.
+ */
+function indexOf(chunks) {
+    return KeywordIndex.fromDocuments(chunks.map(([id, pageContent, metadata = {}]) => [id, { pageContent, metadata }]));
+}
+
+test("tokenize lowercases, drops stop words and emits word pairs", () => {
+    assert.deepEqual(tokenize("How do I issue a Credit Note?"), ["issue", "credit", "note", "issue_credit", "credit_note"]);
+    assert.deepEqual(tokenize(""), []);
+    assert.deepEqual(tokenize(undefined), []);
+});
+
+test("tokenize stems plurals to their singular", () => {
+    assert.deepEqual(tokenize("bookings categories class"), ["booking", "category", "class", "booking_category", "category_class"]);
+});
+
+test("KeywordIndex ranks chunks by BM25, favouring rare terms", () => {
+    const index = indexOf([
+        ["common", "Open the booking list and select the booking."],
+        ["rare", "The ATOL certificate is attached to the booking."],
+        ["unrelated", "Change your password from the profile page."],
+    ]);
+
+    const results = index.search("ATOL booking", 5);
+    assert.deepEqual(results.map(({ id }) => id), ["rare", "common"]);
+    assert.ok(results[0].score > results[1].score);
+    assert.deepEqual(index.search("invoice", 5), []);
+    assert.equal(index.search("booking", 1).length, 1);
+});
+
+test("KeywordIndex boosts chunks whose title or file name holds the query terms", () => {
+    const index = indexOf([
+        ["body", "A credit note reverses part of an invoice.", { source: "Invoices.docx", title: "Invoices" }],
+        ["title", "Issue it from the booking.", { source: "Credit Note.docx", title: "Credit Note" }],
+    ]);
+
+    assert.deepEqual(index.search("credit note", 2).map(({ id }) => id), ["title", "body"]);
+    assert.deepEqual(index.search("credit note", 2, { titleBoost: 0 }).map(({ id }) => id), ["body"]);
+});
+
+test("writeKeywordIndex and loadKeywordIndex round-trip the index", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "keywords-"));
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+        assert.equal(loadKeywordIndex(directory), null);
+
+        const index = indexOf([["a", "Cancel a booking"], ["b", "Print an invoice"]]);
+        writeKeywordIndex(directory, index);
+        assert.deepEqual(loadKeywordIndex(directory).search("invoice", 5), index.search("invoice", 5));
+    } finally {
+        console.warn = warn;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
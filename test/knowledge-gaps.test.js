@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildKnowledgeGapReport } from "../knowledge-gaps.js";
+
+/**
+ * A recorded answer as returned by FeedbackStore.listAnswers.
+ */
+function answer(question, { notCovered = false, rating = null, comment = null, sources = [], createdAt = "2026-10-01T00:00:00.000Z" } = {}) {
+    return { question, notCovered, rating, comment, sources, createdAt };
+}
+
+test("buildKnowledgeGapReport clusters similar unanswered and down-voted questions", () => {
+    const report = buildKnowledgeGapReport([
+        answer("How do I issue a credit note?", { notCovered: true }),
+        answer("Issue credit note for a refund", { notCovered: true, createdAt: "2026-10-02T00:00:00.000Z" }),
+        answer("How do I print an invoice?", { rating: "down", comment: "Steps are outdated", sources: [{ document: "Invoices.docx" }, { document: "Invoices.docx" }] }),
+        answer("How do I cancel a booking?", { rating: "up" }),
+    ]);
+
+    assert.deepEqual(report.totals, { answers: 4, notCovered: 2, upVoted: 1, downVoted: 1 });
+    assert.equal(report.clusters.length, 2);
+
+    const [creditNotes, invoices] = report.clusters;
+    assert.equal(creditNotes.action, "add");
+    assert.equal(creditNotes.count, 2);
+    assert.equal(creditNotes.notCovered, 2);
+    assert.match(creditNotes.topic, /credit/);
+    assert.equal(creditNotes.lastAskedAt, "2026-10-02T00:00:00.000Z");
+
+    assert.equal(invoices.action, "fix");
+    assert.deepEqual(invoices.questions, ["How do I print an invoice?"]);
+    assert.deepEqual(invoices.comments, ["Steps are outdated"]);
+    // A document cited twice by one answer counts once
+    assert.deepEqual(invoices.documents, [{ document: "Invoices.docx", count: 1 }]);
+});
+
+test("buildKnowledgeGapReport reports no clusters when every answer was fine", () => {
+    const report = buildKnowledgeGapReport([answer("How do I cancel a booking?", { rating: "up" })]);
+    assert.deepEqual(report.clusters, []);
+});
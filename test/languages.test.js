@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage } from "@langchain/core/messages";
+import { answerLanguageGuideline, isLikelyEnglish, resolveLanguage, translateQuery, translateText } from "../languages.js";
+
+/**
+ * A chat model that always replies with the same text.
+ */
+function replying(text) {
+    return { invoke: async () => new AIMessage(text) };
+}
+
+test("resolveLanguage canonicalizes known language codes", () => {
+    assert.deepEqual(resolveLanguage("de"), { code: "de", name: "German" });
+    assert.deepEqual(resolveLanguage(" pt-br "), { code: "pt-BR", name: "Brazilian Portuguese" });
+    assert.throws(() => resolveLanguage("xx-invalid-code"), /Unknown language/);
+    assert.throws(() => resolveLanguage("zz"), /Unknown language/);
+});
+
+test("isLikelyEnglish tells English questions from others", () => {
+    for (const question of ["How do I cancel a booking?", "Booking List", "credit note"]) {
+        assert.equal(isLikelyEnglish(question), true, question);
+    }
+    for (const question of ["Wie storniere ich eine Buchung?", "¿Cómo cancelo una reserva?", "Comment annuler une réservation ?"]) {
+        assert.equal(isLikelyEnglish(question), false, question);
+    }
+});
+
+test("translateQuery reads the detected language and the English query", async () => {
+    const result = await translateQuery(replying("de\nEnglish query: \"How do I cancel a booking?\""), "Wie storniere ich eine Buchung?");
+    assert.deepEqual(result, { language: "de", query: "How do I cancel a booking?" });
+});
+
+test("translateQuery falls back to English and the question itself", async () => {
+    const question = "Wie storniere ich eine Buchung?";
+    assert.deepEqual(await translateQuery(replying("I am not sure."), question), { language: "en", query: question });
+});
+
+test("translateText returns the translation, or the text when the reply is empty", async () => {
+    assert.equal(await translateText(replying("Translation: Hallo"), "Hello", "de"), "Hallo");
+    assert.equal(await translateText(replying(""), "Hello", "de"), "Hello");
+});
+
+test("answerLanguageGuideline only applies to other languages than English", () => {
+    assert.equal(answerLanguageGuideline("en"), "");
+    assert.match(answerLanguageGuideline("de"), /Write your answer in German/);
+});
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createOpenAIRouter } from "../openai-api.js";
+
+const LIMITS = { maxQuestionLength: 100, maxThreadTurns: 2 };
+
+/**
+ * A stand-in chatbot streaming an answer that repeats the question, and recording its calls.
+ */
+function fakeChatbot() {
+    return {
+        calls: [],
+        deleted: [],
+        resolveAudiences(audience) {
+            if (audience && audience !== "internal") throw new Error(`Audience "${audience}" is not available.`);
+            return null;
+        },
+        async *streamAnswer(question, threadId, signal, audiences, options) {
+            this.calls.push({ question, threadId, options });
+            yield { event: "token", data: { text: "You asked: " } };
+            yield { event: "token", data: { text: question } };
+            yield { event: "done", data: { answer: `You asked: ${question}`, sources: [{ citation: 1, document: "Guide.docx" }], usage: { promptTokens: 12, completionTokens: 3 } } };
+        },
+        async deleteThread(threadId) {
+            this.deleted.push(threadId);
+        },
+    };
+}
+
+/**
+ * Serves the OpenAI-compatible API of one "default" knowledge base, runs the test and stops the server.
+ */
+async function withOpenAIApi(chatbot, run) {
+    const knowledgeBases = {
+        has: (name) => name === "default",
+        get: async () => chatbot,
+        list: () => [{ name: "default", loaded: true }],
+    };
+    const charged = [];
+    const chargeQuota = (req, res, next) => {
+        charged.push(req.body.messages.at(-1).content);
+        next();
+    };
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createOpenAIRouter(knowledgeBases, LIMITS, chargeQuota));
+    const server = app.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    const complete = (body) => fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ model: "default", ...body }),
+    });
+
+    const { log } = console;
+    console.log = () => {};
+    try {
+        await run({ baseUrl, complete, charged });
+    } finally {
+        console.log = log;
+        server.close();
+    }
+}
+
+test("every knowledge base is listed as a model", async () => {
+    await withOpenAIApi(fakeChatbot(), async ({ baseUrl }) => {
+        const models = await (await fetch(`${baseUrl}/models`)).json();
+        assert.equal(models.object, "list");
+        assert.deepEqual(models.data.map(({ id, object }) => [id, object]), [["default", "model"]]);
+        assert.equal((await (await fetch(`${baseUrl}/models/default`)).json()).id, "default");
+
+        const missing = await fetch(`${baseUrl}/models/portal`);
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error.code, "model_not_found");
+    });
+});
+
+test("a completion answers the last user message with the earlier turns as history", async () => {
+    const chatbot = fakeChatbot();
+    await withOpenAIApi(chatbot, async ({ complete }) => {
+        const response = await complete({
+            messages: [
+                { role: "system", content: "Be brief." },
+                { role: "user", content: "How do I cancel a booking?" },
+                { role: "assistant", content: "Click Cancel booking [1]." },
+                { role: "user", content: [{ type: "text", text: "And refund it?" }] },
+            ],
+        });
+        const completion = await response.json();
+
+        assert.equal(completion.object, "chat.completion");
+        assert.equal(completion.model, "default");
+        assert.deepEqual(completion.choices[0].message, { role: "assistant", content: "You asked: And refund it?", refusal: null });
+        assert.deepEqual(completion.usage, { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+        assert.deepEqual(completion.sources, [{ citation: 1, document: "Guide.docx" }]);
+
+        const [{ question, threadId, options }] = chatbot.calls;
+        assert.equal(question, "And refund it?");
+        assert.deepEqual(options, {
+            history: [{ role: "user", content: "How do I cancel a booking?" }, { role: "assistant", content: "Click Cancel booking [1]." }],
+            handoff: false,
+        });
+        // Each completion runs in a thread of its own, deleted once answered
+        assert.match(threadId, /^openai-/);
+        assert.deepEqual(chatbot.deleted, [threadId]);
+    });
+});
+
+test("a streamed completion sends chunks, then the sources, the usage and [DONE]", async () => {
+    await withOpenAIApi(fakeChatbot(), async ({ complete }) => {
+        const response = await complete({ messages: [{ role: "user", content: "Hello?" }], stream: true, stream_options: { include_usage: true } });
+        assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+        const events = (await response.text()).trim().split("\n\n").map(event => event.replace(/^data: /, ""));
+        assert.equal(events.pop(), "[DONE]");
+        const chunks = events.map(event => JSON.parse(event));
+        assert.deepEqual(chunks.map(chunk => chunk.choices[0]?.delta), [{ role: "assistant", content: "" }, { content: "You asked: " }, { content: "Hello?" }, {}, undefined]);
+        assert.equal(chunks[3].choices[0].finish_reason, "stop");
+        assert.deepEqual(chunks[3].sources, [{ citation: 1, document: "Guide.docx" }]);
+        assert.equal(chunks[3].usage, null);
+        assert.deepEqual(chunks[4].usage, { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    });
+});
+
+test("invalid completion requests are rejected in the OpenAI format before they are charged", async () => {
+    await withOpenAIApi(fakeChatbot(), async ({ complete, charged }) => {
+        const rejected = [
+            [{ model: "portal", messages: [{ role: "user", content: "Hello?" }] }, 404],
+            [{ messages: [] }, 400],
+            [{ messages: [{ role: "robot", content: "Hello?" }] }, 400],
+            [{ messages: [{ role: "user", content: "Hello?" }, { role: "assistant", content: "Hi!" }] }, 400],
+            [{ messages: [{ role: "user", content: "x".repeat(101) }] }, 400],
+            [{ messages: [{ role: "user", content: "1" }, { role: "user", content: "2" }, { role: "user", content: "3" }] }, 400],
+            [{ messages: [{ role: "user", content: "Hello?" }], n: 2 }, 400],
+            [{ messages: [{ role: "user", content: "Hello?" }], audience: "customer" }, 403],
+        ];
+        for (const [body, status] of rejected) {
+            const response = await complete(body);
+            assert.equal(response.status, status, JSON.stringify(body));
+            assert.equal(typeof (await response.json()).error.message, "string");
+        }
+        assert.deepEqual(charged, []);
+
+        assert.equal((await complete({ messages: [{ role: "user", content: "Hello?" }] })).status, 200);
+        assert.deepEqual(charged, ["Hello?"]);
+    });
+});
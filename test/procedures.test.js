@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage } from "@langchain/core/messages";
+import { extractProcedure, formatProcedureForCli, isHowToQuestion } from "../procedures.js";
+
+/**
+ * A chat model that always replies with the same text.
+ */
+function replying(text) {
+    return { invoke: async () => new AIMessage(text) };
+}
+
+const ANSWER = {
+    question: "How do I cancel a booking?",
+    text: "Open Bookings > Booking List [1]\nClick Cancel booking [2]",
+    context: "[1] Source: Cancel Booking.docx",
+    sources: [
+        { citation: 1, document: "Cancel Booking.docx" },
+        { citation: 2, document: "Booking Actions.docx" },
+        { citation: 3, document: "Booking Actions.docx" },
+    ],
+};
+
+test("isHowToQuestion recognizes how-to questions", () => {
+    for (const question of ["How do I cancel a booking?", "ok, how can I add a user", "Steps to set up Kanban", "Walk me through refunds"]) {
+        assert.equal(isHowToQuestion(question), true, question);
+    }
+    for (const question of ["What is a booking status?", "Booking List", "Why was my booking cancelled?"]) {
+        assert.equal(isHowToQuestion(question), false, question);
+    }
+});
+
+test("extractProcedure numbers the steps and names the article cited most", async () => {
+    const reply = "```json\n" + JSON.stringify({
+        title: "Cancel a booking",
+        steps: [{ instruction: "Open the booking list", navigation: "Bookings > Booking List" }, "Click Cancel booking"],
+        navigation: ["Bookings > Booking List"],
+    }) + "\n```";
+
+    const procedure = await extractProcedure(replying(reply), ANSWER);
+    assert.deepEqual(procedure, {
+        title: "Cancel a booking",
+        prerequisites: [],
+        steps: [
+            { number: 1, instruction: "Open the booking list", navigation: "Bookings > Booking List" },
+            { number: 2, instruction: "Click Cancel booking", navigation: null },
+        ],
+        navigation: ["Bookings > Booking List"],
+        source: { document: "Booking Actions.docx", citation: 2 },
+    });
+});
+
+test("extractProcedure returns null when the answer holds no procedure", async () => {
+    assert.equal(await extractProcedure(replying('{"steps": []}'), ANSWER), null);
+    assert.equal(await extractProcedure(replying("Sorry, I cannot help."), ANSWER), null);
+
+    const { error } = console;
+    console.error = () => {};
+    try {
+        assert.equal(await extractProcedure(replying('{"steps": [{"instruction": ""}]}'), ANSWER), null);
+    } finally {
+        console.error = error;
+    }
+});
+
+test("formatProcedureForCli lists the steps with their navigation", () => {
+    const text = formatProcedureForCli({
+        title: "Cancel a booking",
+        prerequisites: ["A confirmed booking"],
+        steps: [{ number: 1, instruction: "Open the booking list", navigation: "Bookings > Booking List" }],
+        navigation: [],
+    });
+    assert.equal(text, " Cancel a booking\n\n Before you start:\n  - A confirmed booking\n\n  1. Open the booking list (Bookings > Booking List)");
+});
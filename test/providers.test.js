@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NormalizedEmbeddings } from "../providers.js";
+
+test("NormalizedEmbeddings scales every vector to unit length", async () => {
+    const embeddings = new NormalizedEmbeddings({
+        embedQuery: async () => [3, 4],
+        embedDocuments: async (texts) => texts.map(() => [0, 2]),
+    });
+    assert.deepEqual(await embeddings.embedQuery("question"), [0.6, 0.8]);
+    assert.deepEqual(await embeddings.embedDocuments(["a", "b"]), [[0, 1], [0, 1]]);
+    assert.deepEqual(await new NormalizedEmbeddings({ embedQuery: async () => [0, 0] }).embedQuery("empty"), [0, 0]);
+});
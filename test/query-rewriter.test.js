@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+import { recentTurns, rewriteQuery } from "../query-rewriter.js";
+
+/**
+ * A stand-in chat model replying with a fixed text and recording its prompts.
+ */
+function fakeLlm(reply) {
+    return {
+        prompts: [],
+        async invoke(messages) {
+            this.prompts.push(messages.map(message => message.content).join("\n"));
+            return new AIMessage(reply);
+        },
+    };
+}
+
+const HISTORY = [
+    new HumanMessage("How do I create a booking?"),
+    new AIMessage({ content: "", tool_calls: [{ name: "retrieve_document_context", args: { query: "create a booking" }, id: "call-1", type: "tool_call" }] }),
+    new ToolMessage({ content: "[1] Source: New Booking.docx", tool_call_id: "call-1" }),
+    new AIMessage("Open New Booking and fill in the form [1]."),
+];
+
+test("recentTurns pairs each question with the answer shown to the user", () => {
+    const messages = [...HISTORY, new HumanMessage("What about invoices?"), new AIMessage("Print them from the booking.")];
+    assert.deepEqual(recentTurns(messages, 5), [
+        { question: "How do I create a booking?", answer: "Open New Booking and fill in the form [1]." },
+        { question: "What about invoices?", answer: "Print them from the booking." },
+    ]);
+    assert.deepEqual(recentTurns(messages, 1).map(turn => turn.question), ["What about invoices?"]);
+    assert.deepEqual(recentTurns(messages, 0), []);
+});
+
+test("rewriteQuery returns the first question of a thread without a model call", async () => {
+    const llm = fakeLlm("unused");
+    assert.equal(await rewriteQuery(llm, [new HumanMessage("How do I create a booking?")], 3), "How do I create a booking?");
+    assert.deepEqual(llm.prompts, []);
+});
+
+test("rewriteQuery rewrites a follow-up using the recent turns", async () => {
+    const llm = fakeLlm("Standalone query: \"How do I cancel a booking?\"\n");
+    const query = await rewriteQuery(llm, [...HISTORY, new HumanMessage("And how do I cancel it?")], 3);
+
+    assert.equal(query, "How do I cancel a booking?");
+    assert.match(llm.prompts[0], /User: How do I create a booking\?\nAssistant: Open New Booking and fill in the form \[1\]\./);
+    assert.match(llm.prompts[0], /Latest question: And how do I cancel it\?/);
+    assert.doesNotMatch(llm.prompts[0], /Source: New Booking\.docx/);
+});
+
+test("rewriteQuery keeps the question when the model returns nothing", async () => {
+    assert.equal(await rewriteQuery(fakeLlm("  \n"), [...HISTORY, new HumanMessage("And cancel it?")], 3), "And cancel it?");
+    // Without history turns, follow-ups are searched as asked
+    const llm = fakeLlm("unused");
+    assert.equal(await rewriteQuery(llm, [...HISTORY, new HumanMessage("And cancel it?")], 0), "And cancel it?");
+    assert.deepEqual(llm.prompts, []);
+});
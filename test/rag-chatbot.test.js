@@ -0,0 +1,248 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage, ToolMessage } from "@langchain/core/messages";
+import { RAGChatbot } from "../rag-chatbot.js";
+import { ThreadMemorySaver } from "../checkpointer.js";
+import { AnswerCache } from "../answer-cache.js";
+import { Escalations } from "../escalation.js";
+import { TicketStore } from "../ticket-store.js";
+import { FeedbackStore } from "../feedback-store.js";
+
+const CANCEL = { pageContent: "Cancel Booking > Steps\n\nClick Cancel booking.", metadata: { source: "Cancel Booking.docx", title: "Cancel Booking", section: "Cancel Booking > Steps" } };
+const INVOICE = { pageContent: "Print the invoice from the booking.", metadata: { source: "Invoices.docx", title: "Invoices" } };
+
+/**
+ * An in-memory stand-in for a FaissStore holding one chunk per axis.
+ */
+function fakeStore() {
+    const docs = new Map([["c1", CANCEL], ["i1", INVOICE]]);
+    const vectors = [[1, 0], [0, 1]];
+    return {
+        embeddings: { embedQuery: async (query) => (/invoice/i.test(query) ? [0, 1] : [1, 0]) },
+        index: {
+            ntotal: () => vectors.length,
+            search: (vector, k) => {
+                const ranked = vectors
+                    .map((stored, label) => ({ label, distance: stored.reduce((sum, x, i) => sum + (x - vector[i]) ** 2, 0) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, k);
+                return { labels: ranked.map(entry => entry.label), distances: ranked.map(entry => entry.distance) };
+            },
+        },
+        getMapping: () => ({ 0: "c1", 1: "i1" }),
+        getDocstore: () => ({ _docs: docs, search: (id) => docs.get(id) }),
+    };
+}
+
+/**
+ * A chat model replying with the given messages in turn, recording what it was sent.
+ */
+function fakeModel(replies) {
+    const calls = [];
+    const invoke = async (messages) => {
+        calls.push(messages);
+        return replies.shift();
+    };
+    return { model: "fake-model", calls, invoke, bindTools: () => ({ invoke }) };
+}
+
+/**
+ * Builds an initialized agent chatbot on the fake store and model.
+ */
+async function createChatbot(llm, options = {}) {
+    const chatbot = new RAGChatbot({
+        llm,
+        vectorStore: fakeStore(),
+        checkpointer: new ThreadMemorySaver(),
+        retrieval: { k: 1, fetchK: 1, keywordWeight: 0, minScore: 0.25, mmr: false },
+        queryRewriting: { enabled: false },
+        ...options,
+    });
+    await chatbot.init();
+    return chatbot;
+}
+
+test("the agent runs parallel tool calls with distinct citation numbers", async () => {
+    const llm = fakeModel([
+        new AIMessage({
+            content: "",
+            tool_calls: [
+                { name: "retrieve_document_context", args: { query: "Click Cancel" }, id: "call-1", type: "tool_call" },
+                { name: "retrieve_document_context", args: { query: "Print the invoice" }, id: "call-2", type: "tool_call" },
+                { name: "delete_booking", args: {}, id: "call-3", type: "tool_call" },
+            ],
+        }),
+        new AIMessage("Cancel it [1], then print the invoice [2]."),
+    ]);
+    const chatbot = await createChatbot(llm);
+
+    const result = await chatbot.getAnswer("How do I cancel and invoice a booking?", "parallel");
+    assert.equal(result.answer, "Cancel it [1], then print the invoice [2].");
+    assert.deepEqual(result.sources.map(({ citation, document }) => [citation, document]), [[1, "Cancel Booking.docx"], [2, "Invoices.docx"]]);
+
+    // The answering call sees every tool result, in the order the tools were called
+    const toolMessages = llm.calls[1].filter(message => message instanceof ToolMessage);
+    assert.deepEqual(toolMessages.map(message => message.tool_call_id), ["call-1", "call-2", "call-3"]);
+    assert.equal(toolMessages[2].status, "error");
+    assert.equal(toolMessages[2].content, "Unknown tool \"delete_booking\".");
+});
+
+test("the agent answers from a whole article fetched by title", async () => {
+    const llm = fakeModel([
+        new AIMessage({ content: "", tool_calls: [{ name: "get_article", args: { title: "invoices" }, id: "call-1", type: "tool_call" }] }),
+        new AIMessage("Print it from the booking [1]."),
+    ]);
+    const chatbot = await createChatbot(llm);
+
+    const result = await chatbot.getAnswer("What does the invoices article say?", "article");
+    assert.deepEqual(result.sources.map(({ citation, chunkId, match }) => [citation, chunkId, match]), [[1, "i1", "article"]]);
+    assert.equal(result.notCovered, false);
+});
+
+test("the procedure format adds the steps of a covered how-to answer", async () => {
+    const retrieve = new AIMessage({ content: "", tool_calls: [{ name: "retrieve_document_context", args: { query: "cancel a booking" }, id: "call-1", type: "tool_call" }] });
+    const steps = JSON.stringify({ title: "Cancel a booking", steps: ["Open the booking", "Click Cancel booking"] });
+    const llm = fakeModel([retrieve, new AIMessage("Open the booking and click Cancel booking [1]."), new AIMessage(steps)]);
+    const chatbot = await createChatbot(llm);
+
+    const { procedure } = await chatbot.getAnswer("How do I cancel a booking?", "steps", undefined, { format: "procedure" });
+    assert.deepEqual(procedure.steps.map(step => step.instruction), ["Open the booking", "Click Cancel booking"]);
+    assert.deepEqual(procedure.source, { document: "Cancel Booking.docx", citation: 1 });
+
+    // Plain text answers never cost the extra model call
+    const textModel = fakeModel([retrieve, new AIMessage("Click Cancel booking [1].")]);
+    const text = await createChatbot(textModel);
+    assert.equal((await text.getAnswer("How do I cancel a booking?", "text")).procedure, null);
+    assert.equal(textModel.calls.length, 2);
+    await assert.rejects(async () => {
+        for await (const event of chatbot.streamAnswer("How do I cancel a booking?", "steps", undefined, undefined, { format: "html" })) assert.fail(event);
+    }, /Unsupported format "html"/);
+});
+
+test("first questions are answered from the answer cache, follow-ups never are", async () => {
+    const retrieve = new AIMessage({ content: "", tool_calls: [{ name: "retrieve_document_context", args: { query: "cancel" }, id: "call-1", type: "tool_call" }] });
+    const llm = fakeModel([retrieve, new AIMessage("Click Cancel booking [1]."), retrieve, new AIMessage("Yes, from the booking [1].")]);
+    const answerCache = new AnswerCache(":memory:");
+    const chatbot = await createChatbot(llm, { answerCache, answerCaching: { enabled: true, similarityThreshold: 0.9, ttlSeconds: 60 } });
+
+    const first = await chatbot.getAnswer("How do I cancel a booking?", "first");
+    assert.equal(first.cached, false);
+    const again = await chatbot.getAnswer("How do I cancel a booking?", "second");
+    assert.equal(again.cached, true);
+    assert.equal(again.answer, "Click Cancel booking [1].");
+    assert.deepEqual(again.sources, first.sources);
+    assert.equal(llm.calls.length, 2);
+
+    // The cached turn is part of the thread, and its follow-up runs the graph
+    assert.deepEqual((await chatbot.getThreadMessages("second")).map(message => message.role), ["user", "assistant"]);
+    const followUp = await chatbot.getAnswer("How do I cancel a booking?", "second");
+    assert.equal(followUp.cached, false);
+    assert.equal(followUp.answer, "Yes, from the booking [1].");
+
+    // Another build of the store drops the cached answers
+    const key = { knowledgeBase: "default", storeVersion: "", scope: "text:en:*", embedding: [1, 0] };
+    assert.ok(answerCache.lookup(key, 0.9));
+    chatbot.storeVersion = "rebuilt";
+    chatbot._invalidateAnswerCache();
+    assert.equal(answerCache.lookup(key, 0.9), null);
+});
+
+test("questions in other languages are searched in English and answered in their language", async () => {
+    const llm = fakeModel([
+        new AIMessage("de\nEnglish query: \"How do I cancel a booking?\""),
+        new AIMessage({ content: "", tool_calls: [{ name: "retrieve_document_context", args: { query: "How do I cancel a booking?" }, id: "call-1", type: "tool_call" }] }),
+        new AIMessage("Klicken Sie auf Cancel booking [1]."),
+    ]);
+    const chatbot = await createChatbot(llm);
+
+    const result = await chatbot.getAnswer("Wie storniere ich eine Buchung?", "german");
+    assert.equal(result.language, "de");
+    assert.equal(result.rewrittenQuery, "How do I cancel a booking?");
+    assert.equal(result.answer, "Klicken Sie auf Cancel booking [1].");
+    assert.match(llm.calls[1][0].content, /Write your answer in German/);
+
+    // A requested language overrides the question's
+    const english = fakeModel([new AIMessage({ content: "", tool_calls: [] })]);
+    const answered = await (await createChatbot(english)).getAnswer("How do I cancel a booking?", "french", undefined, { language: "fr" });
+    assert.equal(answered.language, "fr");
+    assert.match(english.calls[0][0].content, /Write your answer in French/);
+});
+
+/**
+ * Ticket delivery to a stand-in webhook accepting every ticket.
+ */
+function fakeEscalations() {
+    const delivered = [];
+    const fetch = async (url, { body }) => {
+        delivered.push(JSON.parse(body));
+        return new Response(null, { status: 201 });
+    };
+    const escalations = new Escalations({ ticketStore: new TicketStore(":memory:"), fetch });
+    return { escalations, delivered, escalation: { webhookUrl: "http://helpdesk.test/tickets", maxAttempts: 1, retryDelaySeconds: 0.001, timeoutSeconds: 1 } };
+}
+
+test("answers the model flags as not available offer a handoff, and a reply with a contact opens a ticket", async () => {
+    const retrieve = new AIMessage({ content: "", tool_calls: [{ name: "retrieve_document_context", args: { query: "Click Cancel" }, id: "call-1", type: "tool_call" }] });
+    const llm = fakeModel([retrieve, new AIMessage("[NOT_AVAILABLE] The documents do not say how to refund a cancellation.")]);
+    const { escalations, delivered, escalation } = fakeEscalations();
+    const chatbot = await createChatbot(llm, { escalations, escalation });
+
+    const tokens = [];
+    let done;
+    for await (const { event, data } of chatbot.streamAnswer("How do I refund a cancelled booking?", "refund")) {
+        if (event === "token") tokens.push(data.text);
+        if (event === "done") done = data;
+    }
+    assert.equal(done.handoffOffered, true);
+    assert.ok(!tokens.join("").includes("[NOT_AVAILABLE]"));
+    assert.match(done.answer, /^The documents do not say how to refund a cancellation\.\n\n/);
+
+    const reply = await chatbot.getAnswer("jane@example.com refunds are missing", "refund");
+    assert.equal(reply.handoff.status, "pending");
+    await escalations.drain();
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].ticket.question, "How do I refund a cancelled booking?");
+    assert.equal(delivered[0].ticket.contact, "jane@example.com");
+    assert.equal(escalations.status(reply.handoff.ticketId).status, "delivered");
+});
+
+test("handoff: false answers without offering a handoff, and the answer is recorded as a knowledge gap", async () => {
+    const llm = fakeModel([new AIMessage("[NOT_AVAILABLE] Not in the documents.")]);
+    const { escalations, escalation } = fakeEscalations();
+    const feedbackStore = new FeedbackStore(":memory:");
+    const chatbot = await createChatbot(llm, { escalations, escalation, feedbackStore });
+
+    let done;
+    for await (const { event, data } of chatbot.streamAnswer("How do I refund a cancelled booking?", "no-offer", undefined, undefined, { handoff: false })) {
+        if (event === "done") done = data;
+    }
+    assert.equal(done.handoffOffered, false);
+    assert.equal(done.answer, "Not in the documents.");
+    assert.deepEqual(feedbackStore.listAnswers().map(({ answer, notCovered }) => [answer, notCovered]), [["Not in the documents.", true]]);
+});
+
+test("history passed by the client is written into the thread before the question is answered", async () => {
+    const llm = fakeModel([new AIMessage({ content: "", tool_calls: [] })]);
+    const chatbot = await createChatbot(llm);
+    const history = [{ role: "user", content: "How do I cancel a booking?" }, { role: "assistant", content: "Click Cancel booking." }];
+
+    let done;
+    for await (const { event, data } of chatbot.streamAnswer("And refund it?", "client-history", undefined, undefined, { history })) {
+        if (event === "done") done = data;
+    }
+    assert.deepEqual(done.usage, { promptTokens: 0, completionTokens: 0 });
+    assert.deepEqual(llm.calls[0].slice(1).map(message => message.content), ["How do I cancel a booking?", "Click Cancel booking.", "And refund it?"]);
+});
+
+test("questions without a thread id never share a conversation", async () => {
+    const llm = fakeModel([new AIMessage("Click Cancel booking."), new AIMessage("Print it from the booking.")]);
+    const chatbot = await createChatbot(llm, { queryRewriting: { enabled: true, historyTurns: 3 } });
+
+    await chatbot.getAnswer("How do I cancel a booking?");
+    const second = await chatbot.getAnswer("And print the invoice?");
+    // Without an earlier turn there is nothing to rewrite the second question against
+    assert.equal(second.rewrittenQuery, null);
+    assert.equal(llm.calls.length, 2);
+    assert.deepEqual(llm.calls[1].slice(1).map(message => message.content), ["And print the invoice?"]);
+    assert.equal((await chatbot.listThreads()).length, 2);
+});
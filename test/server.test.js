@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createApp } from "../server.js";
+
+const API_KEY = "client-secret";
+
+/**
+ * A stand-in chatbot answering every question with its own text and keeping the
+ * questions asked in each thread.
+ */
+function fakeChatbot() {
+    const threads = new Map();
+    return {
+        knowledgeBase: "default",
+        questions: [],
+        resolveAudiences(audience) {
+            if (audience && audience !== "internal") throw new Error(`Audience "${audience}" is not available.`);
+            return null;
+        },
+        async getThreadMessages(threadId) {
+            return threads.get(threadId)?.map(content => ({ role: "user", content })) ?? null;
+        },
+        async getAnswer(question, threadId) {
+            this.questions.push({ question, threadId });
+            if (threadId) threads.set(threadId, [...(threads.get(threadId) ?? []), question]);
+            return { answerId: `answer-${this.questions.length}`, answer: `You asked: ${question}`, sources: [], notCovered: false, screenshots: [] };
+        },
+        async *streamAnswer(question, threadId) {
+            const { answer, sources } = await this.getAnswer(question, threadId);
+            yield { event: "done", data: { answer, sources, screenshots: [], usage: { promptTokens: 0, completionTokens: 0 } } };
+        },
+        async deleteThread() {},
+    };
+}
+
+/**
+ * Serves the chatbot with API keys and the given request limits, runs the test and stops the server.
+ */
+async function withServer(chatbot, { dailyQuota = 100, limits = {} } = {}, run) {
+    const knowledgeBases = {
+        has: (name) => name === "default",
+        get: async () => chatbot,
+        list: () => [{ name: "default", loaded: true }],
+        health: async () => ({ ready: true, knowledgeBases: [] }),
+    };
+    const serverConfig = {
+        apiKeys: [{ name: "client", key: API_KEY }],
+        jwt: null,
+        allowedOrigins: [],
+        trustProxy: false,
+        rateLimit: { perKey: { limit: 100, windowSeconds: 60 }, perIp: { limit: 100, windowSeconds: 60 } },
+        dailyQuota,
+        limits: { maxBodySize: "16kb", maxQuestionLength: 100, maxThreadIdLength: 20, maxThreadTurns: 50, ...limits },
+    };
+    const server = createApp(knowledgeBases, { serverConfig }).listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const chat = (body, apiKey = API_KEY) => fetch(`${baseUrl}/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(apiKey && { "x-api-key": apiKey }) },
+        body: JSON.stringify(body),
+    });
+
+    const { log } = console;
+    console.log = () => {};
+    try {
+        await run(chat, baseUrl);
+    } finally {
+        console.log = log;
+        server.close();
+    }
+}
+
+test("chat requests require an API key", async () => {
+    await withServer(fakeChatbot(), {}, async (chat) => {
+        assert.equal((await chat({ question: "Hello?" }, null)).status, 401);
+        assert.equal((await chat({ question: "Hello?" }, "wrong")).status, 401);
+
+        const response = await chat({ question: "Hello?" });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).answer, "You asked: Hello?");
+    });
+});
+
+test("chat requests are validated before the model is called", async () => {
+    const chatbot = fakeChatbot();
+    await withServer(chatbot, {}, async (chat) => {
+        assert.equal((await chat({})).status, 400);
+        assert.equal((await chat({ question: "x".repeat(101) })).status, 400);
+        assert.equal((await chat({ question: "Hello?", threadId: "t".repeat(21) })).status, 400);
+        assert.equal((await chat({ question: "Hello?", format: "html" })).status, 400);
+        assert.equal((await chat({ question: "Hello?", language: "zz" })).status, 400);
+        assert.equal((await chat({ question: "Hello?", language: 7 })).status, 400);
+        assert.equal((await chat({ question: "Hello?", audience: "customer" })).status, 403);
+        assert.deepEqual(chatbot.questions, []);
+    });
+});
+
+test("a thread takes no more questions than maxThreadTurns", async () => {
+    await withServer(fakeChatbot(), { limits: { maxThreadTurns: 2 } }, async (chat) => {
+        assert.equal((await chat({ question: "First?", threadId: "t1" })).status, 200);
+        assert.equal((await chat({ question: "Second?", threadId: "t1" })).status, 200);
+        assert.equal((await chat({ question: "Third?", threadId: "t1" })).status, 409);
+        assert.equal((await chat({ question: "Third?", threadId: "t2" })).status, 200);
+    });
+    // Questions without a thread id each start a thread, so none of them outgrows the cap
+    const chatbot = fakeChatbot();
+    await withServer(chatbot, { limits: { maxThreadTurns: 1 } }, async (chat) => {
+        for (const question of ["First?", "Second?", "Third?"]) {
+            assert.equal((await chat({ question })).status, 200);
+        }
+        assert.equal(new Set(chatbot.questions.map(({ threadId }) => threadId)).size, 3);
+    });
+});
+
+test("each request without a thread id gets a thread of its own", async () => {
+    const chatbot = fakeChatbot();
+    await withServer(chatbot, {}, async (chat, baseUrl) => {
+        const first = await (await chat({ question: "First?" })).json();
+        const second = await (await chat({ question: "Second?" })).json();
+        assert.ok(first.threadId);
+        assert.notEqual(first.threadId, second.threadId);
+        assert.deepEqual(chatbot.questions.map(({ threadId }) => threadId), [first.threadId, second.threadId]);
+        assert.equal((await (await chat({ question: "Third?", threadId: "t1" })).json()).threadId, "t1");
+
+        const stream = await fetch(`${baseUrl}/chat/stream`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "x-api-key": API_KEY },
+            body: JSON.stringify({ question: "Streamed?" }),
+        });
+        const done = JSON.parse((await stream.text()).match(/event: done\ndata: (.*)\n/)[1]);
+        assert.equal(done.threadId, chatbot.questions.at(-1).threadId);
+        assert.ok(![first.threadId, second.threadId].includes(done.threadId));
+    });
+});
+
+test("rejected chat requests do not count against the daily quota", async () => {
+    await withServer(fakeChatbot(), { dailyQuota: 1 }, async (chat) => {
+        assert.equal((await chat({ question: "" })).status, 400);
+        assert.equal((await chat({ question: "x".repeat(101) })).status, 400);
+        assert.equal((await chat({ question: "Hello?", audience: "customer" })).status, 403);
+
+        const answered = await chat({ question: "Hello?" });
+        assert.equal(answered.status, 200);
+        assert.equal(answered.headers.get("x-quota-remaining"), "0");
+        assert.equal((await chat({ question: "Hello again?" })).status, 429);
+    });
+});
+
+test("rejected completion requests do not count against the daily quota", async () => {
+    await withServer(fakeChatbot(), { dailyQuota: 1 }, async (chat, baseUrl) => {
+        const complete = (body) => fetch(`${baseUrl}/v1/chat/completions`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "x-api-key": API_KEY },
+            body: JSON.stringify({ model: "default", ...body }),
+        });
+        assert.equal((await complete({ model: "missing", messages: [{ role: "user", content: "Hello?" }] })).status, 404);
+        assert.equal((await complete({ messages: [] })).status, 400);
+        assert.equal((await complete({ messages: [{ role: "user", content: "x".repeat(101) }] })).status, 400);
+
+        const answered = await complete({ messages: [{ role: "user", content: "Hello?" }] });
+        assert.equal(answered.status, 200);
+        assert.equal(answered.headers.get("x-quota-remaining"), "0");
+        // /chat and /v1 share the quota
+        assert.equal((await chat({ question: "Hello again?" })).status, 429);
+    });
+});
+
+test("answers link their screenshots, which are served without an API key", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "images-"));
+    fs.mkdirSync(path.join(directory, "images"));
+    fs.writeFileSync(path.join(directory, "images", "0123456789abcdef.png"), "png bytes");
+    const vectorStorePath = process.env.VECTORSTORE_PATH;
+    process.env.VECTORSTORE_PATH = directory;
+
+    const chatbot = fakeChatbot();
+    const { getAnswer } = chatbot;
+    chatbot.getAnswer = async function (...args) {
+        const screenshots = [{ imageId: "0123456789abcdef.png", alt: null, citation: 1, document: "Guide.docx", section: null }];
+        return { ...await getAnswer.apply(this, args), screenshots };
+    };
+    try {
+        await withServer(chatbot, {}, async (chat, baseUrl) => {
+            const { screenshots } = await (await chat({ question: "Hello?" })).json();
+            assert.equal(screenshots[0].url, "/kb/default/images/0123456789abcdef.png");
+
+            const image = await fetch(`${baseUrl}${screenshots[0].url}`);
+            assert.equal(image.status, 200);
+            assert.equal(await image.text(), "png bytes");
+            assert.equal((await fetch(`${baseUrl}/images/0123456789abcdef.png`)).status, 200);
+            assert.equal((await fetch(`${baseUrl}/images/fedcba9876543210.png`)).status, 404);
+            assert.equal((await fetch(`${baseUrl}/images/..%2Fmanifest.json`)).status, 404);
+            assert.equal((await fetch(`${baseUrl}/kb/missing/images/0123456789abcdef.png`)).status, 404);
+        });
+    } finally {
+        if (vectorStorePath === undefined) delete process.env.VECTORSTORE_PATH;
+        else process.env.VECTORSTORE_PATH = vectorStorePath;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
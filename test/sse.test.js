@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { streamEvents } from "../sse.js";
+
+/**
+ * A stand-in for an Express response recording what is written to it.
+ */
+function fakeResponse() {
+    const res = new EventEmitter();
+    Object.assign(res, {
+        statusCode: null,
+        headers: {},
+        body: "",
+        writableEnded: false,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(headers) {
+            Object.assign(res.headers, headers);
+            return res;
+        },
+        flushHeaders() {},
+        write(chunk) {
+            res.body += chunk;
+        },
+        end() {
+            res.writableEnded = true;
+            res.emit("close");
+        },
+    });
+    return res;
+}
+
+test("streamEvents writes each event as an SSE message and ends the response", async () => {
+    const res = fakeResponse();
+    await streamEvents(res, async function* () {
+        yield { event: "token", data: { text: "Hello" } };
+        yield { event: "done", data: { sources: [] } };
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Content-Type"], "text/event-stream");
+    assert.equal(res.body, 'event: token\ndata: {"text":"Hello"}\n\nevent: done\ndata: {"sources":[]}\n\n');
+    assert.equal(res.writableEnded, true);
+});
+
+test("streamEvents turns a failure into an error event", async () => {
+    const res = fakeResponse();
+    const { error } = console;
+    console.error = () => {};
+    try {
+        await streamEvents(res, async function* () {
+            yield { event: "token", data: { text: "Hel" } };
+            throw new Error("model failed");
+        });
+    } finally {
+        console.error = error;
+    }
+    assert.match(res.body, /event: error\ndata: \{"error":"Failed to get a response from the chatbot\."\}\n\n$/);
+    assert.equal(res.writableEnded, true);
+});
+
+test("streamEvents aborts the run and stops writing when the client disconnects", async () => {
+    const res = fakeResponse();
+    const { log } = console;
+    console.log = () => {};
+    try {
+        await streamEvents(res, async function* (signal) {
+            yield { event: "token", data: { text: "one" } };
+            res.emit("close");
+            assert.equal(signal.aborted, true);
+            yield { event: "token", data: { text: "two" } };
+        });
+    } finally {
+        console.log = log;
+    }
+    assert.equal(res.body, 'event: token\ndata: {"text":"one"}\n\n');
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { assertEmbeddingMatches, compareSources, loadVectorStore, readManifest, replaceVectorStore, writeManifest } from "../vectorstore-manifest.js";
+import { refreshConfig } from "../config.js";
+
+/**
+ * Creates a vector store folder, runs the test and removes the folder.
+ */
+function withStore(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+    try {
+        run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Writes a flat FAISS index header of the given dimension and a docstore holding the sources.
+ */
+function writeLegacyStore(directory, dimension, sources) {
+    const header = Buffer.alloc(16);
+    header.write("IxF2", 0);
+    header.writeInt32LE(dimension, 4);
+    fs.writeFileSync(path.join(directory, "faiss.index"), header);
+    const entries = sources.map((source, i) => [`id${i}`, { pageContent: "text", metadata: { source } }]);
+    fs.writeFileSync(path.join(directory, "docstore.json"), JSON.stringify([entries, {}]));
+}
+
+test("readManifest returns the manifest written for a build", () => {
+    withStore((directory) => {
+        const written = writeManifest(directory, {
+            embedding: { provider: "huggingface", model: "sentence-transformers/all-MiniLM-L6-v2", dimension: 384 },
+            chunking: { chunkSize: 1000, chunkOverlap: 200 },
+            sources: ["Cancel Booking.docx"],
+        });
+        assert.deepEqual(readManifest(directory), written);
+    });
+});
+
+test("readManifest describes stores built before manifests from the index and docstore", () => {
+    withStore((directory) => {
+        writeLegacyStore(directory, 1536, ["a.docx", "b.docx", "a.docx"]);
+        const manifest = readManifest(directory);
+        assert.deepEqual(manifest.embedding, { provider: "openai", model: "text-embedding-3-small", dimension: 1536 });
+        assert.equal(manifest.chunking, null);
+        assert.deepEqual(manifest.sources, ["a.docx", "b.docx"]);
+        assert.ok(!Number.isNaN(Date.parse(manifest.builtAt)));
+    });
+});
+
+test("readManifest rejects legacy stores of another dimension and folders without a store", () => {
+    withStore((directory) => {
+        assert.throws(() => readManifest(directory), /manifest not found/);
+        writeLegacyStore(directory, 384, ["a.docx"]);
+        assert.throws(() => readManifest(directory), /384-dimensional vectors/);
+    });
+});
+
+test("assertEmbeddingMatches only rejects a configured embedder that differs", () => {
+    const manifest = { embedding: { provider: "openai", model: "text-embedding-3-small", dimension: 1536 } };
+    assert.doesNotThrow(() => assertEmbeddingMatches(manifest, {}));
+    assert.doesNotThrow(() => assertEmbeddingMatches(manifest, { provider: "openai" }));
+    assert.throws(() => assertEmbeddingMatches(manifest, { provider: "huggingface" }), /Embedding mismatch/);
+    assert.throws(() => assertEmbeddingMatches(manifest, { model: "text-embedding-3-large" }), /Embedding mismatch/);
+});
+
+test("loadVectorStore checks the store against the embedder of its own knowledge base", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+    const saved = { CHATBOT_CONFIG: process.env.CHATBOT_CONFIG, EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER, EMBEDDING_MODEL: process.env.EMBEDDING_MODEL };
+    process.env.CHATBOT_CONFIG = path.join(directory, "chatbot.config.json");
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.EMBEDDING_MODEL;
+    fs.writeFileSync(process.env.CHATBOT_CONFIG, JSON.stringify({
+        embeddings: { provider: "openai", model: "text-embedding-3-small" },
+        knowledgeBases: { partners: { embeddings: { provider: "local", model: "nomic-embed-text" } } },
+    }));
+    refreshConfig();
+    const dbPath = path.join(directory, "partners");
+    fs.mkdirSync(dbPath);
+    writeManifest(dbPath, { embedding: { provider: "local", model: "nomic-embed-text", dimension: 768 }, chunking: {}, sources: [] });
+    const { log } = console;
+    console.log = () => {};
+    try {
+        await assert.rejects(loadVectorStore(dbPath), /Embedding mismatch/);
+        // The partners store passes the check and only fails for want of an index to load
+        await assert.rejects(loadVectorStore(dbPath, "partners"), /ENOENT.*docstore\.json/);
+    } finally {
+        console.log = log;
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+        refreshConfig();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test("compareSources finds the added, modified and deleted documents", () => {
+    const previous = [{ file: "a.docx", hash: "1" }, { file: "b.docx", hash: "2" }, { file: "c.docx", hash: "3" }];
+    const current = [{ file: "a.docx", hash: "1" }, { file: "b.docx", hash: "changed" }, { file: "d.docx", hash: "4" }];
+    assert.deepEqual(compareSources(previous, current), { added: ["d.docx"], modified: ["b.docx"], deleted: ["c.docx"], unchanged: 1 });
+    assert.deepEqual(compareSources(previous, previous), { added: [], modified: [], deleted: [], unchanged: 3 });
+});
+
+test("compareSources treats sources recorded by name only as modified", () => {
+    const current = [{ file: "a.docx", hash: "1" }];
+    assert.deepEqual(compareSources(["a.docx"], current), { added: [], modified: ["a.docx"], deleted: [], unchanged: 0 });
+    assert.deepEqual(compareSources([], current), { added: ["a.docx"], modified: [], deleted: [], unchanged: 0 });
+});
+
+test("compareSources treats a document whose audiences changed as modified", () => {
+    const previous = [{ file: "a.docx", hash: "1", audiences: ["internal"] }, { file: "b.docx", hash: "2", audiences: ["internal"] }];
+    const current = [{ file: "a.docx", hash: "1", audiences: ["customer", "internal"] }, { file: "b.docx", hash: "2", audiences: ["internal"] }];
+    assert.deepEqual(compareSources(previous, current), { added: [], modified: ["a.docx"], deleted: [], unchanged: 1 });
+});
+
+test("replaceVectorStore swaps the new store in and removes the previous one", () => {
+    withStore((directory) => {
+        const dbPath = path.join(directory, "db_faiss");
+        const stagingPath = `${dbPath}.tmp`;
+        fs.mkdirSync(dbPath);
+        fs.writeFileSync(path.join(dbPath, "faiss.index"), "previous");
+        fs.mkdirSync(stagingPath);
+        fs.writeFileSync(path.join(stagingPath, "faiss.index"), "new");
+
+        replaceVectorStore(stagingPath, dbPath);
+        assert.equal(fs.readFileSync(path.join(dbPath, "faiss.index"), "utf8"), "new");
+        assert.deepEqual(fs.readdirSync(directory), ["db_faiss"]);
+
+        // The first build has no previous store to move aside
+        const firstPath = path.join(directory, "first");
+        fs.mkdirSync(stagingPath);
+        replaceVectorStore(stagingPath, firstPath);
+        assert.ok(fs.existsSync(firstPath));
+    });
+});
+
+test("replaceVectorStore keeps the previous store when the swap fails", () => {
+    withStore((directory) => {
+        const dbPath = path.join(directory, "db_faiss");
+        fs.mkdirSync(dbPath);
+        fs.writeFileSync(path.join(dbPath, "faiss.index"), "previous");
+
+        assert.throws(() => replaceVectorStore(path.join(directory, "missing"), dbPath), /ENOENT/);
+        assert.equal(fs.readFileSync(path.join(dbPath, "faiss.index"), "utf8"), "previous");
+        assert.deepEqual(fs.readdirSync(directory), ["db_faiss"]);
+    });
+});
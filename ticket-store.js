@@ -0,0 +1,130 @@
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+
+// Default location of the support ticket database
+const DEFAULT_TICKETS_PATH = "./data/tickets.sqlite";
+
+// "pending" until the webhook accepts the ticket, "failed" once it gives up
+const TICKET_STATUSES = ["pending", "delivered", "failed"];
+
+/**
+ * Reads a ticket row back into a ticket.
+ * @param {object | undefined} row - The row.
+ * @returns {object | null} The ticket, or null when there is no row.
+ */
+function toTicket(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        knowledgeBase: row.knowledge_base,
+        threadId: row.thread_id,
+        contact: row.contact,
+        summary: row.summary,
+        question: row.question,
+        language: row.language,
+        transcript: JSON.parse(row.transcript),
+        sources: JSON.parse(row.sources),
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        deliveredAt: row.delivered_at,
+    };
+}
+
+/**
+ * Stores the support tickets created when users ask to be handed off to a person,
+ * with the conversation and the sources retrieved for it, and their delivery status.
+ */
+class TicketStore {
+    /**
+     * @param {string} [dbPath] - The SQLite database file; defaults to TICKETS_PATH or ./data/tickets.sqlite.
+     */
+    constructor(dbPath = process.env.TICKETS_PATH || DEFAULT_TICKETS_PATH) {
+        if (dbPath !== ":memory:") {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.exec(`
+CREATE TABLE IF NOT EXISTS tickets (
+  id TEXT PRIMARY KEY,
+  knowledge_base TEXT NOT NULL,
+  thread_id TEXT,
+  contact TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  question TEXT NOT NULL,
+  language TEXT NOT NULL,
+  transcript TEXT NOT NULL,
+  sources TEXT NOT NULL,
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  delivered_at TEXT
+);
+CREATE INDEX IF NOT EXISTS tickets_status ON tickets (status);`);
+    }
+
+    /**
+     * Records a new ticket, pending delivery.
+     * @param {object} ticket
+     * @param {string} ticket.id - The ticket id.
+     * @param {string} ticket.knowledgeBase - The knowledge base the user asked.
+     * @param {string} [ticket.threadId] - The conversation thread.
+     * @param {string} ticket.contact - The email address or phone number to reply to.
+     * @param {string} ticket.summary - What the user needs, in their words.
+     * @param {string} ticket.question - The question the chatbot could not answer.
+     * @param {string} ticket.language - The language of the conversation.
+     * @param {Array<{role: string, content: string}>} ticket.transcript - The conversation.
+     * @param {Array<object>} ticket.sources - The sources retrieved during the conversation.
+     * @returns {object} The stored ticket.
+     */
+    create({ id, knowledgeBase, threadId, contact, summary, question, language, transcript, sources }) {
+        const now = new Date().toISOString();
+        this.db
+            .prepare("INSERT INTO tickets (id, knowledge_base, thread_id, contact, summary, question, language, transcript, sources, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)")
+            .run(id, knowledgeBase, threadId ?? null, contact, summary, question, language, JSON.stringify(transcript), JSON.stringify(sources), now, now);
+        return this.get(id);
+    }
+
+    /**
+     * Returns a ticket.
+     * @param {string} id - The ticket id.
+     * @returns {object | null} The ticket, or null when it does not exist.
+     */
+    get(id) {
+        return toTicket(this.db.prepare("SELECT * FROM tickets WHERE id = ?").get(id));
+    }
+
+    /**
+     * Records a delivery attempt and the status it leaves the ticket in.
+     * @param {string} id - The ticket id.
+     * @param {"pending"|"delivered"|"failed"} status - The status after the attempt.
+     * @param {string | null} [error] - Why the attempt failed.
+     * @returns {object | null} The updated ticket, or null when it does not exist.
+     * @throws {Error} When the status is not supported.
+     */
+    recordAttempt(id, status, error = null) {
+        if (!TICKET_STATUSES.includes(status)) {
+            throw new Error(`Unsupported ticket status "${status}". Expected one of: ${TICKET_STATUSES.join(", ")}.`);
+        }
+        const now = new Date().toISOString();
+        this.db
+            .prepare("UPDATE tickets SET status = ?, attempts = attempts + 1, last_error = ?, updated_at = ?, delivered_at = ? WHERE id = ?")
+            .run(status, error, now, status === "delivered" ? now : null, id);
+        return this.get(id);
+    }
+
+    /**
+     * Lists the tickets still waiting for delivery, e.g. after a restart.
+     * @returns {Array<object>} The pending tickets, oldest first.
+     */
+    listPending() {
+        return this.db.prepare("SELECT * FROM tickets WHERE status = 'pending' ORDER BY created_at").all().map(toTicket);
+    }
+}
+
+export { TicketStore, TICKET_STATUSES };
@@ -0,0 +1,78 @@
+import Database from "better-sqlite3";
+import * as fs from "fs";
+import * as path from "path";
+
+// Default location of the usage database
+const DEFAULT_USAGE_PATH = "./data/usage.sqlite";
+
+// SQL expression of each supported grouping
+const GROUPINGS = {
+    day: "substr(created_at, 1, 10)",
+    thread: "coalesce(thread_id, '')",
+    model: "model",
+};
+
+/**
+ * Stores the token usage and estimated cost of every chat request, so spend can
+ * be aggregated per day, thread or model.
+ */
+class UsageStore {
+    /**
+     * @param {string} [dbPath] - The SQLite database file; defaults to USAGE_PATH or ./data/usage.sqlite.
+     */
+    constructor(dbPath = process.env.USAGE_PATH || DEFAULT_USAGE_PATH) {
+        if (dbPath !== ":memory:") {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        this.db = new Database(dbPath);
+        this.db.exec(`
+CREATE TABLE IF NOT EXISTS requests (
+  id TEXT PRIMARY KEY,
+  knowledge_base TEXT NOT NULL,
+  thread_id TEXT,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL,
+  completion_tokens INTEGER NOT NULL,
+  cost_usd REAL,
+  latency_ms INTEGER NOT NULL,
+  outcome TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);`);
+    }
+
+    /**
+     * Records a chat request.
+     * @param {object} request - The request (see Telemetry.recordAnswer).
+     */
+    record({ id, knowledgeBase, threadId, model, promptTokens, completionTokens, costUsd, latencyMs, outcome }) {
+        this.db
+            .prepare("INSERT INTO requests (id, knowledge_base, thread_id, model, prompt_tokens, completion_tokens, cost_usd, latency_ms, outcome, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)")
+            .run(id, knowledgeBase, threadId ?? null, model, promptTokens, completionTokens, costUsd, Math.round(latencyMs), outcome, new Date().toISOString());
+    }
+
+    /**
+     * Aggregates usage and estimated cost.
+     * @param {object} [options]
+     * @param {"day"|"thread"|"model"} [options.groupBy] - The grouping (default: day).
+     * @param {string} [options.knowledgeBase] - Only requests of this knowledge base.
+     * @param {string} [options.since] - Only requests made at or after this ISO date.
+     * @returns {Array<{key: string, requests: number, promptTokens: number, completionTokens: number, costUsd: number, unpricedRequests: number}>} The groups, most expensive first.
+     * @throws {Error} When the grouping is not supported.
+     */
+    summarize({ groupBy = "day", knowledgeBase, since } = {}) {
+        const key = GROUPINGS[groupBy];
+        if (!key) {
+            throw new Error(`Unsupported grouping "${groupBy}". Expected one of: ${Object.keys(GROUPINGS).join(", ")}.`);
+        }
+
+        return this.db.prepare(`
+SELECT ${key} AS key, count(*) AS requests, sum(prompt_tokens) AS promptTokens, sum(completion_tokens) AS completionTokens,
+       round(coalesce(sum(cost_usd), 0), 6) AS costUsd, sum(cost_usd IS NULL) AS unpricedRequests
+FROM requests
+WHERE (@knowledgeBase IS NULL OR knowledge_base = @knowledgeBase) AND (@since IS NULL OR created_at >= @since)
+GROUP BY key
+ORDER BY costUsd DESC, key`).all({ knowledgeBase: knowledgeBase ?? null, since: since ?? null });
+    }
+}
+
+export { UsageStore };
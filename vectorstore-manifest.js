@@ -0,0 +1,208 @@
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import * as fs from "fs";
+import * as path from "path";
+import { DEFAULT_KNOWLEDGE_BASE, loadConfig } from "./config.js";
+import { getDefaultModel, createEmbeddings } from "./providers.js";
+
+// Name of the manifest file written next to faiss.index and docstore.json
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+// Embedder of the vector stores built before manifests were written
+const LEGACY_EMBEDDING = { provider: "openai", model: "text-embedding-3-small", dimension: 1536 };
+
+/**
+ * Writes the manifest describing how a vector store was built.
+ * @param {string} dbPath - The vector store folder.
+ * @param {object} details - Embedding, chunking and source details of the build.
+ * @returns {object} The manifest that was written.
+ */
+function writeManifest(dbPath, { embedding, chunking, sources }) {
+    const manifest = {
+        version: MANIFEST_VERSION,
+        embedding,
+        chunking,
+        builtAt: new Date().toISOString(),
+        sources,
+    };
+    fs.writeFileSync(path.join(dbPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+/**
+ * Reads the vector dimension from the header of a FAISS index file: a four-byte
+ * index type followed by the dimension as a 32-bit integer.
+ * @param {string} indexPath - The faiss.index file.
+ * @returns {number} The dimension of the stored vectors.
+ */
+function readIndexDimension(indexPath) {
+    const header = Buffer.alloc(8);
+    const fd = fs.openSync(indexPath, "r");
+    try {
+        fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return header.readInt32LE(4);
+}
+
+/**
+ * Describes a vector store built before manifests were written. Such stores were
+ * loaded with OpenAI's text-embedding-3-small, so that is the embedder recorded
+ * as long as the index header agrees on the dimension; the sources are read from
+ * the docstore and the chunk settings are unknown, so create-db.js rebuilds them.
+ * @param {string} dbPath - The vector store folder.
+ * @returns {object} The manifest of the legacy store.
+ */
+function readLegacyManifest(dbPath) {
+    const indexPath = path.join(dbPath, "faiss.index");
+    if (!fs.existsSync(indexPath)) {
+        throw new Error(
+            `Vector store manifest not found at ${path.join(dbPath, MANIFEST_FILE)}. Rebuild the vector store with create-db.js so the embedding model is recorded.`
+        );
+    }
+
+    const dimension = readIndexDimension(indexPath);
+    if (dimension !== LEGACY_EMBEDDING.dimension) {
+        throw new Error(
+            `Vector store at ${dbPath} has no manifest and ${dimension}-dimensional vectors, so its embedding model is unknown. Rebuild the vector store with create-db.js.`
+        );
+    }
+
+    const [entries] = JSON.parse(fs.readFileSync(path.join(dbPath, "docstore.json"), "utf8"));
+    return {
+        version: 0,
+        embedding: { ...LEGACY_EMBEDDING },
+        chunking: null,
+        builtAt: fs.statSync(indexPath).mtime.toISOString(),
+        sources: [...new Set(entries.map(([, doc]) => doc.metadata?.source).filter(Boolean))],
+    };
+}
+
+/**
+ * Reads the manifest of a vector store, or describes a store built before
+ * manifests were written (see readLegacyManifest).
+ * @param {string} dbPath - The vector store folder.
+ * @returns {object} The parsed manifest.
+ */
+function readManifest(dbPath) {
+    const manifestPath = path.join(dbPath, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return readLegacyManifest(dbPath);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (!manifest.embedding?.provider || !manifest.embedding?.model) {
+        throw new Error(`Vector store manifest at ${manifestPath} does not record an embedding provider and model.`);
+    }
+    return manifest;
+}
+
+/**
+ * Compares the documents found now with the sources recorded for the last build.
+ * Sources recorded by name only (stores built before hashes were recorded) count as modified,
+ * and so does a document whose audiences changed, so its chunks carry the new tags.
+ * @param {Array<string | {file: string, hash: string, audiences?: string[]}>} previousSources - The sources in the manifest of the last build.
+ * @param {Array<{file: string, hash: string, audiences?: string[]}>} sources - The documents found now.
+ * @returns {{added: string[], modified: string[], deleted: string[], unchanged: number}} The changed files, and how many are unchanged.
+ */
+function compareSources(previousSources, sources) {
+    const fingerprint = (source) => `${source.hash}:${(source.audiences ?? []).join(",")}`;
+    const previousFingerprints = new Map(
+        previousSources
+            .filter(source => typeof source === "object")
+            .map(source => [source.file, fingerprint(source)])
+    );
+    const previousFiles = new Set(previousSources.map(source => (typeof source === "object" ? source.file : source)));
+    const currentFiles = new Set(sources.map(source => source.file));
+
+    const added = sources.filter(source => !previousFiles.has(source.file)).map(source => source.file);
+    const modified = sources
+        .filter(source => previousFiles.has(source.file) && previousFingerprints.get(source.file) !== fingerprint(source))
+        .map(source => source.file);
+    const deleted = [...previousFiles].filter(file => !currentFiles.has(file));
+    return { added, modified, deleted, unchanged: sources.length - added.length - modified.length };
+}
+
+/**
+ * Throws when the embedder configured through the environment or config file differs from the
+ * one the vector store was built with.
+ * @param {object} manifest - The vector store manifest.
+ * @param {{provider?: string, model?: string}} configured - The configured embedder.
+ */
+function assertEmbeddingMatches(manifest, configured) {
+    const built = manifest.embedding;
+    const providerMismatch = configured.provider && configured.provider !== built.provider;
+    const modelMismatch = configured.model && configured.model !== built.model;
+
+    if (providerMismatch || modelMismatch) {
+        const wanted = `${configured.provider ?? built.provider}/${configured.model ?? getDefaultModel(configured.provider ?? built.provider, "embeddings")}`;
+        throw new Error(
+            `Embedding mismatch: the vector store was built with ${built.provider}/${built.model} (${built.dimension} dims) ` +
+            `but ${wanted} is configured. Rebuild the vector store with create-db.js or change the configured embeddings.`
+        );
+    }
+}
+
+/**
+ * Loads a FAISS vector store using the embedder recorded in its manifest, checked
+ * against the embedder configured for the knowledge base it belongs to.
+ * @param {string} dbPath - The vector store folder.
+ * @param {string} [knowledgeBase] - The knowledge base of the store; defaults to the top-level one.
+ * @returns {Promise<{vectorStore: FaissStore, manifest: object}>} The loaded store and its manifest.
+ */
+async function loadVectorStore(dbPath, knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`Vector database not found at ${dbPath}. Please run create-db.js first.`);
+    }
+
+    const manifest = readManifest(dbPath);
+    const configured = loadConfig(knowledgeBase).embeddings;
+    assertEmbeddingMatches(manifest, configured);
+
+    // A configured endpoint (e.g. a local server) still applies to the recorded model
+    const embeddings = createEmbeddings({ ...manifest.embedding, baseURL: configured.baseURL });
+    const vectorStore = await FaissStore.load(dbPath, embeddings);
+
+    const dimension = vectorStore.index.getDimension();
+    if (manifest.embedding.dimension && dimension !== manifest.embedding.dimension) {
+        throw new Error(
+            `Vector store at ${dbPath} has ${dimension}-dimensional vectors but its manifest records ${manifest.embedding.dimension}. Rebuild the vector store with create-db.js.`
+        );
+    }
+
+    console.log(`Using ${manifest.embedding.provider} embeddings (${manifest.embedding.model}).`);
+    return { vectorStore, manifest };
+}
+
+/**
+ * Swaps a fully written vector store into place. The previous store is renamed
+ * aside first and only deleted once the new one is in place, so a failed swap
+ * leaves the previous store where it was.
+ * @param {string} stagingPath - The folder the new store was written to.
+ * @param {string} dbPath - The vector store folder to replace.
+ */
+function replaceVectorStore(stagingPath, dbPath) {
+    const previousPath = `${dbPath}.old`;
+    fs.rmSync(previousPath, { recursive: true, force: true });
+    const hasPrevious = fs.existsSync(dbPath);
+    if (hasPrevious) fs.renameSync(dbPath, previousPath);
+
+    try {
+        fs.renameSync(stagingPath, dbPath);
+    } catch (error) {
+        if (hasPrevious) fs.renameSync(previousPath, dbPath);
+        throw error;
+    }
+    fs.rmSync(previousPath, { recursive: true, force: true });
+}
+
+export {
+    MANIFEST_FILE,
+    writeManifest,
+    readManifest,
+    compareSources,
+    assertEmbeddingMatches,
+    loadVectorStore,
+    replaceVectorStore,
+};
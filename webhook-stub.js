@@ -0,0 +1,109 @@
+import express from 'express';
+import dotenv from "dotenv";
+import { createHmac, timingSafeEqual } from "crypto";
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const USAGE = `Usage: node webhook-stub.js [--port <port>] [--fail <n>]
+
+Receives the support tickets of handoffs on POST /tickets and prints them, so
+escalation can be tried without a help desk. Point ESCALATION_WEBHOOK_URL at
+http://localhost:<port>/tickets.
+
+  --port <port>  Port to listen on (default: 4000)
+  --fail <n>     Answer the first n deliveries with 503, to watch the retries
+
+Deliveries are checked against ESCALATION_WEBHOOK_SECRET when it is set.`;
+
+/**
+ * Tells whether a delivery carries the signature of the shared secret.
+ * @param {Buffer} body - The raw request body.
+ * @param {string | undefined} signature - The X-Signature-256 header.
+ * @param {string} secret - The webhook secret.
+ * @returns {boolean} True when the signature matches.
+ */
+function verifySignature(body, signature, secret) {
+    const expected = Buffer.from(`sha256=${createHmac("sha256", secret).update(body).digest("hex")}`);
+    const received = Buffer.from(signature ?? "");
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Creates the stub help desk.
+ * @param {object} [options]
+ * @param {number} [options.fail] - Deliveries to answer with 503 before accepting any.
+ * @param {string} [options.secret] - The webhook secret; deliveries are not checked without one.
+ * @returns {import("express").Express} The Express app.
+ */
+function createWebhookStub({ fail = 0, secret } = {}) {
+    const app = express();
+    const received = new Set();
+    let failuresLeft = fail;
+
+    app.use(express.json({ limit: "1mb", verify: (req, res, body) => { req.rawBody = body; } }));
+
+    app.post('/tickets', (req, res) => {
+        const ticketId = req.get('Idempotency-Key');
+        if (secret && !verifySignature(req.rawBody, req.get('X-Signature-256'), secret)) {
+            console.log(`Rejected ticket ${ticketId}: bad signature.`);
+            return res.status(401).json({ error: 'Invalid signature.' });
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`Failing delivery of ticket ${ticketId} (${failuresLeft} failure(s) left).`);
+            return res.status(503).json({ error: 'Unavailable.' });
+        }
+        if (received.has(ticketId)) {
+            console.log(`Ticket ${ticketId} was already received.`);
+            return res.status(200).json({ received: true });
+        }
+
+        received.add(ticketId);
+        const { ticket } = req.body;
+        console.log(`\n--- Ticket ${ticket.id} (${ticket.knowledgeBase}) ---`);
+        console.log(` Contact:  ${ticket.contact}`);
+        console.log(` Summary:  ${ticket.summary}`);
+        console.log(` Question: ${ticket.question}`);
+        console.log(` Transcript:\n${ticket.transcript.map(({ role, content }) => `   ${role}: ${content}`).join("\n")}`);
+        console.log(` Sources: ${ticket.sources.length}`);
+        res.status(201).json({ received: true });
+    });
+
+    return app;
+}
+
+/**
+ * Main function to start the stub help desk.
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const options = { port: 4000, fail: 0 };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--port" || arg === "--fail") {
+            options[arg.slice(2)] = Number(args[++i]);
+        } else {
+            console.error(`Unknown option "${arg}".\n\n${USAGE}`);
+            process.exit(1);
+        }
+    }
+    if (!Number.isInteger(options.port) || !Number.isInteger(options.fail)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    createWebhookStub({ fail: options.fail, secret: process.env.ESCALATION_WEBHOOK_SECRET }).listen(options.port, () => {
+        console.log(`Webhook stub is listening at http://localhost:${options.port}/tickets`);
+    });
+}
+
+// Run the main function if this file is executed directly
+const __filename = fileURLToPath(import.meta.url);
+if (resolve(process.argv[1]) === __filename) {
+    main();
+}
+
+export { createWebhookStub };